@@ -0,0 +1,32 @@
+// An archetype is the table of every entity that has the exact same set of
+// components (the same `_cbits` mask). Queries are matched against archetypes
+// once, so moving an entity between archetypes only needs to visit the
+// queries of the two archetypes involved.
+export class Archetype {
+    entities = [];
+    queries = new Set();
+    _transitions = new Map();
+
+    constructor(mask) {
+        this.mask = mask;
+    }
+
+    _add(entity) {
+        entity._archetype = this;
+        entity._archetypeIdx = this.entities.length;
+        this.entities.push(entity);
+    }
+
+    _remove(entity) {
+        const idx = entity._archetypeIdx;
+        const last = this.entities.pop();
+
+        if (last !== entity) {
+            this.entities[idx] = last;
+            last._archetypeIdx = idx;
+        }
+
+        entity._archetype = null;
+        entity._archetypeIdx = -1;
+    }
+}
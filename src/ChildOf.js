@@ -0,0 +1,7 @@
+import { Relation } from './Relation';
+
+// built-in relation behind `entity.setParent()` and `entity.children`
+export class ChildOf extends Relation {
+    static exclusive = true;
+    static onDelete = 'cascade';
+}
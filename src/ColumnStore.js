@@ -0,0 +1,216 @@
+import { SchemaError } from './Types.js';
+
+export const STORAGE = {
+    AOS: 'aos',
+    SOA: 'soa',
+};
+
+const COLUMN_TYPES = {
+    int: Int32Array,
+    float: Float32Array,
+    number: Float64Array,
+    bool: Uint8Array,
+};
+
+// ints outside of this range would wrap around in an Int32Array
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+
+const INITIAL_CAPACITY = 64;
+
+// a component is a view over a row of a ColumnStore: its world's store once
+// attached, or the loose store of its class until then. The keys are symbols,
+// so `for...in` and serialization don't see them
+const STORE = Symbol('store');
+const ROW = Symbol('row');
+
+const looseStores = new WeakMap();
+
+const looseStoreOf = (clazz) => {
+    let store = looseStores.get(clazz);
+
+    if (!store) {
+        store = new ColumnStore(clazz, 1);
+        looseStores.set(clazz, store);
+    }
+
+    return store;
+};
+
+// set the properties of a new component, in a row of the loose store
+export const initColumnComponent = (component, properties) => {
+    const store = looseStoreOf(component.constructor);
+
+    store.attach(component);
+
+    try {
+        Object.assign(component, component.constructor.properties, properties);
+    } catch (err) {
+        store.detach(component);
+        throw err;
+    }
+};
+
+export const columnTypesOf = (clazz) => {
+    const types = {};
+
+    if (!clazz.schema) {
+        throw new Error(`${clazz.name} must have a schema to use soa storage`);
+    }
+
+    if (clazz.allowMultiple) {
+        const message = `${clazz.name} cannot use soa storage with allowMultiple`;
+
+        throw new Error(message);
+    }
+
+    for (const key in clazz.schema) {
+        const type = clazz.schema[key].name;
+
+        if (!COLUMN_TYPES[type]) {
+            const message = `${clazz.name}.${key} must be an int, float, number or bool to use soa storage`;
+
+            throw new Error(message);
+        }
+
+        types[key] = type;
+    }
+
+    return types;
+};
+
+// replace each schema field with an accessor that reads from and writes to
+// the component's column row. Values are checked against the schema, the
+// columns would silently truncate or convert them otherwise
+export const defineColumnProperties = (clazz) => {
+    const types = columnTypesOf(clazz);
+
+    for (const key in types) {
+        const isBool = types[key] === 'bool';
+        const isInt = types[key] === 'int';
+        const type = clazz.schema[key];
+        const path = `${clazz.name}.${key}`;
+
+        Object.defineProperty(clazz.prototype, key, {
+            get() {
+                const value = this[STORE].columns[key][this[ROW]];
+
+                return isBool ? value === 1 : value;
+            },
+            set(value) {
+                type.validate(value, path);
+
+                if (isInt && (value < INT32_MIN || value > INT32_MAX)) {
+                    const message = `${path} must be a 32-bit int to use soa storage, got ${value}`;
+
+                    throw new SchemaError(message, path);
+                }
+
+                this[STORE].columns[key][this[ROW]] = value;
+
+                if (clazz.trackChanges) {
+                    this.markChanged();
+                }
+            },
+            enumerable: true,
+            configurable: true,
+        });
+    }
+};
+
+// Dense typed array columns for every component of one class in a world.
+// Rows are swap-removed, so they are not stable across removals
+export class ColumnStore {
+    size = 0;
+    components = [];
+    columns = {};
+
+    constructor(clazz, capacity = INITIAL_CAPACITY) {
+        this.clazz = clazz;
+        this.capacity = capacity;
+        this._types = columnTypesOf(clazz);
+
+        for (const key in this._types) {
+            this.columns[key] = new COLUMN_TYPES[this._types[key]](capacity);
+        }
+    }
+
+    get entities() {
+        return this.components.map((component) => component.entity);
+    }
+
+    rowOf(entity) {
+        const component = entity.components[this.clazz.prototype._ckey];
+
+        return component && component[STORE] === this ? component[ROW] : -1;
+    }
+
+    // move the component's values to a new row of this store
+    attach(component) {
+        const from = component[STORE];
+
+        if (this.size >= this.capacity) {
+            this._grow(this.capacity * 2);
+        }
+
+        const row = this.size++;
+
+        if (from) {
+            for (const key in this.columns) {
+                this.columns[key][row] = from.columns[key][component[ROW]];
+            }
+
+            from.detach(component);
+        }
+
+        this.components[row] = component;
+        component[STORE] = this;
+        component[ROW] = row;
+    }
+
+    detach(component) {
+        const row = component[ROW];
+        const last = --this.size;
+
+        if (row !== last) {
+            const moved = this.components[last];
+
+            for (const key in this.columns) {
+                this.columns[key][row] = this.columns[key][last];
+            }
+
+            this.components[row] = moved;
+            moved[ROW] = row;
+        }
+
+        this.components.pop();
+        component[STORE] = null;
+        component[ROW] = -1;
+    }
+
+    // the values are copied to the component, so it can still be read once
+    // removed from its world
+    release(component) {
+        for (const key in this.columns) {
+            Object.defineProperty(component, key, {
+                value: component[key],
+                writable: true,
+                enumerable: true,
+                configurable: true,
+            });
+        }
+
+        this.detach(component);
+    }
+
+    _grow(capacity) {
+        for (const key in this.columns) {
+            const column = new COLUMN_TYPES[this._types[key]](capacity);
+
+            column.set(this.columns[key]);
+            this.columns[key] = column;
+        }
+
+        this.capacity = capacity;
+    }
+}
@@ -0,0 +1,147 @@
+import { Component } from './Component';
+
+const componentsOf = (entity, clazz) => {
+    const value = entity.components[clazz.prototype._ckey];
+
+    if (!value) {
+        return [];
+    }
+
+    if (value instanceof Component) {
+        return [value];
+    }
+
+    if (value instanceof Array) {
+        return [...value];
+    }
+
+    return Object.values(value);
+};
+
+export class CommandBuffer {
+    _commands = [];
+    // ids allocated for entities that haven't been created yet
+    _reserved = new Set();
+
+    constructor(world) {
+        this._world = world;
+    }
+
+    get size() {
+        return this._commands.length;
+    }
+
+    createEntity(id = this._reserve()) {
+        this._commands.push(() => {
+            this._reserved.delete(id);
+            this._world.createEntity(id);
+        });
+
+        return id;
+    }
+
+    createPrefab(name, properties = {}) {
+        const id = this._reserve();
+
+        this._commands.push(() => {
+            this._reserved.delete(id);
+
+            const entity = this._world.engine._prefabs.create(
+                this._world,
+                name,
+                properties,
+                id
+            );
+
+            // an unregistered prefab creates nothing, its id is not used
+            if (!entity) {
+                this._release(id);
+            }
+        });
+
+        return id;
+    }
+
+    add(entity, clazz, properties) {
+        this._commands.push(() => {
+            const target = this._resolve(entity);
+
+            if (target) {
+                target.add(clazz, properties);
+            }
+        });
+    }
+
+    remove(entity, component) {
+        this._commands.push(() => {
+            const target = this._resolve(entity);
+
+            if (!target) {
+                return;
+            }
+
+            // a Component class removes every instance of that type
+            if (typeof component === 'function') {
+                componentsOf(target, component).forEach((c) =>
+                    target.remove(c)
+                );
+            } else if (component.entity === target) {
+                target.remove(component);
+            }
+        });
+    }
+
+    destroy(entity) {
+        this._commands.push(() => {
+            const target = this._resolve(entity);
+
+            if (target) {
+                target.destroy();
+            }
+        });
+    }
+
+    flush() {
+        // commands recorded while flushing (ie, from onAttached) are
+        // replayed in the same flush
+        while (this._commands.length > 0) {
+            const commands = this._commands;
+
+            this._commands = [];
+            commands.forEach((command) => command());
+        }
+    }
+
+    // ids reserved by the discarded commands are released, so they can be
+    // allocated again
+    clear() {
+        this._commands = [];
+        this._reserved.forEach((id) => this._release(id));
+        this._reserved.clear();
+    }
+
+    _reserve() {
+        const id = this._world.createId();
+
+        this._reserved.add(id);
+
+        return id;
+    }
+
+    _release(id) {
+        if (this._world._ids) {
+            this._world._ids.release(id);
+        }
+    }
+
+    _resolve(entity) {
+        const target =
+            typeof entity === 'object' ? entity : this._world.getEntity(entity);
+
+        if (!target || target.isDestroyed) {
+            return null;
+        }
+
+        return target;
+    }
+}
@@ -1,9 +1,16 @@
 import { deepClone } from './util/deep-clone';
+import { EVENT_PHASES } from './EntityEvent';
+import { validateSchema } from './Types';
+import { STORAGE, initColumnComponent } from './ColumnStore';
 
 export class Component {
     static allowMultiple = false;
     static keyProperty = null;
     static serializable = true;
+    static trackChanges = false;
+    static eventPriority = 0;
+    static version = 1;
+    static storage = STORAGE.AOS;
     static properties = {};
 
     get world() {
@@ -23,21 +30,52 @@ export class Component {
     }
 
     constructor(properties = {}) {
+        // column values are validated by their setters
+        if (this.constructor.storage === STORAGE.SOA) {
+            initColumnComponent(this, properties);
+            return;
+        }
+
         const intrinsics = deepClone(this.constructor.properties);
 
         Object.assign(this, intrinsics, properties);
+
+        if (this.constructor.schema) {
+            validateSchema(this.constructor.schema, this, {
+                path: this.constructor.name,
+            });
+        }
     }
 
     destroy() {
         this.entity.remove(this);
     }
 
+    markChanged() {
+        if (this.entity) {
+            this.entity.world._componentChanged(this);
+        }
+    }
+
     _onDestroyed() {
         this.onDestroyed();
+
+        if (this.constructor.storage === STORAGE.SOA) {
+            this.world.getColumns(this.constructor).release(this);
+        }
+
         delete this.entity;
     }
 
     _onEvent(evt) {
+        if (evt.phase === EVENT_PHASES.CAPTURE) {
+            if (typeof this[evt.captureHandlerName] === 'function') {
+                this[evt.captureHandlerName](evt);
+            }
+
+            return;
+        }
+
         this.onEvent(evt);
 
         if (typeof this[evt.handlerName] === 'function') {
@@ -45,8 +83,29 @@ export class Component {
         }
     }
 
+    async _onEventAsync(evt) {
+        if (evt.phase === EVENT_PHASES.CAPTURE) {
+            if (typeof this[evt.captureHandlerName] === 'function') {
+                await this[evt.captureHandlerName](evt);
+            }
+
+            return;
+        }
+
+        await this.onEvent(evt);
+
+        if (typeof this[evt.handlerName] === 'function') {
+            await this[evt.handlerName](evt);
+        }
+    }
+
     _onAttached(entity) {
         this.entity = entity;
+
+        if (this.constructor.storage === STORAGE.SOA) {
+            entity.world.getColumns(this.constructor).attach(this);
+        }
+
         this.onAttached(entity);
     }
 
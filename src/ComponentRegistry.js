@@ -1,4 +1,7 @@
 import { camelString } from './util/string-util';
+import { defineTrackedProperties } from './util/track-changes';
+import { defaultsOf, normalizeSchema } from './Types';
+import { STORAGE, defineColumnProperties } from './ColumnStore';
 
 export class ComponentRegistry {
     _cbit = 0;
@@ -8,12 +11,35 @@ export class ComponentRegistry {
         const key = camelString(clazz.name);
 
         clazz.prototype._ckey = key;
-        clazz.prototype._cbit = BigInt(++this._cbit);
+        clazz.prototype._cbit = this.allocateBit();
+
+        // schema defaults become the component's default properties
+        if (clazz.schema) {
+            clazz.schema = normalizeSchema(clazz.schema);
+            clazz.properties = {
+                ...clazz.properties,
+                ...defaultsOf(clazz.schema),
+            };
+        }
+
+        if (clazz.storage === STORAGE.SOA) {
+            defineColumnProperties(clazz);
+        } else if (clazz.trackChanges) {
+            defineTrackedProperties(clazz);
+        }
 
         this._map[key] = clazz;
     }
 
+    allocateBit() {
+        return BigInt(++this._cbit);
+    }
+
     get(key) {
         return this._map[key];
     }
+
+    getAll() {
+        return Object.values(this._map);
+    }
 }
@@ -2,11 +2,20 @@ import { ComponentRegistry } from './ComponentRegistry';
 import { PrefabRegistry } from './PrefabRegistry';
 import { World } from './World';
 import { MigrationRegistry } from './serialization/MigrationRegistry.js';
+import { ComponentMigrationRegistry } from './serialization/ComponentMigrations.js';
+import { previewMigration } from './serialization/MigrationPreview.js';
+import { CURRENT_SCHEMA_VERSION } from './serialization/constants.js';
+import { ChildOf } from './ChildOf';
 
 export class Engine {
     _components = new ComponentRegistry();
     _prefabs = new PrefabRegistry(this);
     _migrations = new MigrationRegistry();
+    _componentMigrations = new ComponentMigrationRegistry();
+
+    constructor() {
+        this.registerComponent(ChildOf);
+    }
 
     registerComponent(clazz) {
         this._components.register(clazz);
@@ -21,14 +30,65 @@ export class Engine {
      *
      * @param {number} fromVersion - Source schema version
      * @param {number} toVersion - Target schema version
-     * @param {Function} migrationFn - Migration function (artifact) => artifact
+     * @param {Function|Function[]} migrationFn - Migration function (artifact, components) => artifact,
+     * or an array of them to run in order. `components` is the engine's ComponentRegistry
+     * @param {Object} [options={}] - Migration options
+     * @param {boolean} [options.lossy=false] - The migration drops data
+     */
+    registerMigration(fromVersion, toVersion, migrationFn, options = {}) {
+        this._migrations.register(fromVersion, toVersion, migrationFn, options);
+    }
+
+    /**
+     * Run the migrations of an artifact on a copy, and report what they
+     * change and whether the result is valid. The artifact isn't modified
+     *
+     * @param {Object} artifact - Artifact to migrate
+     * @param {number} [targetVersion=CURRENT_SCHEMA_VERSION] - Target schema version
+     * @param {Object} [validationOptions={}] - Options for ArtifactValidator
+     * @returns {Object} Report {valid, fromVersion, toVersion, steps, added, removed, changed, errors, artifact}
      */
-    registerMigration(fromVersion, toVersion, migrationFn) {
-        this._migrations.register(fromVersion, toVersion, migrationFn);
+    previewMigration(
+        artifact,
+        targetVersion = CURRENT_SCHEMA_VERSION,
+        validationOptions = {}
+    ) {
+        return previewMigration(
+            this,
+            artifact,
+            targetVersion,
+            validationOptions
+        );
     }
 
-    createWorld() {
-        return new World(this);
+    /**
+     * Register a migration function for one component's data. It runs on
+     * every payload of the component that was saved with `fromVersion`
+     *
+     * @param {Function|string} component - Component class or name
+     * @param {number} fromVersion - Source component version
+     * @param {number} toVersion - Target component version
+     * @param {Function} migrationFn - Migration function (data, entity) => data
+     */
+    registerComponentMigration(component, fromVersion, toVersion, migrationFn) {
+        this._componentMigrations.register(
+            component,
+            fromVersion,
+            toVersion,
+            migrationFn
+        );
+    }
+
+    /**
+     * Create a world
+     *
+     * @param {Object} [options={}] - World options
+     * @param {boolean} [options.numericIds=false] - Use recycled numeric ids with generations
+     * @param {number|string} [options.seed] - Seed for `world.random` and entity ids
+     * @returns {World} The world
+     */
+    createWorld(options = {}) {
+        return new World(this, options);
     }
 
     destroyWorld(world) {
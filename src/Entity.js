@@ -1,5 +1,7 @@
 import { Component } from './Component';
-import { EntityEvent } from './EntityEvent';
+import { ChildOf } from './ChildOf';
+import { WORLD_EVENTS } from './EventBus';
+import { EntityEvent, EventHandlerError, EVENT_PHASES } from './EntityEvent';
 import { addBit, hasBit, subtractBit } from './util/bit-util';
 
 const attachComponent = (entity, component) => {
@@ -91,9 +93,89 @@ const serializeComponentKeyed = (ob) => {
     return ser;
 };
 
+const ancestorsOf = (entity) => {
+    const ancestors = [];
+
+    for (let p = entity.getParent(); p; p = p.getParent()) {
+        ancestors.push(p);
+    }
+
+    return ancestors;
+};
+
+const descendantsOf = (entity) => {
+    const descendants = [];
+
+    entity.children.forEach((child) => {
+        child.traverse((e) => descendants.push(e));
+    });
+
+    return descendants;
+};
+
+// the list of [entity, phase] an event visits, in order
+const routeEvent = (entity, options) => {
+    const { propagate, query } = options;
+    const target = [[entity, EVENT_PHASES.TARGET]];
+
+    if (propagate === 'up') {
+        const ancestors = ancestorsOf(entity);
+        const capture = [...ancestors]
+            .reverse()
+            .map((e) => [e, EVENT_PHASES.CAPTURE]);
+        const bubble = ancestors.map((e) => [e, EVENT_PHASES.BUBBLE]);
+
+        return [...capture, ...target, ...bubble];
+    }
+
+    if (propagate === 'down') {
+        const descendants = descendantsOf(entity);
+
+        return [
+            ...target,
+            ...descendants.map((e) => [e, EVENT_PHASES.BUBBLE]),
+        ];
+    }
+
+    if (propagate === 'broadcast') {
+        const recipients = query
+            ? query.get()
+            : Array.from(entity.world.getEntities());
+
+        return [
+            ...target,
+            ...recipients
+                .filter((e) => e !== entity)
+                .map((e) => [e, EVENT_PHASES.BUBBLE]),
+        ];
+    }
+
+    return target;
+};
+
+// `static eventPriority` is either a number, or an object of priorities by
+// event name, with an optional `default`
+const eventPriorityOf = (clazz, name) => {
+    const priority = clazz.eventPriority;
+
+    if (priority && typeof priority === 'object') {
+        if (name in priority) {
+            return priority[name];
+        }
+
+        return priority.default || 0;
+    }
+
+    return priority || 0;
+};
+
 export class Entity {
     _cbits = 0n;
     _qeligible = true;
+    _archetype = null;
+    _archetypeIdx = -1;
+    _destroying = false;
+    _eventOrders = null;
     serializable = true;
 
     constructor(world, id) {
@@ -103,6 +185,10 @@ export class Entity {
         this.isDestroyed = false;
     }
 
+    get children() {
+        return this.world._relations.sources(ChildOf, this);
+    }
+
     _candidacy() {
         if (this._qeligible) {
             this.world._candidate(this);
@@ -112,6 +198,8 @@ export class Entity {
     add(clazz, properties) {
         const component = new clazz(properties);
 
+        this._eventOrders = null;
+
         if (component.keyProperty) {
             attachComponentKeyed(this, component);
         } else if (component.allowMultiple) {
@@ -124,6 +212,14 @@ export class Entity {
         component._onAttached(this);
 
         this._candidacy();
+
+        if (component.constructor.trackChanges) {
+            component.markChanged();
+        }
+
+        this.world.emit(WORLD_EVENTS.COMPONENT_ADDED, this, component);
+
+        return component;
     }
 
     has(clazz) {
@@ -131,6 +227,8 @@ export class Entity {
     }
 
     remove(component) {
+        this._eventOrders = null;
+
         if (component.keyProperty) {
             removeComponentKeyed(this, component);
         } else if (component.allowMultiple) {
@@ -140,22 +238,111 @@ export class Entity {
         }
 
         component._onDestroyed();
+        this.world.emit(WORLD_EVENTS.COMPONENT_REMOVED, this, component);
+    }
+
+    relate(clazz, target, properties = {}) {
+        const existing = this.getRelations(clazz).find(
+            (r) => r.target === target
+        );
+
+        if (existing) {
+            return existing;
+        }
+
+        if (clazz.exclusive) {
+            this.unrelate(clazz);
+        }
+
+        return this.add(clazz, { ...properties, target });
+    }
+
+    unrelate(clazz, target) {
+        this.getRelations(clazz)
+            .filter((r) => target === undefined || r.target === target)
+            .forEach((r) => this.remove(r));
+    }
+
+    getRelations(clazz) {
+        const v = this.components[clazz.prototype._ckey];
+
+        if (!v) {
+            return [];
+        }
+
+        if (v instanceof Component) {
+            return [v];
+        }
+
+        return v instanceof Array ? [...v] : Object.values(v);
+    }
+
+    getRelated(clazz) {
+        return this.getRelations(clazz)
+            .map((r) => r.target)
+            .filter((target) => target);
+    }
+
+    isRelated(clazz, target) {
+        return this.getRelations(clazz).some((r) => r.target === target);
+    }
+
+    getParent() {
+        const parent = this.getRelated(ChildOf)[0];
+
+        return parent || null;
+    }
+
+    setParent(parent) {
+        if (!parent) {
+            this.unrelate(ChildOf);
+
+            return;
+        }
+
+        for (let p = parent; p; p = p.getParent()) {
+            if (p === this) {
+                throw new Error(
+                    `Entity "${this.id}" cannot be parented to itself or one of its descendants`
+                );
+            }
+        }
+
+        this.relate(ChildOf, parent);
+    }
+
+    traverse(fn) {
+        fn(this);
+
+        this.children.forEach((child) => child.traverse(fn));
     }
 
     destroy() {
+        if (this.isDestroyed || this._destroying) {
+            return;
+        }
+
+        this._destroying = true;
+        this._qeligible = false;
+        this.world._relations.targetDestroyed(this);
+
         for (const k in this.components) {
             const v = this.components[k];
 
-            if (v instanceof Component) {
-                v._onDestroyed();
-            } else if (v instanceof Array) {
-                for (const component of v) {
-                    component._onDestroyed();
-                }
-            } else {
-                for (const component of Object.values(v)) {
-                    component._onDestroyed();
-                }
+            const removed =
+                v instanceof Component
+                    ? [v]
+                    : v instanceof Array
+                    ? v
+                    : Object.values(v);
+
+            for (const component of removed) {
+                component._onDestroyed();
+                this.world.emit(
+                    WORLD_EVENTS.COMPONENT_REMOVED,
+                    this,
+                    component
+                );
             }
 
             delete this[k];
@@ -163,10 +350,12 @@ export class Entity {
         }
 
         this._cbits = 0n;
-        this._candidacy();
-        this.world._destroyed(this.id);
+        this.world._destroyed(this);
         this.components = {};
+        this._eventOrders = null;
         this.isDestroyed = true;
+        this._destroying = false;
+        this.world.emit(WORLD_EVENTS.ENTITY_DESTROYED, this);
     }
 
     serialize() {
@@ -196,34 +385,132 @@ export class Entity {
         return this.world.cloneEntity(this);
     }
 
-    fireEvent(name, data) {
+    fireEvent(name, data, options = {}) {
+        const evt = new EntityEvent(name, data);
+        const route = routeEvent(this, options);
+
+        evt.target = this;
+
+        for (const [entity, phase] of route) {
+            if (entity.isDestroyed) {
+                continue;
+            }
+
+            evt.phase = phase;
+            evt.currentTarget = entity;
+            entity._dispatchEvent(evt);
+
+            if (evt.prevented || evt.propagationStopped) {
+                break;
+            }
+        }
+
+        this.world.emit(WORLD_EVENTS.ENTITY_EVENT, evt);
+
+        return evt;
+    }
+
+    async fireEventAsync(name, data, options = {}) {
         const evt = new EntityEvent(name, data);
+        const route = routeEvent(this, options);
 
-        for (const key in this.components) {
+        evt.target = this;
+
+        for (const [entity, phase] of route) {
+            if (entity.isDestroyed) {
+                continue;
+            }
+
+            evt.phase = phase;
+            evt.currentTarget = entity;
+            await entity._dispatchEventAsync(evt);
+
+            if (evt.prevented || evt.propagationStopped) {
+                break;
+            }
+        }
+
+        this.world.emit(WORLD_EVENTS.ENTITY_EVENT, evt);
+
+        return evt;
+    }
+
+    // component keys, by descending event priority. Ties are resolved by
+    // the order the components were registered in
+    _eventOrder(name) {
+        if (!this._eventOrders) {
+            this._eventOrders = new Map();
+        }
+
+        let order = this._eventOrders.get(name);
+
+        if (!order) {
+            const registry = this.world.engine._components;
+
+            order = Object.keys(this.components)
+                .map((key) => registry.get(key))
+                .sort((a, b) => {
+                    const diff =
+                        eventPriorityOf(b, name) - eventPriorityOf(a, name);
+
+                    if (diff !== 0) {
+                        return diff;
+                    }
+
+                    return a.prototype._cbit < b.prototype._cbit ? -1 : 1;
+                })
+                .map((clazz) => clazz.prototype._ckey);
+
+            this._eventOrders.set(name, order);
+        }
+
+        return order;
+    }
+
+    // the components that handle an event, in order. Components removed
+    // by an earlier handler are skipped
+    *_eventComponents(name) {
+        for (const key of this._eventOrder(name)) {
             const v = this.components[key];
 
-            if (v instanceof Component) {
-                v._onEvent(evt);
+            if (!v) {
+                continue;
+            }
 
-                if (evt.prevented) {
-                    return evt;
-                }
+            if (v instanceof Component) {
+                yield v;
             } else if (v instanceof Array) {
                 for (let i = 0; i < v.length; i++) {
-                    v[i]._onEvent(evt);
-
-                    if (evt.prevented) {
-                        return evt;
-                    }
+                    yield v[i];
                 }
             } else {
-                for (const component of Object.values(v)) {
-                    component._onEvent(evt);
+                yield* Object.values(v);
+            }
+        }
+    }
 
-                    if (evt.prevented) {
-                        return evt;
-                    }
-                }
+    _dispatchEvent(evt) {
+        for (const component of this._eventComponents(evt.name)) {
+            component._onEvent(evt);
+
+            if (evt.prevented) {
+                break;
+            }
+        }
+
+        return evt;
+    }
+
+    async _dispatchEventAsync(evt) {
+        for (const component of this._eventComponents(evt.name)) {
+            try {
+                await component._onEventAsync(evt);
+            } catch (err) {
+                throw new EventHandlerError(component, evt, err);
+            }
+
+            if (evt.prevented) {
+                break;
             }
         }
 
@@ -1,14 +1,25 @@
 import { camelString } from './util/string-util';
 
+export const EVENT_PHASES = {
+    CAPTURE: 'capture',
+    TARGET: 'target',
+    BUBBLE: 'bubble',
+};
+
 export class EntityEvent {
     data = {};
     prevented = false;
     handled = false;
+    propagationStopped = false;
+    phase = EVENT_PHASES.TARGET;
+    target = null;
+    currentTarget = null;
 
     constructor(name, data = {}) {
         this.name = name;
         this.data = data;
         this.handlerName = camelString(`on ${this.name}`);
+        this.captureHandlerName = camelString(`on ${this.name} capture`);
     }
 
     is(name) {
@@ -23,4 +34,23 @@ export class EntityEvent {
     prevent() {
         this.prevented = true;
     }
+
+    stopPropagation() {
+        this.propagationStopped = true;
+    }
+}
+
+// thrown by `entity.fireEventAsync` when a handler throws or rejects
+export class EventHandlerError extends Error {
+    constructor(component, evt, cause) {
+        const reason = cause instanceof Error ? cause.message : cause;
+        const message = `${component.constructor.name} failed to handle "${evt.name}": ${reason}`;
+
+        super(message);
+        this.name = 'EventHandlerError';
+        this.component = component;
+        this.entity = component.entity;
+        this.eventName = evt.name;
+        this.cause = cause;
+    }
 }
@@ -0,0 +1,70 @@
+export const WORLD_EVENTS = {
+    ENTITY_CREATED: 'entityCreated',
+    ENTITY_DESTROYED: 'entityDestroyed',
+    COMPONENT_ADDED: 'componentAdded',
+    COMPONENT_REMOVED: 'componentRemoved',
+    // events fired on entities, with their name in `evt.name`
+    ENTITY_EVENT: 'entityEvent',
+};
+
+export class EventBus {
+    _listeners = new Map();
+
+    on(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new Error(`Listener for "${name}" must be a function`);
+        }
+
+        if (!this._listeners.has(name)) {
+            this._listeners.set(name, []);
+        }
+
+        this._listeners.get(name).push(fn);
+
+        return () => this.off(name, fn);
+    }
+
+    once(name, fn) {
+        const off = this.on(name, (...args) => {
+            off();
+            fn(...args);
+        });
+
+        return off;
+    }
+
+    off(name, fn) {
+        const listeners = this._listeners.get(name);
+
+        if (!listeners) {
+            return;
+        }
+
+        if (!fn) {
+            this._listeners.delete(name);
+
+            return;
+        }
+
+        const idx = listeners.indexOf(fn);
+
+        if (idx >= 0) {
+            listeners.splice(idx, 1);
+        }
+    }
+
+    emit(name, ...args) {
+        const listeners = this._listeners.get(name);
+
+        if (!listeners || listeners.length <= 0) {
+            return;
+        }
+
+        // copy, so listeners can unsubscribe while being invoked
+        [...listeners].forEach((fn) => fn(...args));
+    }
+
+    clear() {
+        this._listeners.clear();
+    }
+}
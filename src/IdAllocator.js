@@ -0,0 +1,139 @@
+// ids pack a slot index into the low bits and the slot's generation into the
+// high bits, so a recycled slot never hands out an id that was used before
+export const INDEX_BITS = 22;
+
+const INDEX_COUNT = 2 ** INDEX_BITS;
+
+export const indexOf = (id) => id % INDEX_COUNT;
+
+export const generationOf = (id) => Math.floor(id / INDEX_COUNT);
+
+export const toId = (index, generation) => generation * INDEX_COUNT + index;
+
+export class IdAllocator {
+    // index 0 is never used, so that no id is falsy
+    _generations = [0];
+    _alive = [false];
+    _free = [];
+
+    allocate() {
+        let index;
+
+        if (this._free.length > 0) {
+            index = this._free.pop();
+        } else {
+            index = this._generations.length;
+
+            if (index >= INDEX_COUNT) {
+                throw new Error(
+                    `Cannot allocate more than ${INDEX_COUNT - 1} ids`
+                );
+            }
+
+            this._generations.push(0);
+            this._alive.push(false);
+        }
+
+        this._alive[index] = true;
+
+        return toId(index, this._generations[index]);
+    }
+
+    release(id) {
+        if (!this.isAlive(id)) {
+            return false;
+        }
+
+        const index = indexOf(id);
+
+        this._alive[index] = false;
+        this._generations[index]++;
+        this._free.push(index);
+
+        return true;
+    }
+
+    isAlive(id) {
+        if (!Number.isInteger(id) || id < 0) {
+            return false;
+        }
+
+        const index = indexOf(id);
+
+        return (
+            this._alive[index] === true &&
+            this._generations[index] === generationOf(id)
+        );
+    }
+
+    getState() {
+        return {
+            generations: [...this._generations],
+            free: [...this._free],
+        };
+    }
+
+    // merge a saved state into this one. Slots keep the newest generation,
+    // and stay used if they are used in either
+    setState(state) {
+        const generations = state.generations;
+        const free = new Set(state.free);
+
+        for (let index = 1; index < generations.length; index++) {
+            if (index >= this._generations.length) {
+                this._generations.push(0);
+                this._alive.push(false);
+            }
+
+            const alive = this._alive[index] || !free.has(index);
+
+            this._generations[index] = Math.max(
+                this._generations[index],
+                generations[index]
+            );
+            this._alive[index] = alive;
+        }
+
+        this._free = [];
+
+        for (let index = this._generations.length - 1; index > 0; index--) {
+            if (!this._alive[index]) {
+                this._free.push(index);
+            }
+        }
+    }
+
+    // mark a specific id as used, ie, when loading saved entities. Ids of an
+    // older generation than the slot's are stale, claiming them would make
+    // handles to destroyed entities valid again
+    claim(id) {
+        const index = indexOf(id);
+        const generation = generationOf(id);
+
+        if (index === 0) {
+            throw new Error(`Invalid id ${id}`);
+        }
+
+        while (this._generations.length <= index) {
+            this._free.push(this._generations.length);
+            this._generations.push(0);
+            this._alive.push(false);
+        }
+
+        if (this._alive[index]) {
+            if (this._generations[index] === generation) {
+                return;
+            }
+
+            throw new Error(`Id ${id} is already in use`);
+        }
+
+        if (generation < this._generations[index]) {
+            throw new Error(`Id ${id} is stale`);
+        }
+
+        this._free.splice(this._free.indexOf(index), 1);
+        this._generations[index] = generation;
+        this._alive[index] = true;
+    }
+}
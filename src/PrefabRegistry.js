@@ -98,7 +98,7 @@ export class PrefabRegistry {
         return this._prefabs[name];
     }
 
-    create(world, name, properties = {}) {
+    create(world, name, properties = {}, id) {
         const prefab = this.get(name);
 
         if (!prefab) {
@@ -109,7 +109,7 @@ export class PrefabRegistry {
             return;
         }
 
-        const entity = world.createEntity();
+        const entity = world.createEntity(id);
 
         entity._qeligible = false;
         if (typeof properties.serializable !== 'undefined') {
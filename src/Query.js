@@ -1,11 +1,27 @@
-import { addBit, bitIntersection } from './util/bit-util';
+import { addBit, bitIntersection, hasBit } from './util/bit-util';
+
+// filters are Component classes, or `[Relation, target]` pairs. Archetypes
+// are matched on the Relation of a pair, its target is checked per entity
+const isPair = (filter) => Array.isArray(filter);
+
+const bitOf = (filter) => {
+    return (isPair(filter) ? filter[0] : filter).prototype._cbit;
+};
+
+const bitsOf = (filters) => {
+    return filters.reduce((s, c) => addBit(s, bitOf(c)), 0n);
+};
 
 export class Query {
     _cache = [];
-    _cacheSet = new Set();
+    _indices = new Map();
+    _archetypes = [];
     _onAddListeners = [];
     _onRemoveListeners = [];
+    _onChangeListeners = [];
+    _changedEntities = new Set();
     _immutableResult = true;
+    _owner = null;
 
     constructor(world, filters) {
         this._world = world;
@@ -13,16 +29,28 @@ export class Query {
         const any = filters.any || [];
         const all = filters.all || [];
         const none = filters.none || [];
+        const changed = filters.changed || [];
+
+        this._any = bitsOf(any);
+        this._all = bitsOf(all);
+        this._none = bitsOf(none.filter((c) => !isPair(c)));
+
+        this._anyComponents = bitsOf(any.filter((c) => !isPair(c)));
+        this._anyPairs = any.filter(isPair);
+        this._allPairs = all.filter(isPair);
+        this._nonePairs = none.filter(isPair);
+        this._hasPairs =
+            this._anyPairs.length > 0 ||
+            this._allPairs.length > 0 ||
+            this._nonePairs.length > 0;
+
+        this._changed = changed.reduce((s, c) => {
+            if (!c.trackChanges) {
+                console.warn(
+                    `Component "${c.name}" is used in a "changed" query filter but does not set "static trackChanges = true"`
+                );
+            }
 
-        this._any = any.reduce((s, c) => {
-            return addBit(s, c.prototype._cbit);
-        }, 0n);
-
-        this._all = all.reduce((s, c) => {
-            return addBit(s, c.prototype._cbit);
-        }, 0n);
-
-        this._none = none.reduce((s, c) => {
             return addBit(s, c.prototype._cbit);
         }, 0n);
 
@@ -31,6 +59,10 @@ export class Query {
                 ? true
                 : filters.immutableResult;
 
+        world._archetypes.forEach((archetype) => {
+            this._matchArchetype(archetype);
+        });
+
         this.refresh();
     }
 
@@ -42,17 +74,25 @@ export class Query {
         this._onRemoveListeners.push(fn);
     }
 
+    onComponentChanged(fn) {
+        this._onChangeListeners.push(fn);
+    }
+
     has(entity) {
-        return this._cacheSet.has(entity);
+        return this._indices.has(entity);
     }
 
     idx(entity) {
-        return this._cache.indexOf(entity);
+        const idx = this._indices.get(entity);
+
+        return idx === undefined ? -1 : idx;
     }
 
     matches(entity) {
-        const bits = entity._cbits;
+        return this.matchesBits(entity._cbits) && this._matchesPairs(entity);
+    }
 
+    matchesBits(bits) {
         const any = this._any === 0n || bitIntersection(bits, this._any) > 0;
         const all = bitIntersection(bits, this._all) === this._all;
         const none = bitIntersection(bits, this._none) === 0n;
@@ -61,23 +101,18 @@ export class Query {
     }
 
     candidate(entity) {
-        const isTracking = this._cacheSet.has(entity);
+        const isTracking = this.has(entity);
 
         if (!entity.isDestroyed && this.matches(entity)) {
             if (!isTracking) {
-                this._cache.push(entity);
-                this._cacheSet.add(entity);
-                this._onAddListeners.forEach((cb) => cb(entity));
+                this._add(entity);
             }
 
             return true;
         }
 
         if (isTracking) {
-            const idx = this._cache.indexOf(entity);
-            this._cache.splice(idx, 1);
-            this._cacheSet.delete(entity);
-            this._onRemoveListeners.forEach((cb) => cb(entity));
+            this._remove(entity);
         }
 
         return false;
@@ -85,13 +120,101 @@ export class Query {
 
     refresh() {
         this._cache = [];
-        this._cacheSet.clear();
-        this._world._entities.forEach((entity) => {
-            this.candidate(entity);
+        this._indices.clear();
+        this._archetypes.forEach((archetype) => {
+            archetype.entities.forEach((entity) => {
+                if (this._matchesPairs(entity)) {
+                    this._add(entity);
+                }
+            });
         });
     }
 
     get() {
+        if (this._changed !== 0n) {
+            return Array.from(this._changedEntities);
+        }
+
         return this._immutableResult ? [...this._cache] : this._cache;
     }
+
+    clearChanges() {
+        this._changedEntities.clear();
+    }
+
+    _matchesPairs(entity) {
+        if (!this._hasPairs) {
+            return true;
+        }
+
+        const related = ([clazz, target]) => entity.isRelated(clazz, target);
+
+        if (
+            this._anyPairs.length > 0 &&
+            bitIntersection(entity._cbits, this._anyComponents) === 0n &&
+            !this._anyPairs.some(related)
+        ) {
+            return false;
+        }
+
+        return this._allPairs.every(related) && !this._nonePairs.some(related);
+    }
+
+    _matchArchetype(archetype) {
+        if (this.matchesBits(archetype.mask)) {
+            archetype.queries.add(this);
+            this._archetypes.push(archetype);
+        }
+    }
+
+    _detach() {
+        this._archetypes.forEach((archetype) => {
+            archetype.queries.delete(this);
+        });
+        this._archetypes = [];
+    }
+
+    _add(entity) {
+        this._indices.set(entity, this._cache.length);
+        this._cache.push(entity);
+        this._onAddListeners.forEach((cb) => cb(entity));
+    }
+
+    // swap-remove: the last entity takes the place of the removed one
+    _remove(entity) {
+        const idx = this._indices.get(entity);
+
+        // entities of a matching archetype may still fail a pair filter
+        if (idx === undefined) {
+            return;
+        }
+        const last = this._cache.pop();
+
+        if (last !== entity) {
+            this._cache[idx] = last;
+            this._indices.set(last, idx);
+        }
+
+        this._indices.delete(entity);
+        this._changedEntities.delete(entity);
+        this._onRemoveListeners.forEach((cb) => cb(entity));
+    }
+
+    // with a `changed` filter, only changes to those components are tracked.
+    // Otherwise listeners hear about any tracked component on a matching entity
+    _componentChanged(entity, component) {
+        if (!this.has(entity)) {
+            return;
+        }
+
+        if (this._changed !== 0n) {
+            if (!hasBit(this._changed, component._cbit)) {
+                return;
+            }
+
+            this._changedEntities.add(entity);
+        }
+
+        this._onChangeListeners.forEach((cb) => cb(entity, component));
+    }
 }
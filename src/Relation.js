@@ -0,0 +1,52 @@
+import { Component } from './Component';
+import { Entity } from './Entity';
+import { deepClone } from './util/deep-clone';
+import { MARKERS } from './serialization/constants.js';
+
+// the target can be given as an Entity, an entity id, or a `$ref` marker
+// (ie, while an artifact is being loaded)
+const resolveTarget = (world, target) => {
+    if (target === null || target === undefined) {
+        return null;
+    }
+
+    if (target instanceof Entity) {
+        return target;
+    }
+
+    const id = typeof target === 'object' ? target[MARKERS.ENTITY_REF] : target;
+
+    return world.getEntity(id) || null;
+};
+
+export class Relation extends Component {
+    static allowMultiple = true;
+    static exclusive = false;
+    static onDelete = 'remove';
+    static properties = {
+        target: null,
+    };
+
+    serialize() {
+        const ob = {};
+
+        for (const key in this.constructor.properties) {
+            ob[key] = this[key];
+        }
+
+        ob.target = this.target ? this.target.id : null;
+
+        return deepClone(ob);
+    }
+
+    _onAttached(entity) {
+        this.target = resolveTarget(entity.world, this.target);
+        entity.world._relations.link(entity, this);
+        super._onAttached(entity);
+    }
+
+    _onDestroyed() {
+        this.entity.world._relations.unlink(this.entity, this);
+        super._onDestroyed();
+    }
+}
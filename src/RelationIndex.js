@@ -0,0 +1,100 @@
+export const ON_DELETE = {
+    CASCADE: 'cascade',
+    REMOVE: 'remove',
+    NULLIFY: 'nullify',
+};
+
+// Pairs are indexed by target here, and kept out of the component bitmask.
+// Archetypes only record that an entity has a Relation, and queries with
+// `[Relation, target]` filters check the target per entity, so relating
+// entities to many targets doesn't use up bits or create archetypes.
+export class RelationIndex {
+    _incoming = new Map();
+
+    constructor(world) {
+        this._world = world;
+    }
+
+    sources(clazz, target) {
+        const relations = this._incoming.get(target);
+
+        if (!relations) {
+            return [];
+        }
+
+        const result = [];
+
+        relations.forEach((relation) => {
+            if (relation instanceof clazz) {
+                result.push(relation.entity);
+            }
+        });
+
+        return result;
+    }
+
+    // `entity.add` moves the entity between queries afterwards
+    link(entity, relation) {
+        const target = relation.target;
+
+        if (!target) {
+            return;
+        }
+
+        let relations = this._incoming.get(target);
+
+        if (!relations) {
+            relations = new Set();
+            this._incoming.set(target, relations);
+        }
+
+        relations.add(relation);
+    }
+
+    unlink(entity, relation, target = relation.target) {
+        if (!target) {
+            return;
+        }
+
+        const relations = this._incoming.get(target);
+
+        if (relations) {
+            relations.delete(relation);
+
+            if (relations.size <= 0) {
+                this._incoming.delete(target);
+            }
+        }
+
+        entity._candidacy();
+    }
+
+    // apply the `onDelete` policy of every relation that targets the entity
+    targetDestroyed(target) {
+        const relations = this._incoming.get(target);
+
+        if (relations) {
+            [...relations].forEach((relation) => {
+                const source = relation.entity;
+
+                if (!source || source.isDestroyed) {
+                    return;
+                }
+
+                switch (relation.constructor.onDelete) {
+                    case ON_DELETE.CASCADE:
+                        source.destroy();
+                        break;
+                    case ON_DELETE.NULLIFY:
+                        relation.target = null;
+                        this.unlink(source, relation, target);
+                        break;
+                    default:
+                        source.remove(relation);
+                }
+            });
+        }
+
+        this._incoming.delete(target);
+    }
+}
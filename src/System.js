@@ -0,0 +1,75 @@
+export class System {
+    static queries = {};
+
+    enabled = true;
+    queries = {};
+    timing = {
+        last: 0,
+        total: 0,
+        calls: 0,
+    };
+
+    get name() {
+        return this.constructor.name;
+    }
+
+    get commands() {
+        return this.world.commands();
+    }
+
+    enable() {
+        this.enabled = true;
+    }
+
+    disable() {
+        this.enabled = false;
+    }
+
+    _onAttached(world) {
+        this.world = world;
+
+        for (const key in this.constructor.queries) {
+            this.queries[key] = world.createQuery(
+                this.constructor.queries[key]
+            );
+            this.queries[key]._owner = this;
+        }
+
+        this.onAttached(world);
+    }
+
+    _onDetached() {
+        const world = this.world;
+
+        for (const key in this.queries) {
+            world._removeQuery(this.queries[key]);
+        }
+
+        this.queries = {};
+        this.onDetached(world);
+        delete this.world;
+    }
+
+    _run(dt, now) {
+        const start = now();
+
+        this.update(dt);
+
+        const elapsed = now() - start;
+
+        this.timing.last = elapsed;
+        this.timing.total += elapsed;
+        this.timing.calls++;
+    }
+
+    // the system has read its changed queries, see World#tick
+    _clearChanges() {
+        for (const key in this.queries) {
+            this.queries[key].clearChanges();
+        }
+    }
+
+    onAttached(world) {}
+    onDetached(world) {}
+    update(dt) {}
+}
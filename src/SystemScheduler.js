@@ -0,0 +1,195 @@
+import { now } from './util/time-util';
+
+export const PHASES = ['preUpdate', 'update', 'postUpdate', 'render'];
+
+const toList = (value) => {
+    if (!value) {
+        return [];
+    }
+
+    return Array.isArray(value) ? value : [value];
+};
+
+// a reference is either a system instance or a System subclass
+const refersTo = (ref, system) => {
+    return (
+        ref === system || (typeof ref === 'function' && system instanceof ref)
+    );
+};
+
+export class SystemScheduler {
+    _entries = [];
+    _sequence = 0;
+    _ordered = null;
+
+    constructor(world) {
+        this._world = world;
+    }
+
+    add(system, options = {}) {
+        const phase = options.phase || 'update';
+
+        if (!PHASES.includes(phase)) {
+            const expected = PHASES.join(', ');
+
+            throw new Error(
+                `Unknown system phase "${phase}". Expected one of: ${expected}`
+            );
+        }
+
+        if (this.has(system)) {
+            throw new Error(
+                `System "${system.name}" is already added to this world`
+            );
+        }
+
+        const entry = {
+            system,
+            phase,
+            priority: options.priority || 0,
+            after: toList(options.after),
+            before: toList(options.before),
+            order: this._sequence++,
+        };
+
+        this._entries.push(entry);
+        this._ordered = null;
+
+        try {
+            this._order();
+        } catch (e) {
+            this._entries.splice(this._entries.indexOf(entry), 1);
+            this._ordered = null;
+            throw e;
+        }
+
+        system._onAttached(this._world);
+
+        return system;
+    }
+
+    remove(system) {
+        const idx = this._entries.findIndex((e) => e.system === system);
+
+        if (idx < 0) {
+            return false;
+        }
+
+        this._entries.splice(idx, 1);
+        this._ordered = null;
+        system._onDetached();
+
+        return true;
+    }
+
+    has(system) {
+        return this._entries.some((e) => e.system === system);
+    }
+
+    get(phase) {
+        return this._order()[phase].map((e) => e.system);
+    }
+
+    getAll() {
+        return PHASES.reduce((all, phase) => all.concat(this.get(phase)), []);
+    }
+
+    run(dt, afterEach) {
+        const ordered = this._order();
+
+        for (const phase of PHASES) {
+            for (const entry of ordered[phase]) {
+                if (!entry.system.enabled) {
+                    continue;
+                }
+
+                entry.system._run(dt, now);
+
+                if (afterEach) {
+                    afterEach(entry.system);
+                }
+            }
+        }
+    }
+
+    clear() {
+        [...this._entries].forEach((e) => this.remove(e.system));
+    }
+
+    _order() {
+        if (!this._ordered) {
+            this._ordered = {};
+
+            PHASES.forEach((phase) => {
+                this._ordered[phase] = this._sort(
+                    this._entries.filter((e) => e.phase === phase),
+                    phase
+                );
+            });
+        }
+
+        return this._ordered;
+    }
+
+    // topological sort (Kahn). When several systems are ready at once, the
+    // highest priority runs first, ties fall back to the order they were added.
+    // References to systems in another phase are ignored.
+    _sort(entries, phase) {
+        const edges = new Map(entries.map((e) => [e, new Set()]));
+        const inDegree = new Map(entries.map((e) => [e, 0]));
+
+        const link = (from, to) => {
+            if (from !== to && !edges.get(from).has(to)) {
+                edges.get(from).add(to);
+                inDegree.set(to, inDegree.get(to) + 1);
+            }
+        };
+
+        entries.forEach((entry) => {
+            entry.after.forEach((ref) => {
+                entries
+                    .filter((other) => refersTo(ref, other.system))
+                    .forEach((other) => link(other, entry));
+            });
+
+            entry.before.forEach((ref) => {
+                entries
+                    .filter((other) => refersTo(ref, other.system))
+                    .forEach((other) => link(entry, other));
+            });
+        });
+
+        const compare = (a, b) => b.priority - a.priority || a.order - b.order;
+        const ready = entries.filter((e) => inDegree.get(e) === 0);
+        const sorted = [];
+
+        while (ready.length > 0) {
+            ready.sort(compare);
+
+            const entry = ready.shift();
+
+            sorted.push(entry);
+
+            edges.get(entry).forEach((next) => {
+                inDegree.set(next, inDegree.get(next) - 1);
+
+                if (inDegree.get(next) === 0) {
+                    ready.push(next);
+                }
+            });
+        }
+
+        if (sorted.length !== entries.length) {
+            const cyclic = entries
+                .filter((e) => !sorted.includes(e))
+                .map((e) => e.system.name)
+                .join(', ');
+
+            throw new Error(
+                `Cyclic system ordering in phase "${phase}": ${cyclic}`
+            );
+        }
+
+        return sorted;
+    }
+}
@@ -0,0 +1,303 @@
+import { MARKERS } from './serialization/constants.js';
+
+export class SchemaError extends Error {
+    constructor(message, path) {
+        super(message);
+        this.name = 'SchemaError';
+        this.path = path;
+    }
+}
+
+const describeValue = (value) => {
+    if (value === null) {
+        return 'null';
+    }
+
+    if (Array.isArray(value)) {
+        return 'an array';
+    }
+
+    if (typeof value === 'string') {
+        return JSON.stringify(value);
+    }
+
+    if (typeof value === 'bigint') {
+        return `${value}n`;
+    }
+
+    return typeof value === 'object' ? 'an object' : String(value);
+};
+
+const inRange = (value, { min, max }) => {
+    if (min !== undefined && value < min) {
+        return `at least ${min}`;
+    }
+
+    if (max !== undefined && value > max) {
+        return `at most ${max}`;
+    }
+
+    return null;
+};
+
+export class Type {
+    constructor(name, options, check, fallback) {
+        this.name = name;
+        this.options = options;
+        this._check = check;
+        this._fallback = fallback;
+    }
+
+    get default() {
+        return 'default' in this.options
+            ? this.options.default
+            : this._fallback;
+    }
+
+    // throws a SchemaError if the value doesn't match the type
+    validate(value, path = '') {
+        const problem = this._check(value, path);
+
+        if (problem) {
+            const name = path || 'value';
+            const got = describeValue(value);
+            const message = `${name} must be ${problem}, got ${got}`;
+
+            throw new SchemaError(message, path);
+        }
+    }
+}
+
+// a type factory can be called with options, ie `Types.int({ min: 0 })`, or
+// used as is, ie `Types.array(Types.string)`
+const defineType = (name, check, fallback) => {
+    const factory = (options = {}) =>
+        new Type(name, options, (v, path) => check(v, options, path), fallback);
+
+    factory.isTypeFactory = true;
+
+    return factory;
+};
+
+export const resolveType = (type) => {
+    if (type instanceof Type) {
+        return type;
+    }
+
+    if (typeof type === 'function' && type.isTypeFactory) {
+        return type();
+    }
+
+    throw new SchemaError(`${describeValue(type)} is not a schema type`);
+};
+
+const checkNumber = (v, options, name) => {
+    if (typeof v !== 'number' || Number.isNaN(v)) {
+        return name;
+    }
+
+    return inRange(v, options);
+};
+
+const int = defineType(
+    'int',
+    (v, options) => {
+        if (!Number.isInteger(v)) {
+            return 'an int';
+        }
+
+        return inRange(v, options);
+    },
+    0
+);
+
+const number = defineType('number', (v, o) => checkNumber(v, o, 'a number'), 0);
+
+const float = defineType('float', (v, o) => checkNumber(v, o, 'a float'), 0);
+
+const string = defineType(
+    'string',
+    (v, { oneOf }) => {
+        if (typeof v !== 'string') {
+            return 'a string';
+        }
+
+        if (oneOf && !oneOf.includes(v)) {
+            return `one of ${oneOf.map(describeValue).join(', ')}`;
+        }
+
+        return null;
+    },
+    ''
+);
+
+const bool = defineType(
+    'bool',
+    (v) => (typeof v === 'boolean' ? null : 'a bool'),
+    false
+);
+
+const bigint = defineType(
+    'bigint',
+    (v, options) => {
+        if (typeof v !== 'bigint') {
+            return 'a bigint';
+        }
+
+        return inRange(v, options);
+    },
+    0n
+);
+
+const date = defineType(
+    'date',
+    (v) => {
+        if (!(v instanceof Date) || Number.isNaN(v.getTime())) {
+            return 'a date';
+        }
+
+        return null;
+    },
+    new Date(0)
+);
+
+// an Entity, an entity id, a `$ref` marker (while an artifact is being
+// loaded), or null. Entities are duck-typed, since importing Entity here
+// would be circular
+const isEntity = (v) => typeof v === 'object' && 'id' in v && 'components' in v;
+
+const entity = defineType(
+    'entity',
+    (v) => {
+        if (v === null || isEntity(v)) {
+            return null;
+        }
+
+        if (typeof v === 'string' || typeof v === 'number') {
+            return null;
+        }
+
+        if (typeof v === 'object' && MARKERS.ENTITY_REF in v) {
+            return null;
+        }
+
+        return 'an entity';
+    },
+    null
+);
+
+const array = (items, options = {}) => {
+    const itemType = items ? resolveType(items) : null;
+    const check = (v, { minLength, maxLength }, path) => {
+        if (!Array.isArray(v)) {
+            return 'an array';
+        }
+
+        if (minLength !== undefined && v.length < minLength) {
+            return `an array of at least ${minLength} items`;
+        }
+
+        if (maxLength !== undefined && v.length > maxLength) {
+            return `an array of at most ${maxLength} items`;
+        }
+
+        if (itemType) {
+            v.forEach((item, i) => itemType.validate(item, `${path}[${i}]`));
+        }
+
+        return null;
+    };
+
+    return defineType('array', check, [])(options);
+};
+
+array.isTypeFactory = true;
+
+const object = (shape, options = {}) => {
+    const fields = shape ? normalizeSchema(shape) : null;
+    const check = (v, o, path) => {
+        if (!v || typeof v !== 'object' || Array.isArray(v)) {
+            return 'an object';
+        }
+
+        if (fields) {
+            validateSchema(fields, v, { path });
+        }
+
+        return null;
+    };
+
+    return defineType(
+        'object',
+        check,
+        fields ? defaultsOf(fields) : {}
+    )(options);
+};
+
+object.isTypeFactory = true;
+
+const optional = (type, options = {}) => {
+    const inner = resolveType(type);
+    const check = (v, o, path) => {
+        if (v === null || v === undefined) {
+            return null;
+        }
+
+        inner.validate(v, path);
+
+        return null;
+    };
+
+    return defineType(`optional ${inner.name}`, check, null)(options);
+};
+
+export const Types = {
+    int,
+    number,
+    float,
+    string,
+    bool,
+    bigint,
+    date,
+    entity,
+    array,
+    object,
+    optional,
+};
+
+export const normalizeSchema = (schema) => {
+    const fields = {};
+
+    for (const key in schema) {
+        fields[key] = resolveType(schema[key]);
+    }
+
+    return fields;
+};
+
+export const defaultsOf = (schema) => {
+    const defaults = {};
+
+    for (const key in schema) {
+        defaults[key] = resolveType(schema[key]).default;
+    }
+
+    return defaults;
+};
+
+// check every field of the schema. With `partial`, missing fields are skipped
+export const validateSchema = (
+    schema,
+    data,
+    { path = '', partial = false } = {}
+) => {
+    for (const key in schema) {
+        const value = data[key];
+
+        if (partial && value === undefined) {
+            continue;
+        }
+
+        resolveType(schema[key]).validate(value, path ? `${path}.${key}` : key);
+    }
+};
@@ -1,22 +1,72 @@
 import { Entity } from './Entity';
 import { Query } from './Query';
+import { Archetype } from './Archetype';
+import { SystemScheduler } from './SystemScheduler';
+import { CommandBuffer } from './CommandBuffer';
+import { RelationIndex } from './RelationIndex';
+import { ColumnStore } from './ColumnStore';
+import { IdAllocator } from './IdAllocator';
+import { EventBus, WORLD_EVENTS } from './EventBus';
 import { camelString } from './util/string-util';
+import { Random, randomSeed } from './util/random';
 import { ArtifactSerializer } from './serialization/ArtifactSerializer.js';
 import { ArtifactDeserializer } from './serialization/ArtifactDeserializer.js';
-import { ArtifactValidator } from './serialization/ArtifactValidator.js';
+import { ArtifactValidator, ValidationError } from './serialization/ArtifactValidator.js';
+import { isBinaryArtifact, encodeBinary } from './serialization/BinaryCodec.js';
+import { isCompressedArtifact } from './serialization/Compression.js';
+import { createDelta, isDelta } from './serialization/ArtifactDelta.js';
+import { hasCurrentVersions } from './serialization/ComponentMigrations.js';
+import { toNDJSON } from './serialization/ArtifactStream.js';
+import { verifyEntitiesChecksum } from './serialization/SerializationHelpers.js';
 import { LEGACY_SCHEMA_VERSION, CURRENT_SCHEMA_VERSION } from './serialization/constants.js';
 
 export class World {
     _id = 0;
     _queries = [];
     _entities = new Map();
+    _archetypes = new Map();
+    _columns = new Map();
 
-    constructor(engine) {
+    constructor(engine, options = {}) {
         this.engine = engine;
+        this.options = { numericIds: false, seed: null, ...options };
+        this._ids = this.options.numericIds ? new IdAllocator() : null;
+
+        // ids come from their own stream, so that game code using
+        // `world.random` doesn't change them
+        const seed = this.options.seed ?? randomSeed();
+
+        this.random = new Random(seed);
+        this._idRandom = new Random(`${seed}:ids`);
+        this._root = this._getArchetype(0n);
+        this._systems = new SystemScheduler(this);
+        this._commands = new CommandBuffer(this);
+        this._relations = new RelationIndex(this);
+        this._events = new EventBus();
     }
 
     createId() {
-        return ++this._id + Math.random().toString(36).substr(2, 9);
+        if (this._ids) {
+            return this._ids.allocate();
+        }
+
+        return ++this._id + this._idRandom.next().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Check whether an entity, or an entity id, still refers to a live
+     * entity. With `numericIds`, ids of destroyed entities are never
+     * confused with the entities that reuse their slot
+     *
+     * @param {Entity|string|number} handle - Entity or entity id
+     * @returns {boolean} True if the entity exists in this world
+     */
+    isAlive(handle) {
+        if (handle instanceof Entity) {
+            return this._entities.get(handle.id) === handle;
+        }
+
+        return this._entities.has(handle);
     }
 
     getEntity(id) {
@@ -28,9 +78,16 @@ export class World {
     }
 
     createEntity(id = this.createId()) {
+        if (this._ids && Number.isInteger(id)) {
+            this._ids.claim(id);
+        }
+
         const entity = new Entity(this, id);
 
         this._entities.set(id, entity);
+        this._root._add(entity);
+        this._root.queries.forEach((q) => q._add(entity));
+        this.emit(WORLD_EVENTS.ENTITY_CREATED, entity);
 
         return entity;
     }
@@ -50,10 +107,60 @@ export class World {
     }
 
     destroy() {
+        this._systems.clear();
+        this._commands.clear();
         this.destroyEntities();
         this._id = 0;
+        this._ids = this.options.numericIds ? new IdAllocator() : null;
         this._queries = [];
         this._entities = new Map();
+        this._archetypes = new Map();
+        this._root = this._getArchetype(0n);
+        this._relations = new RelationIndex(this);
+        this._columns = new Map();
+    }
+
+    /**
+     * Listen to world events: `entityCreated`, `entityDestroyed`,
+     * `componentAdded`, `componentRemoved`, `entityEvent` for every event
+     * fired on an entity, or custom events sent with `emit`
+     *
+     * @param {string} name - Event name
+     * @param {Function} fn - Listener
+     * @returns {Function} Function that removes the listener
+     */
+    on(name, fn) {
+        return this._events.on(name, fn);
+    }
+
+    once(name, fn) {
+        return this._events.once(name, fn);
+    }
+
+    off(name, fn) {
+        this._events.off(name, fn);
+    }
+
+    emit(name, ...args) {
+        this._events.emit(name, ...args);
+    }
+
+    /**
+     * Get the typed array columns of a component class with `soa` storage.
+     * Columns are replaced when they grow, so don't keep them across adds
+     *
+     * @param {Function} clazz - Component class
+     * @returns {ColumnStore} The store, with `size`, `columns` and `entities`
+     */
+    getColumns(clazz) {
+        let store = this._columns.get(clazz);
+
+        if (!store) {
+            store = new ColumnStore(clazz);
+            this._columns.set(clazz, store);
+        }
+
+        return store;
     }
 
     createQuery(filters) {
@@ -64,6 +171,71 @@ export class World {
         return query;
     }
 
+    /**
+     * Add a system to be run by `tick`
+     *
+     * @param {System} system - System instance
+     * @param {Object} [options={}] - Scheduling options
+     * @param {string} [options.phase='update'] - preUpdate | update | postUpdate | render
+     * @param {number} [options.priority=0] - Higher priorities run first within a phase
+     * @param {System|Function|Array} [options.after] - Systems (or System classes) this one runs after
+     * @param {System|Function|Array} [options.before] - Systems (or System classes) this one runs before
+     * @returns {System} The added system
+     */
+    addSystem(system, options = {}) {
+        return this._systems.add(system, options);
+    }
+
+    removeSystem(system) {
+        return this._systems.remove(system);
+    }
+
+    getSystems(phase) {
+        return phase ? this._systems.get(phase) : this._systems.getAll();
+    }
+
+    /**
+     * Run every enabled system once, phase by phase. Deferred commands are
+     * flushed after each system. A system's changed queries are cleared once
+     * it has run, so it sees every change made since its previous run, even
+     * by systems in later phases. Other queries are cleared at the end
+     *
+     * @param {number} dt - Time elapsed since the previous tick
+     */
+    tick(dt) {
+        this._systems.run(dt, (system) => {
+            this.flush();
+            system._clearChanges();
+        });
+        this.flush();
+        this._queries.forEach((q) => {
+            if (!q._owner) {
+                q.clearChanges();
+            }
+        });
+    }
+
+    /**
+     * Forget which components changed, for every query
+     */
+    clearChanges() {
+        this._queries.forEach((q) => q.clearChanges());
+    }
+
+    /**
+     * Get the world's command buffer. Structural changes recorded on it are
+     * deferred until `flush`, which `tick` calls after every system
+     *
+     * @returns {CommandBuffer} Command buffer
+     */
+    commands() {
+        return this._commands;
+    }
+
+    flush() {
+        this._commands.flush();
+    }
+
     createPrefab(name, properties = {}) {
         return this.engine._prefabs.create(this, name, properties);
     }
@@ -133,7 +305,8 @@ export class World {
      * Advanced serialization with metadata, validation, and options
      *
      * @param {Object} [options={}] - Serialization options
-     * @returns {Object} Artifact object
+     * @returns {Object|Uint8Array|Promise<Uint8Array>} Artifact object, bytes if `format` is 'binary',
+     * or a promise of compressed bytes if `compress` is set
      */
     createArtifact(options = {}) {
         const serializer = new ArtifactSerializer(this, options);
@@ -144,12 +317,12 @@ export class World {
      * Load an artifact (save state) into the world
      * Supports both legacy format and new artifact format with auto-detection
      *
-     * @param {Object} artifact - Artifact object to load
+     * @param {Object|Uint8Array} artifact - Artifact object, or binary or compressed artifact, to load
      * @param {Object} [options={}] - Load options
      * @param {boolean} [options.validate=true] - Validate artifact before loading
-     * @param {boolean} [options.autoMigrate=true] - Automatically migrate to current schema
+     * @param {boolean} [options.autoMigrate=true] - Automatically migrate to the current schema and component versions
      * @param {Object} [options.validationOptions] - Options for ArtifactValidator
-     * @returns {Array} Array of loaded entities
+     * @returns {Array|Promise<Array>} Array of loaded entities, or a promise of them for compressed artifacts
      */
     loadArtifact(artifact, options = {}) {
         const {
@@ -159,25 +332,64 @@ export class World {
             ...deserializeOptions
         } = options;
 
+        // Compressed artifacts are decompressed asynchronously
+        if (isCompressedArtifact(artifact)) {
+            return ArtifactDeserializer.fromCompressed(artifact).then(
+                (decompressed) => this.loadArtifact(decompressed, options)
+            );
+        }
+
+        // Auto-detect binary format
+        if (isBinaryArtifact(artifact)) {
+            artifact = ArtifactDeserializer.fromBinary(artifact);
+        }
+
         // Auto-detect legacy format (no meta block)
         if (!artifact.meta) {
+            // Legacy artifacts have no signature to verify
+            if (validate && validationOptions.signingKey) {
+                throw new ValidationError('Artifact is not signed', 'SIGNATURE_INVALID');
+            }
+
             // Legacy format: use existing deserialize method
             this.deserialize(artifact);
             return Array.from(this._entities.values());
         }
 
+        // Checksums and signatures cover the artifact as it was saved, so
+        // check them before migrating
+        if (validate) {
+            const validator = new ArtifactValidator(this.engine, validationOptions);
+            validator.validateIntegrity(artifact);
+        }
+
         // Apply auto-migration if enabled
         let processedArtifact = artifact;
         if (autoMigrate) {
             const sourceVersion = artifact.meta?.schemaVersion ?? 0;
             if (sourceVersion !== CURRENT_SCHEMA_VERSION) {
-                processedArtifact = this.engine._migrations.migrate(artifact, CURRENT_SCHEMA_VERSION);
+                processedArtifact = this.engine._migrations.migrate(
+                    artifact,
+                    CURRENT_SCHEMA_VERSION,
+                    null,
+                    this.engine._components
+                );
             }
+
+            // Upgrade components saved with older component versions
+            processedArtifact = this.engine._componentMigrations.upgradeArtifact(
+                processedArtifact,
+                this.engine._components
+            );
         }
 
         // Validate artifact if enabled
         if (validate) {
-            const validator = new ArtifactValidator(this.engine, validationOptions);
+            const validator = new ArtifactValidator(this.engine, {
+                ...validationOptions,
+                validateChecksum: false,
+                signingKey: null,
+            });
             validator.validate(processedArtifact);
         }
 
@@ -187,49 +399,318 @@ export class World {
     }
 
     /**
-     * Validate an artifact for integrity and compatibility
+     * Stream an artifact of the world, one entity at a time, ie, to save
+     * worlds that are too large to serialize in one go
+     *
+     * @param {Object} [options={}] - Serialization options, as for createArtifact
+     * @param {string} [options.format='json'] - 'json' for record objects, 'ndjson' for lines of text
+     * @returns {AsyncGenerator} Header record, one record per entity, then a footer record
+     */
+    async *streamArtifact(options = {}) {
+        const serializer = new ArtifactSerializer(this, options);
+        const records = serializer.serializeStream();
+
+        if (options.format === 'ndjson') {
+            yield* toNDJSON(records);
+        } else {
+            yield* records;
+        }
+    }
+
+    /**
+     * Load a streamed artifact into the world, one entity at a time
+     *
+     * @param {Iterable|AsyncIterable} source - Stream records, or NDJSON chunks (ie, a file read stream)
+     * @param {Object} [options={}] - Load options
+     * @param {boolean} [options.validate=true] - Validate records as they are read
+     * @param {boolean} [options.verifyBeforeLoading=false] - Only add entities once the footer is verified
+     * @param {Object} [options.validationOptions] - Options for ArtifactValidator
+     * @returns {Promise<Array>} Array of loaded entities
+     */
+    loadArtifactStream(source, options = {}) {
+        const {
+            validate = true,
+            validationOptions = {},
+            ...deserializeOptions
+        } = options;
+
+        const validator = validate
+            ? new ArtifactValidator(this.engine, validationOptions)
+            : null;
+        const deserializer = new ArtifactDeserializer(this, deserializeOptions);
+
+        return deserializer.deserializeStream(source, validator);
+    }
+
+    /**
+     * Create a delta artifact with the changes since a baseline artifact
      *
-     * @param {Object} artifact - Artifact to validate
-     * @returns {Object} Validation result {valid: boolean, errors: Array}
+     * @param {Object|Uint8Array} baseline - Artifact to compare against
+     * @param {Object} [options={}] - Serialization options, as for createArtifact
+     * @param {boolean} [options.checksum=false] - Add a checksum of the delta
+     * @returns {Object|Uint8Array} Delta artifact, or bytes if `format` is 'binary'
      */
-    validateArtifact(artifact) {
-        // Phase 3: Will be implemented with ArtifactValidator
-        // For now, basic validation
-        const errors = [];
+    createDelta(baseline, options = {}) {
+        if (isBinaryArtifact(baseline)) {
+            baseline = ArtifactDeserializer.fromBinary(baseline);
+        }
+
+        const current = this.createArtifact({
+            ...options,
+            format: 'json',
+            includeMetadata: true,
+            checksum: false,
+            signingKey: null,
+            compress: null,
+        });
+        const delta = createDelta(baseline, current, options);
+
+        return options.format === 'binary' ? encodeBinary(delta) : delta;
+    }
 
-        if (!artifact.entities || !Array.isArray(artifact.entities)) {
-            errors.push('Missing or invalid entities array');
+    /**
+     * Apply a delta artifact to the world
+     *
+     * @param {Object|Uint8Array} delta - Delta artifact
+     * @param {Object} [options={}] - Load options
+     * @param {boolean} [options.validate=true] - Validate the delta before applying it
+     * @param {boolean} [options.autoMigrate=true] - Upgrade components saved with older component versions
+     * @param {boolean} [options.checkBaseline] - Check that the world matches the delta's baseline first. Defaults to true when the delta has a baseline checksum, and was saved with the current component versions
+     * @param {Object} [options.validationOptions] - Options for ArtifactValidator
+     * @returns {Object} Touched entities {added, removed, changed}
+     */
+    applyDelta(delta, options = {}) {
+        const {
+            validate = true,
+            autoMigrate = true,
+            checkBaseline,
+            validationOptions = {},
+            ...deserializeOptions
+        } = options;
+
+        if (isBinaryArtifact(delta)) {
+            delta = ArtifactDeserializer.fromBinary(delta);
         }
 
-        if (artifact.meta && artifact.meta.schemaVersion === undefined) {
-            errors.push('Missing schema version in metadata');
+        if (validate) {
+            const validator = new ArtifactValidator(this.engine, validationOptions);
+            validator.validateIntegrity(delta);
         }
 
-        return {
-            valid: errors.length === 0,
-            errors
-        };
+        // the baseline checksum is of entities saved with the delta's
+        // component versions, the world can only match it at the same ones
+        const shouldCheckBaseline =
+            checkBaseline ??
+            (Boolean(delta?.meta?.baseline) &&
+                hasCurrentVersions(delta.meta.componentVersions, this.engine._components));
+
+        // Upgrade components saved with older component versions
+        if (autoMigrate && isDelta(delta)) {
+            delta = this.engine._componentMigrations.upgradeDelta(
+                delta,
+                this.engine._components
+            );
+        }
+
+        if (validate) {
+            const validator = new ArtifactValidator(this.engine, {
+                ...validationOptions,
+                validateChecksum: false,
+                signingKey: null,
+            });
+            validator.validate(delta);
+        }
+
+        if (shouldCheckBaseline) {
+            const { entities } = this.createArtifact({ includeMetadata: false });
+
+            if (!verifyEntitiesChecksum(entities, delta.meta.baseline)) {
+                throw new ValidationError(
+                    'Delta baseline does not match the world',
+                    'BASELINE_MISMATCH'
+                );
+            }
+        }
+
+        const deserializer = new ArtifactDeserializer(this, deserializeOptions);
+        return deserializer.applyDelta(delta);
     }
 
     /**
-     * Migrate an artifact to the current schema version
+     * Validate an artifact for integrity and compatibility, without
+     * throwing. Every problem is reported, not only the first
+     *
+     * @param {Object|Uint8Array} artifact - Artifact object, or binary artifact, to validate
+     * @param {Object} [validationOptions={}] - Options for ArtifactValidator
+     * @returns {Object} Validation result {valid: boolean, errors: [{code, path, message}]}
+     */
+    validateArtifact(artifact, validationOptions = {}) {
+        if (isBinaryArtifact(artifact)) {
+            try {
+                artifact = ArtifactDeserializer.fromBinary(artifact);
+            } catch (err) {
+                return {
+                    valid: false,
+                    errors: [
+                        {
+                            code: err.code || 'INVALID_STRUCTURE',
+                            path: '',
+                            message: err.message,
+                        },
+                    ],
+                };
+            }
+        }
+
+        const validator = new ArtifactValidator(this.engine, validationOptions);
+        return validator.report(artifact);
+    }
+
+    /**
+     * Migrate an artifact to a schema version with the engine's migrations.
+     * Migrating to the current schema version also upgrades components
+     * saved with older component versions, the same way loadArtifact does.
+     * Migration functions may change the artifact; use
+     * `engine.previewMigration` to migrate a copy
      *
      * @param {Object} artifact - Artifact to migrate
-     * @param {number} [targetVersion] - Target schema version (defaults to current)
+     * @param {number} [targetVersion=CURRENT_SCHEMA_VERSION] - Target schema version
      * @returns {Object} Migrated artifact
+     * @throws {Error} If there is no migration path
      */
-    migrateArtifact(artifact, targetVersion) {
-        // Phase 3: Will be implemented with MigrationRegistry
-        // For now, return artifact unchanged
-        console.warn('Migration not yet implemented - returning artifact unchanged');
-        return artifact;
+    migrateArtifact(artifact, targetVersion = CURRENT_SCHEMA_VERSION) {
+        const migrated = this.engine._migrations.migrate(
+            artifact,
+            targetVersion,
+            null,
+            this.engine._components
+        );
+
+        if (targetVersion !== CURRENT_SCHEMA_VERSION) {
+            return migrated;
+        }
+
+        return this.engine._componentMigrations.upgradeArtifact(
+            migrated,
+            this.engine._components
+        );
     }
 
+    // state saved by `createArtifact({ includeWorldState: true })`: the id
+    // counter, id allocator and random streams
+    _getState() {
+        const state = {
+            nextId: this._id,
+            random: this.random.getState(),
+            idRandom: this._idRandom.getState(),
+        };
+
+        if (this._ids) {
+            state.ids = this._ids.getState();
+        }
+
+        return state;
+    }
+
+    _setState(state) {
+        // never go back, so ids created after loading can't collide
+        if (state.nextId !== undefined) {
+            this._id = Math.max(this._id, state.nextId);
+        }
+
+        if (state.ids && this._ids) {
+            this._ids.setState(state.ids);
+        }
+
+        if (state.random !== undefined) {
+            this.random.setState(state.random);
+        }
+
+        if (state.idRandom !== undefined) {
+            this._idRandom.setState(state.idRandom);
+        }
+    }
+
+    // move the entity to the archetype matching its current components, and
+    // only notify the queries that differ between the two archetypes. Queries
+    // with `[Relation, target]` filters check the entity's relations again
     _candidate(entity) {
-        this._queries.forEach((q) => q.candidate(entity));
+        const from = entity._archetype;
+
+        if (!from) {
+            return;
+        }
+
+        let to = from._transitions.get(entity._cbits);
+
+        if (!to) {
+            to = this._getArchetype(entity._cbits);
+            from._transitions.set(entity._cbits, to);
+        }
+
+        if (from !== to) {
+            from._remove(entity);
+            to._add(entity);
+
+            from.queries.forEach((q) => {
+                if (!to.queries.has(q)) {
+                    q._remove(entity);
+                }
+            });
+        }
+
+        to.queries.forEach((q) => {
+            if (q._hasPairs) {
+                q.candidate(entity);
+            } else if (!from.queries.has(q)) {
+                q._add(entity);
+            }
+        });
+    }
+
+    _removeQuery(query) {
+        const idx = this._queries.indexOf(query);
+
+        if (idx >= 0) {
+            this._queries.splice(idx, 1);
+            query._detach();
+        }
+    }
+
+    _componentChanged(component) {
+        const entity = component.entity;
+
+        if (entity._archetype) {
+            entity._archetype.queries.forEach((q) =>
+                q._componentChanged(entity, component)
+            );
+        }
+    }
+
+    _getArchetype(mask) {
+        let archetype = this._archetypes.get(mask);
+
+        if (!archetype) {
+            archetype = new Archetype(mask);
+            this._archetypes.set(mask, archetype);
+            this._queries.forEach((q) => q._matchArchetype(archetype));
+        }
+
+        return archetype;
     }
 
-    _destroyed(id) {
-        return this._entities.delete(id);
+    _destroyed(entity) {
+        const archetype = entity._archetype;
+
+        if (archetype) {
+            archetype._remove(entity);
+            archetype.queries.forEach((q) => q._remove(entity));
+        }
+
+        if (this._ids) {
+            this._ids.release(entity.id);
+        }
+
+        return this._entities.delete(entity.id);
     }
 }
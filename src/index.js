@@ -1,8 +1,44 @@
 export { Engine } from './Engine';
 export { Component } from './Component';
+export { Relation } from './Relation';
+export { ON_DELETE } from './RelationIndex';
+export { ChildOf } from './ChildOf';
+export { System } from './System';
+export { PHASES } from './SystemScheduler';
+export { CommandBuffer } from './CommandBuffer';
+export { EventBus, WORLD_EVENTS } from './EventBus';
+export { EventHandlerError } from './EntityEvent';
+export { Types, SchemaError } from './Types';
+export { ColumnStore, STORAGE } from './ColumnStore';
 
 // Serialization utilities
 export { CURRENT_SCHEMA_VERSION, LEGACY_SCHEMA_VERSION, MARKERS } from './serialization/constants.js';
-export { bigintReplacer, bigintReviver } from './serialization/SerializationHelpers.js';
+export { bigintReplacer, bigintReviver, signArtifact } from './serialization/SerializationHelpers.js';
 export { MigrationRegistry } from './serialization/MigrationRegistry.js';
+export {
+    renameComponent,
+    renameField,
+    setDefault,
+    dropComponent,
+    splitComponent,
+    mapValues,
+} from './serialization/MigrationHelpers.js';
+export { previewMigration } from './serialization/MigrationPreview.js';
 export { ArtifactValidator, ValidationError } from './serialization/ArtifactValidator.js';
+export { createRegistrySnapshot, diffRegistry, DRIFT } from './serialization/RegistrySnapshot.js';
+export { encodeBinary, decodeBinary, isBinaryArtifact } from './serialization/BinaryCodec.js';
+export { createDelta, applyDelta, isDelta } from './serialization/ArtifactDelta.js';
+export { STREAM_RECORD, toNDJSON, readArtifactStream } from './serialization/ArtifactStream.js';
+export {
+    registerChecksumAlgorithm,
+    hasChecksumAlgorithm,
+    createChecksum,
+    createHmac,
+    registerSignatureAlgorithm,
+    DEFAULT_CHECKSUM_ALGORITHM,
+} from './serialization/Checksums.js';
+export {
+    compressArtifact,
+    decompressArtifact,
+    isCompressedArtifact,
+} from './serialization/Compression.js';
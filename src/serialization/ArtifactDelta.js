@@ -0,0 +1,274 @@
+/**
+ * Delta artifacts for Geotic ECS
+ * Describe the difference between two artifacts as added and removed
+ * entities, and per-component patches of the entities they share
+ *
+ * Delta layout:
+ *   meta.type      - always 'delta'
+ *   meta.baseline  - checksum of the entities the delta applies to
+ *   meta.target    - checksum of the entities after applying the delta
+ *   meta.checksum  - checksum of the delta itself (optional)
+ *   meta.signature - HMAC signature of the delta (optional)
+ *   meta.componentVersions - versions of the components in the delta
+ *   added          - entities that are new, in full
+ *   removed        - IDs of entities that no longer exist
+ *   changed        - [{ id, set: { component: data }, unset: [component] }]
+ *   order          - entity IDs in their new order, only if it changed
+ */
+
+import {
+    canonicalStringify,
+    calculateChecksum,
+    checksumEntities,
+    verifyEntitiesChecksum,
+    signArtifact,
+} from './SerializationHelpers.js';
+import {
+    checksumAlgorithmOf,
+    DEFAULT_CHECKSUM_ALGORITHM,
+} from './Checksums.js';
+import { CURRENT_SCHEMA_VERSION } from './constants.js';
+import { ValidationError } from './ArtifactValidator.js';
+
+/**
+ * Value of `meta.type` for delta artifacts
+ */
+export const DELTA_TYPE = 'delta';
+
+/**
+ * Check if an artifact is a delta
+ *
+ * @param {Object} artifact - Artifact to check
+ * @returns {boolean} True if the artifact is a delta
+ */
+export function isDelta(artifact) {
+    return Boolean(
+        artifact && artifact.meta && artifact.meta.type === DELTA_TYPE
+    );
+}
+
+/**
+ * Calculate the checksum of a delta's payload
+ *
+ * @param {Object} delta - Delta artifact
+ * @param {string} [algorithm=DEFAULT_CHECKSUM_ALGORITHM] - Checksum algorithm
+ * @returns {string} Checksum, prefixed with the algorithm name
+ */
+export function checksumDelta(delta, algorithm = DEFAULT_CHECKSUM_ALGORITHM) {
+    const { added, removed, changed, order } = delta;
+    return calculateChecksum(
+        canonicalStringify({ added, removed, changed, order }),
+        algorithm
+    );
+}
+
+/**
+ * Split a serialized entity into its ID and components
+ *
+ * @private
+ * @param {Object} entity - Serialized entity
+ * @returns {Object} Component data by name
+ */
+function componentsOf(entity) {
+    const { id, ...components } = entity;
+    return components;
+}
+
+/**
+ * Apply changes to the entities of an artifact, without validation
+ *
+ * @private
+ * @param {Array} entities - Serialized entities
+ * @param {Object} delta - Delta artifact
+ * @returns {Array} New serialized entities
+ */
+function patchEntities(entities, delta) {
+    const removed = new Set(delta.removed);
+    const changes = new Map(delta.changed.map((change) => [change.id, change]));
+
+    const result = entities
+        .filter((entity) => !removed.has(entity.id))
+        .map((entity) => {
+            const change = changes.get(entity.id);
+
+            if (!change) {
+                return entity;
+            }
+
+            const patched = { ...entity, ...change.set };
+            (change.unset || []).forEach((name) => delete patched[name]);
+            return patched;
+        });
+
+    result.push(...delta.added);
+
+    if (delta.order) {
+        const byId = new Map(result.map((entity) => [entity.id, entity]));
+        return delta.order.map((id) => byId.get(id));
+    }
+
+    return result;
+}
+
+/**
+ * Create a delta from a baseline artifact to a current artifact
+ *
+ * @param {Object} baseline - Artifact the delta starts from
+ * @param {Object} current - Artifact the delta leads to
+ * @param {Object} [options={}] - Delta options
+ * @param {boolean} [options.checksum=false] - Add a checksum of the delta
+ * @param {string} [options.checksumAlgorithm=DEFAULT_CHECKSUM_ALGORITHM] - Algorithm of all the delta's checksums
+ * @param {string|Uint8Array} [options.signingKey] - Secret key to sign the delta with
+ * @returns {Object} Delta artifact
+ */
+export function createDelta(baseline, current, options = {}) {
+    const { checksumAlgorithm = DEFAULT_CHECKSUM_ALGORITHM } = options;
+    const before = new Map(
+        baseline.entities.map((entity) => [entity.id, entity])
+    );
+    const after = new Set(current.entities.map((entity) => entity.id));
+
+    const delta = {
+        meta: {
+            type: DELTA_TYPE,
+            schemaVersion:
+                current.meta?.schemaVersion ?? CURRENT_SCHEMA_VERSION,
+            timestamp: Date.now(),
+            baseline: checksumEntities(baseline.entities, checksumAlgorithm),
+            target: checksumEntities(current.entities, checksumAlgorithm),
+        },
+        added: [],
+        removed: baseline.entities
+            .map((entity) => entity.id)
+            .filter((id) => !after.has(id)),
+        changed: [],
+    };
+
+    for (const entity of current.entities) {
+        const previous = before.get(entity.id);
+
+        if (!previous) {
+            delta.added.push(entity);
+            continue;
+        }
+
+        const prevComponents = componentsOf(previous);
+        const components = componentsOf(entity);
+        const set = {};
+        const unset = Object.keys(prevComponents).filter(
+            (name) => !(name in components)
+        );
+
+        for (const name in components) {
+            if (
+                canonicalStringify(components[name]) !==
+                canonicalStringify(prevComponents[name])
+            ) {
+                set[name] = components[name];
+            }
+        }
+
+        const hasSet = Object.keys(set).length > 0;
+
+        if (hasSet || unset.length > 0) {
+            const change = { id: entity.id };
+            if (hasSet) {
+                change.set = set;
+            }
+            if (unset.length > 0) {
+                change.unset = unset;
+            }
+            delta.changed.push(change);
+        }
+    }
+
+    // Only record the order if applying the delta wouldn't reproduce it
+    const ids = current.entities.map((entity) => entity.id);
+    const patchedIds = patchEntities(baseline.entities, delta).map(
+        (entity) => entity.id
+    );
+    if (ids.some((id, idx) => id !== patchedIds[idx])) {
+        delta.order = ids;
+    }
+
+    if (current.world) {
+        delta.world = current.world;
+    }
+
+    if (current.meta?.componentVersions) {
+        delta.meta.componentVersions = current.meta.componentVersions;
+    }
+
+    if (options.checksum) {
+        delta.meta.checksum = checksumDelta(delta, checksumAlgorithm);
+    }
+
+    if (options.signingKey) {
+        delta.meta.signature = signArtifact(delta, options.signingKey);
+    }
+
+    return delta;
+}
+
+/**
+ * Apply a delta to its baseline artifact, creating a new artifact
+ *
+ * @param {Object} baseline - Artifact the delta was created from
+ * @param {Object} delta - Delta artifact
+ * @returns {Object} New artifact
+ * @throws {ValidationError} If the baseline doesn't match, or the result isn't the delta's target
+ */
+export function applyDelta(baseline, delta) {
+    if (!isDelta(delta)) {
+        throw new ValidationError(
+            'Artifact is not a delta',
+            'INVALID_STRUCTURE'
+        );
+    }
+
+    if (!verifyEntitiesChecksum(baseline.entities, delta.meta.baseline)) {
+        throw new ValidationError(
+            'Delta baseline does not match the artifact',
+            'BASELINE_MISMATCH'
+        );
+    }
+
+    const entities = patchEntities(baseline.entities, delta);
+
+    if (
+        delta.meta.target &&
+        !verifyEntitiesChecksum(entities, delta.meta.target)
+    ) {
+        throw new ValidationError(
+            'Checksum mismatch - delta result does not match its target',
+            'CHECKSUM_MISMATCH'
+        );
+    }
+
+    const artifact = {
+        ...baseline,
+        entities,
+        meta: {
+            ...baseline.meta,
+            schemaVersion: delta.meta.schemaVersion,
+            timestamp: delta.meta.timestamp,
+        },
+    };
+
+    // The old checksum and signature don't match the new entities
+    delete artifact.meta.signature;
+
+    if (baseline.meta?.checksum) {
+        artifact.meta.checksum = checksumEntities(
+            entities,
+            checksumAlgorithmOf(baseline.meta.checksum)
+        );
+    }
+
+    const world = delta.world || baseline.world;
+    if (world) {
+        artifact.world = world;
+    }
+
+    return artifact;
+}
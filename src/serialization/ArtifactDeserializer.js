@@ -4,14 +4,39 @@
  */
 
 import { bigintReviver } from './SerializationHelpers.js';
-import { DEFAULT_DESERIALIZE_OPTIONS, MARKERS } from './constants.js';
+import { DEFAULT_DESERIALIZE_OPTIONS, CURRENT_SCHEMA_VERSION, MARKERS } from './constants.js';
 import { camelString } from '../util/string-util.js';
+import { decodeBinary } from './BinaryCodec.js';
+import { decompressArtifact } from './Compression.js';
+import { STREAM_RECORD, readArtifactStream, createStreamDigest } from './ArtifactStream.js';
+import { ValidationError } from './ArtifactValidator.js';
 
 export class ArtifactDeserializer {
     constructor(world, options = {}) {
         this.world = world;
         this.options = { ...DEFAULT_DESERIALIZE_OPTIONS, ...options };
         this.entityMap = new Map();
+        this.useWorldEntities = false;
+    }
+
+    /**
+     * Decode a binary artifact created with `format: 'binary'`
+     *
+     * @param {Uint8Array|ArrayBuffer} data - Encoded bytes
+     * @returns {Object} Artifact object
+     */
+    static fromBinary(data) {
+        return decodeBinary(data);
+    }
+
+    /**
+     * Decompress an artifact created with the `compress` option
+     *
+     * @param {Uint8Array|ArrayBuffer} data - Compressed bytes
+     * @returns {Promise<Object>} Artifact object
+     */
+    static fromCompressed(data) {
+        return decompressArtifact(data);
     }
 
     /**
@@ -40,6 +65,11 @@ export class ArtifactDeserializer {
         // Pass 3: Resolve entity references
         this._resolveEntityReferences(entities);
 
+        // Restore world state (id counter, RNG state) if the artifact has it
+        if (processedArtifact.world) {
+            this.world._setState(processedArtifact.world);
+        }
+
         // Apply afterDeserialize hook to each entity
         if (this.options.afterDeserialize) {
             entities.forEach(entity => {
@@ -50,6 +80,349 @@ export class ArtifactDeserializer {
         return entities;
     }
 
+    /**
+     * Deserialize a streamed artifact into the world, one entity at a time
+     *
+     * Components that reference an entity later in the stream are added once
+     * the whole stream is read. If loading fails, ie, the footer's checksum
+     * doesn't match, the entities loaded so far are destroyed again. With
+     * `verifyBeforeLoading`, records are kept until the footer is verified
+     * instead, so a stream that was tampered with never creates entities or
+     * emits world events, at the cost of holding the whole artifact in
+     * memory. The `beforeDeserialize` hook is not called, since it needs the
+     * whole artifact.
+     *
+     * @param {Iterable|AsyncIterable} source - Stream records, or NDJSON chunks
+     * @param {ArtifactValidator} [validator] - Validator for the records, if they should be validated
+     * @returns {Promise<Array>} Array of created entities
+     */
+    async deserializeStream(source, validator = null) {
+        const buffered = this.options.verifyBeforeLoading;
+        const records = [];
+        const deferred = [];
+        const entityIds = new Set();
+        let entities = [];
+        let digest = null;
+        let header = null;
+        let footer;
+
+        try {
+            for await (const record of readArtifactStream(source)) {
+                if (!header) {
+                    header = this._readStreamHeader(record, validator);
+                    digest = createStreamDigest(header, {
+                        checksum: Boolean(validator?.options.validateChecksum && header.checksumAlgorithm),
+                        signingKey: validator?.options.signingKey,
+                    });
+                    continue;
+                }
+
+                if (footer) {
+                    throw new ValidationError('Artifact stream has records after its footer', 'INVALID_STRUCTURE');
+                }
+
+                if (record?.type === STREAM_RECORD.FOOTER) {
+                    footer = record;
+                    continue;
+                }
+
+                if (record?.type !== STREAM_RECORD.ENTITY) {
+                    throw new ValidationError(`Unknown artifact stream record: ${record?.type}`, 'INVALID_STRUCTURE');
+                }
+
+                digest.add(record.data);
+
+                const data = this.options.autoMigrate
+                    ? this._upgradeEntity(record.data, header.meta?.componentVersions)
+                    : record.data;
+
+                if (validator) {
+                    validator.validateStreamEntity(data, entityIds);
+                }
+
+                if (data && this.world.getEntity(data.id)) {
+                    throw new ValidationError(`Entity ${data.id} already exists in the world`, 'DUPLICATE_ENTITY_ID');
+                }
+
+                if (buffered) {
+                    records.push(data);
+                } else {
+                    entities.push(this._createStreamEntity(data, deferred));
+                }
+            }
+
+            if (!header) {
+                throw new ValidationError('Artifact stream is empty', 'INVALID_STRUCTURE');
+            }
+
+            if (validator) {
+                validator.validateStreamFooter(footer, digest.footer());
+                validator.validateStreamReferences(
+                    this._findMissingReferences(buffered ? records : deferred.map(({ data }) => data), entityIds)
+                );
+            }
+
+            if (buffered) {
+                // Same passes as a full artifact, now that the stream is verified
+                entities = this._createEntities(records);
+                this._addComponents(records, entities);
+                this._resolveEntityReferences(entities);
+            }
+
+            // Components with forward references, now that every entity exists
+            for (const { entity, name, data } of deferred) {
+                this._addComponent(entity, name, data);
+                this._resolveComponentValue(entity.components[camelString(name)]);
+            }
+        } catch (err) {
+            this.entityMap.forEach(entity => entity.destroy());
+            throw err;
+        }
+
+        if (header.world) {
+            this.world._setState(header.world);
+        }
+
+        if (this.options.afterDeserialize) {
+            entities.forEach(entity => {
+                this.options.afterDeserialize(entity);
+            });
+        }
+
+        return entities;
+    }
+
+    /**
+     * Check the header record of a streamed artifact
+     *
+     * @private
+     * @param {Object} record - First record of the stream
+     * @param {ArtifactValidator} [validator] - Validator, if the records should be validated
+     * @returns {Object} The header
+     */
+    _readStreamHeader(record, validator) {
+        if (validator) {
+            validator.validateStreamHeader(record);
+        } else if (record?.type !== STREAM_RECORD.HEADER) {
+            throw new ValidationError('Artifact stream must start with a header', 'INVALID_STRUCTURE');
+        }
+
+        // Migrations work on whole artifacts, so streams can't be migrated
+        const schemaVersion = record.meta?.schemaVersion ?? CURRENT_SCHEMA_VERSION;
+
+        if (schemaVersion !== CURRENT_SCHEMA_VERSION) {
+            throw new ValidationError(
+                `Cannot stream artifact with schema version ${schemaVersion}, migrate it with loadArtifact first`,
+                'VERSION_MISMATCH'
+            );
+        }
+
+        return record;
+    }
+
+    /**
+     * Upgrade an entity's components saved with older component versions
+     *
+     * @private
+     * @param {Object} data - Serialized entity
+     * @param {Object} [versions] - Component versions the entity was saved with
+     * @returns {Object} Upgraded entity
+     */
+    _upgradeEntity(data, versions) {
+        const engine = this.world.engine;
+        return engine._componentMigrations.upgradeEntity(data, versions, engine._components);
+    }
+
+    /**
+     * Create one streamed entity. Components that reference entities which
+     * weren't loaded yet are left out, and added to `deferred` instead
+     *
+     * @private
+     * @param {Object} data - Serialized entity
+     * @param {Array} deferred - Deferred components [{entity, name, data}]
+     * @returns {Entity} Created entity
+     */
+    _createStreamEntity(data, deferred) {
+        const { id, ...components } = data;
+        const entity = this.world.createEntity(id);
+        this.entityMap.set(id, entity);
+
+        entity._qeligible = false;
+
+        for (const name in components) {
+            if (this._hasForwardReference(components[name])) {
+                deferred.push({ entity, name, data: components[name] });
+                continue;
+            }
+
+            this._addComponent(entity, name, components[name]);
+        }
+
+        entity._qeligible = true;
+        entity._candidacy();
+
+        this._resolveEntityReferences([entity]);
+
+        return entity;
+    }
+
+    /**
+     * Check if a value references an entity that isn't loaded yet
+     *
+     * @private
+     * @param {*} value - Serialized value
+     * @returns {boolean} True if the value has a reference to an unknown entity
+     */
+    _hasForwardReference(value) {
+        if (value && typeof value === 'object' && value[MARKERS.ENTITY_REF]) {
+            return !this.entityMap.has(value[MARKERS.ENTITY_REF]);
+        }
+
+        if (Array.isArray(value)) {
+            return value.some(item => this._hasForwardReference(item));
+        }
+
+        if (value && typeof value === 'object' && value.constructor === Object) {
+            return Object.values(value).some(item => this._hasForwardReference(item));
+        }
+
+        return false;
+    }
+
+    /**
+     * Collect the entity IDs that streamed values reference, but that
+     * weren't in the stream
+     *
+     * @private
+     * @param {Array} values - Serialized entities or component data
+     * @param {Set} ids - IDs of the streamed entities
+     * @returns {Array} Missing entity IDs
+     */
+    _findMissingReferences(values, ids) {
+        const missing = new Set();
+
+        const visit = value => {
+            if (value && typeof value === 'object' && value[MARKERS.ENTITY_REF]) {
+                if (!ids.has(value[MARKERS.ENTITY_REF])) {
+                    missing.add(value[MARKERS.ENTITY_REF]);
+                }
+            } else if (Array.isArray(value)) {
+                value.forEach(visit);
+            } else if (value && typeof value === 'object' && value.constructor === Object) {
+                Object.values(value).forEach(visit);
+            }
+        };
+
+        values.forEach(visit);
+
+        return Array.from(missing);
+    }
+
+    /**
+     * Apply a delta artifact to the world's entities
+     *
+     * References in the delta may point at entities that are already in the
+     * world, as well as at added entities. The ids are checked before the
+     * world is touched, so a delta that doesn't fit leaves it as it was.
+     *
+     * @param {Object} delta - Delta artifact
+     * @returns {Object} Touched entities {added, removed, changed}
+     * @throws {Error} If a removed or changed entity doesn't exist, or an added one already does
+     */
+    applyDelta(delta) {
+        this._checkDeltaIds(delta);
+
+        this.useWorldEntities = true;
+
+        // Removed entities, children may already be gone with their parent
+        const removed = delta.removed.filter(id => {
+            this.world.getEntity(id)?.destroy();
+            return true;
+        });
+
+        // Added entities, same passes as a full artifact
+        const added = this._createEntities(delta.added);
+        this._addComponents(delta.added, added);
+        this._resolveEntityReferences(added);
+
+        // Per-component patches
+        const changed = delta.changed.map(change => {
+            const entity = this.world.getEntity(change.id);
+
+            (change.unset || []).forEach(name => this._removeComponents(entity, name));
+
+            for (const name in change.set || {}) {
+                this._removeComponents(entity, name);
+                this._addComponent(entity, name, change.set[name]);
+                this._resolveComponentValue(entity.components[camelString(name)]);
+            }
+
+            return entity;
+        });
+
+        if (delta.world) {
+            this.world._setState(delta.world);
+        }
+
+        if (this.options.afterDeserialize) {
+            added.forEach(entity => {
+                this.options.afterDeserialize(entity);
+            });
+        }
+
+        return { added, removed, changed };
+    }
+
+    /**
+     * Check that a delta's entity ids fit the world: removed and changed
+     * entities exist, and added ones don't, unless they are removed first
+     *
+     * @private
+     * @param {Object} delta - Delta artifact
+     * @throws {Error} If an id doesn't fit
+     */
+    _checkDeltaIds(delta) {
+        const removed = new Set(delta.removed);
+        const added = new Set(delta.added.map(data => data.id));
+        const exists = id => Boolean(this.world.getEntity(id)) && !removed.has(id);
+
+        for (const id of removed) {
+            if (!this.world.getEntity(id)) {
+                throw new Error(`Cannot apply delta: entity ${id} does not exist`);
+            }
+        }
+
+        for (const id of added) {
+            if (exists(id)) {
+                throw new Error(`Cannot apply delta: entity ${id} already exists`);
+            }
+        }
+
+        for (const change of delta.changed) {
+            if (!exists(change.id) && !added.has(change.id)) {
+                throw new Error(`Cannot apply delta: entity ${change.id} does not exist`);
+            }
+        }
+    }
+
+    /**
+     * Remove every component of a type from an entity
+     *
+     * @private
+     * @param {Entity} entity - Entity to update
+     * @param {string} componentName - Component name (camelCase)
+     */
+    _removeComponents(entity, componentName) {
+        const value = entity.components[camelString(componentName)];
+
+        if (!value) {
+            return;
+        }
+
+        const components = value._ckey ? [value] : Object.values(value);
+        components.forEach(component => entity.remove(component));
+    }
+
     /**
      * Pass 1: Create all entities with their IDs
      *
@@ -138,29 +511,37 @@ export class ArtifactDeserializer {
     _resolveEntityReferences(entities) {
         for (const entity of entities) {
             for (const componentKey in entity.components) {
-                const component = entity.components[componentKey];
+                this._resolveComponentValue(entity.components[componentKey]);
+            }
+        }
+    }
 
-                if (Array.isArray(component)) {
-                    // Array of components
-                    component.forEach(comp => {
-                        this._resolveComponentReferences(comp);
-                    });
-                } else if (component && typeof component === 'object' && component.constructor === Object) {
-                    // Check if it's a keyed component collection or single component
-                    if (component._ckey) {
-                        // Single component
-                        this._resolveComponentReferences(component);
-                    } else {
-                        // Keyed components
-                        for (const key in component) {
-                            this._resolveComponentReferences(component[key]);
-                        }
-                    }
-                } else if (component && component._ckey) {
-                    // Single component
-                    this._resolveComponentReferences(component);
+    /**
+     * Resolve entity references in a component, or a collection of components
+     *
+     * @private
+     * @param {Object|Array} component - Component, array or keyed object of components
+     */
+    _resolveComponentValue(component) {
+        if (Array.isArray(component)) {
+            // Array of components
+            component.forEach(comp => {
+                this._resolveComponentReferences(comp);
+            });
+        } else if (component && typeof component === 'object' && component.constructor === Object) {
+            // Check if it's a keyed component collection or single component
+            if (component._ckey) {
+                // Single component
+                this._resolveComponentReferences(component);
+            } else {
+                // Keyed components
+                for (const key in component) {
+                    this._resolveComponentReferences(component[key]);
                 }
             }
+        } else if (component && component._ckey) {
+            // Single component
+            this._resolveComponentReferences(component);
         }
     }
 
@@ -187,7 +568,8 @@ export class ArtifactDeserializer {
         // Check if value is a reference marker
         if (value && typeof value === 'object' && value[MARKERS.ENTITY_REF]) {
             const entityId = value[MARKERS.ENTITY_REF];
-            const entity = this.entityMap.get(entityId);
+            const entity = this.entityMap.get(entityId)
+                || (this.useWorldEntities ? this.world.getEntity(entityId) : undefined);
 
             if (!entity) {
                 // Handle dangling reference according to options
@@ -3,10 +3,15 @@
  * Converts World + Entities into artifact format with metadata
  */
 
-import { bigintReplacer, calculateChecksum } from './SerializationHelpers.js';
+import { bigintReplacer, checksumEntities, signArtifact } from './SerializationHelpers.js';
 import { DEFAULT_SERIALIZE_OPTIONS, CURRENT_SCHEMA_VERSION, MARKERS } from './constants.js';
 import { Entity } from '../Entity.js';
 import { Component } from '../Component.js';
+import { createRegistrySnapshot } from './RegistrySnapshot.js';
+import { encodeBinary } from './BinaryCodec.js';
+import { compressArtifact } from './Compression.js';
+import { getComponentVersions } from './ComponentMigrations.js';
+import { STREAM_RECORD, createStreamDigest } from './ArtifactStream.js';
 
 export class ArtifactSerializer {
     constructor(world, options = {}) {
@@ -19,7 +24,8 @@ export class ArtifactSerializer {
     /**
      * Serialize the world into an artifact
      *
-     * @returns {Object} Artifact object
+     * @returns {Object|Uint8Array|Promise<Uint8Array>} Artifact object, bytes if `format` is 'binary',
+     * or a promise of compressed bytes if `compress` is set
      */
     serialize() {
         // Reset reference tracking
@@ -48,23 +54,130 @@ export class ArtifactSerializer {
             entities: serializedEntities,
         };
 
+        // Add world state (id counter, RNG state) if requested
+        if (this.options.includeWorldState) {
+            artifact.world = this.world._getState();
+        }
+
+        // Add component registry snapshot if requested
+        if (this.options.includeComponentRegistry) {
+            artifact.registry = createRegistrySnapshot(this.world.engine);
+        }
+
         // Add metadata if requested
         if (this.options.includeMetadata) {
             artifact.meta = this._createMetadata();
         }
 
+        // Export to an older (or newer) schema version if requested
+        const exported = this.options.schemaVersion !== CURRENT_SCHEMA_VERSION
+            ? this._migrateToSchemaVersion(artifact)
+            : artifact;
+
         // Calculate checksum if requested
-        if (this.options.checksum && artifact.meta) {
-            const dataStr = JSON.stringify(artifact.entities);
-            artifact.meta.checksum = calculateChecksum(dataStr);
+        if (this.options.checksum && exported.meta) {
+            exported.meta.checksum = checksumEntities(exported.entities, this.options.checksumAlgorithm);
         }
 
         // Apply afterSerialize hook
-        if (this.options.afterSerialize) {
-            return this.options.afterSerialize(artifact);
+        const result = this.options.afterSerialize
+            ? this.options.afterSerialize(exported)
+            : exported;
+
+        // Sign last, so the signature covers changes made by the hook
+        if (this.options.signingKey && result.meta) {
+            result.meta.signature = signArtifact(result, this.options.signingKey);
         }
 
-        return artifact;
+        if (this.options.compress) {
+            const data = this.options.format === 'binary' ? this.toBinary(result) : this.toJSON(result);
+            return compressArtifact(data, this.options.compress);
+        }
+
+        if (this.options.format === 'binary') {
+            return this.toBinary(result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Serialize the world as a sequence of stream records, one entity at a
+     * time. Takes the same options as serialize, except for `format` and the
+     * `afterSerialize` hook, which needs the whole artifact
+     *
+     * @yields {Object} Header record, one record per entity, then a footer record
+     */
+    *serializeStream() {
+        if (this.options.format === 'binary') {
+            throw new Error('Binary artifacts cannot be streamed');
+        }
+
+        if (this.options.schemaVersion !== CURRENT_SCHEMA_VERSION) {
+            throw new Error('Streams can only be written at the current schema version');
+        }
+
+        this.referencedEntities.clear();
+        this.processedEntities.clear();
+
+        const entities = this._collectEntities();
+        entities.forEach(e => this.processedEntities.add(e.id));
+
+        const header = { type: STREAM_RECORD.HEADER };
+
+        if (this.options.includeMetadata) {
+            header.meta = this._createMetadata();
+        }
+
+        if (this.options.includeWorldState) {
+            header.world = this.world._getState();
+        }
+
+        if (this.options.includeComponentRegistry) {
+            header.registry = createRegistrySnapshot(this.world.engine);
+        }
+
+        if (this.options.checksum) {
+            header.checksumAlgorithm = this.options.checksumAlgorithm;
+        }
+
+        yield header;
+
+        const digest = createStreamDigest(header, {
+            checksum: this.options.checksum,
+            signingKey: this.options.signingKey,
+        });
+
+        const toRecord = entity => {
+            const data = this._serializeEntity(entity);
+
+            // Skip entities that beforeSerialize made non-serializable
+            if (!data) {
+                return null;
+            }
+
+            digest.add(data);
+            return { type: STREAM_RECORD.ENTITY, data };
+        };
+
+        for (const entity of entities) {
+            const record = toRecord(entity);
+            if (record) {
+                yield record;
+            }
+        }
+
+        // Referenced entities are only known once the others are serialized
+        if (this.options.resolveReferences) {
+            for (const entity of this._collectReferencedEntities()) {
+                const record = toRecord(entity);
+                if (record) {
+                    yield record;
+                }
+            }
+        }
+
+        yield digest.footer();
     }
 
     /**
@@ -93,7 +206,49 @@ export class ArtifactSerializer {
             entities = entities.filter(this.options.filter);
         }
 
-        return entities;
+        return this._orderByHierarchy(entities);
+    }
+
+    /**
+     * Order entities depth-first, so that parents come before their children
+     * and siblings keep their order when the artifact is loaded
+     *
+     * @private
+     * @param {Array} entities - Entities to serialize
+     * @returns {Array} Ordered entities
+     */
+    _orderByHierarchy(entities) {
+        const included = new Set(entities);
+        const visited = new Set();
+        const ordered = [];
+
+        const visit = (entity) => {
+            if (visited.has(entity)) {
+                return;
+            }
+
+            visited.add(entity);
+            ordered.push(entity);
+
+            entity.children.forEach((child) => {
+                if (included.has(child)) {
+                    visit(child);
+                }
+            });
+        };
+
+        entities.forEach((entity) => {
+            const parent = entity.getParent();
+
+            if (!parent || !included.has(parent)) {
+                visit(entity);
+            }
+        });
+
+        // entities in a parent cycle have no root
+        entities.forEach(visit);
+
+        return ordered;
     }
 
     /**
@@ -259,13 +414,50 @@ export class ArtifactSerializer {
     _createMetadata() {
         return {
             version: '1.0.0',
-            schemaVersion: this.options.schemaVersion,
+            schemaVersion: CURRENT_SCHEMA_VERSION,
             timestamp: Date.now(),
             gameVersion: this.options.gameVersion,
+            componentVersions: getComponentVersions(this.world.engine._components),
             ...this.options.metadata,
         };
     }
 
+    /**
+     * Migrate a new artifact to the `schemaVersion` option with the engine's
+     * migrations, ie, registered downgrades. Lossy steps are listed in
+     * `meta.lossyMigrations`
+     *
+     * @private
+     * @param {Object} artifact - Artifact at the current schema version
+     * @returns {Object} Migrated artifact
+     * @throws {Error} If the artifact has no metadata, or there is no migration path
+     */
+    _migrateToSchemaVersion(artifact) {
+        if (!artifact.meta) {
+            throw new Error('Artifacts need metadata to be saved at another schema version');
+        }
+
+        const migrations = this.world.engine._migrations;
+        const lossy = [];
+
+        const migrated = migrations.migrate(
+            artifact,
+            this.options.schemaVersion,
+            (step) => {
+                if (migrations.isLossy(step.from, step.to)) {
+                    lossy.push(step);
+                }
+            },
+            this.world.engine._components
+        );
+
+        if (lossy.length > 0 && migrated.meta) {
+            migrated.meta.lossyMigrations = lossy;
+        }
+
+        return migrated;
+    }
+
     /**
      * Convert artifact to JSON string
      *
@@ -276,4 +468,14 @@ export class ArtifactSerializer {
         const indent = this.options.pretty ? 2 : undefined;
         return JSON.stringify(artifact, bigintReplacer, indent);
     }
+
+    /**
+     * Convert artifact to compact binary
+     *
+     * @param {Object} artifact - Artifact object
+     * @returns {Uint8Array} Encoded bytes
+     */
+    toBinary(artifact) {
+        return encodeBinary(artifact);
+    }
 }
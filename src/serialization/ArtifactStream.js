@@ -0,0 +1,139 @@
+/**
+ * Streamed artifacts for Geotic ECS
+ * An artifact written as a sequence of records, one entity at a time, so that
+ * very large worlds can be saved and loaded without holding every serialized
+ * entity in memory
+ *
+ * Record layout:
+ *   { type: 'header', meta, world, registry, checksumAlgorithm }  - first record
+ *   { type: 'entity', data }                                      - one per entity
+ *   { type: 'footer', count, checksum, signature }                - last record
+ *
+ * The checksum is the same as the checksum of an artifact with the same
+ * entities. The signature covers the header, every entity, and the count.
+ *
+ * As NDJSON, every record is one line of JSON.
+ */
+
+import {
+    bigintReplacer,
+    bigintReviver,
+    canonicalStringify,
+} from './SerializationHelpers.js';
+import { createChecksum, createHmac } from './Checksums.js';
+
+/**
+ * Types of stream records
+ */
+export const STREAM_RECORD = {
+    HEADER: 'header',
+    ENTITY: 'entity',
+    FOOTER: 'footer',
+};
+
+/**
+ * Convert stream records to NDJSON lines
+ *
+ * @param {Iterable|AsyncIterable} records - Stream records
+ * @yields {string} One line of JSON per record, ending with a newline
+ */
+export async function* toNDJSON(records) {
+    for await (const record of records) {
+        yield `${JSON.stringify(record, bigintReplacer)}\n`;
+    }
+}
+
+/**
+ * Read stream records from a source. The source may yield record objects,
+ * or NDJSON text in chunks of any size (strings, or bytes such as Node
+ * Buffers), ie, a file read stream
+ *
+ * @param {Iterable|AsyncIterable} source - Records or NDJSON chunks
+ * @yields {Object} Stream records
+ */
+export async function* readArtifactStream(source) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of source) {
+        if (typeof chunk !== 'string' && !(chunk instanceof Uint8Array)) {
+            yield chunk;
+            continue;
+        }
+
+        buffer +=
+            typeof chunk === 'string'
+                ? chunk
+                : decoder.decode(chunk, { stream: true });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line.trim()) {
+                yield JSON.parse(line, bigintReviver);
+            }
+        }
+    }
+
+    buffer += decoder.decode();
+
+    if (buffer.trim()) {
+        yield JSON.parse(buffer, bigintReviver);
+    }
+}
+
+/**
+ * Create the footer of a stream incrementally, one entity at a time
+ *
+ * @param {Object} header - Header record of the stream
+ * @param {Object} [options={}] - Digest options
+ * @param {boolean} [options.checksum=false] - Calculate a checksum with the header's `checksumAlgorithm`
+ * @param {string|Uint8Array} [options.signingKey] - Secret key to sign the stream with
+ * @returns {Object} Digest with add(entity) and footer() methods
+ */
+export function createStreamDigest(header, options = {}) {
+    const checksum = options.checksum
+        ? createChecksum(header.checksumAlgorithm).update('[')
+        : null;
+    const signature = options.signingKey
+        ? createHmac(options.signingKey).update(canonicalStringify(header))
+        : null;
+    let count = 0;
+
+    return {
+        add(entity) {
+            if (checksum || signature) {
+                const str = canonicalStringify(entity);
+
+                if (checksum) {
+                    checksum.update(count > 0 ? `,${str}` : str);
+                }
+
+                if (signature) {
+                    signature.update(str);
+                }
+            }
+
+            count++;
+        },
+
+        footer() {
+            const footer = { type: STREAM_RECORD.FOOTER, count };
+
+            if (signature) {
+                signature.update(canonicalStringify(footer));
+            }
+
+            if (checksum) {
+                footer.checksum = checksum.update(']').digest();
+            }
+
+            if (signature) {
+                footer.signature = signature.digest();
+            }
+
+            return footer;
+        },
+    };
+}
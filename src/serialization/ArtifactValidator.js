@@ -3,14 +3,35 @@
  * Validates artifact integrity and structure
  */
 
-import { calculateChecksum } from './SerializationHelpers.js';
+import { calculateChecksum, reviveMarkers, signArtifact, verifyEntitiesChecksum } from './SerializationHelpers.js';
+import { checksumAlgorithmOf, hasChecksumAlgorithm, signaturesEqual } from './Checksums.js';
 import { CURRENT_SCHEMA_VERSION } from './constants.js';
+import { SchemaError, validateSchema } from '../Types.js';
+import { diffRegistry } from './RegistrySnapshot.js';
+import { isDelta, checksumDelta } from './ArtifactDelta.js';
+import { STREAM_RECORD } from './ArtifactStream.js';
 
 export class ValidationError extends Error {
-    constructor(message, code) {
+    constructor(message, code, path = null) {
         super(message);
         this.name = 'ValidationError';
         this.code = code;
+        this.path = path;
+    }
+}
+
+/**
+ * Checksum of artifacts created before checksums were canonical
+ *
+ * @private
+ * @param {Array} entities - Serialized entities
+ * @returns {string|null} Checksum, or null if the entities can't be stringified
+ */
+function legacyChecksum(entities) {
+    try {
+        return calculateChecksum(JSON.stringify(entities), 'simple');
+    } catch (e) {
+        return null;
     }
 }
 
@@ -22,6 +43,8 @@ export class ArtifactValidator {
             validateComponents: true,
             validateReferences: true,
             strictVersion: false,
+            registryDrift: 'warn',       // 'ignore' | 'warn' | 'throw'
+            signingKey: null,            // Secret key; if set, artifacts must be signed with it
             ...options,
         };
     }
@@ -33,13 +56,17 @@ export class ArtifactValidator {
      * @throws {ValidationError} If validation fails
      */
     validate(artifact) {
+        // Deltas have their own structure
+        if (isDelta(artifact)) {
+            this._validateDelta(artifact);
+            return;
+        }
+
         // Basic structure validation
         this._validateStructure(artifact);
 
-        // Checksum validation
-        if (this.options.validateChecksum && artifact.meta?.checksum) {
-            this._validateChecksum(artifact);
-        }
+        // Checksum and signature validation
+        this._validateChecksum(artifact);
 
         // Schema version validation
         this._validateSchemaVersion(artifact);
@@ -56,6 +83,229 @@ export class ArtifactValidator {
         if (this.options.validateReferences) {
             this._validateReferences(artifact);
         }
+
+        // Registry drift detection
+        if (artifact.registry && this.options.registryDrift !== 'ignore') {
+            this._validateRegistry(artifact);
+        }
+    }
+
+    /**
+     * Validate an artifact without throwing, collecting every problem
+     * instead of stopping at the first one. Paths point at the part of the
+     * artifact with the problem, ie, "entities[2].health". Registry drift is
+     * reported as REGISTRY_DRIFT errors, unless `registryDrift` is 'ignore'
+     *
+     * @param {Object} artifact - Artifact or delta to validate
+     * @returns {Object} Report {valid, errors: [{code, path, message}]}
+     */
+    report(artifact) {
+        const errors = [];
+
+        const check = (path, fn) => {
+            try {
+                fn();
+            } catch (err) {
+                errors.push({
+                    code: err.code || 'INVALID_STRUCTURE',
+                    path: err.path ?? path,
+                    message: err.message,
+                });
+            }
+        };
+
+        // Deltas have their own structure, and stop at their first problem
+        if (isDelta(artifact)) {
+            check('', () => this._validateDelta(artifact));
+            return { valid: errors.length === 0, errors };
+        }
+
+        check('', () => this._validateStructure(artifact));
+
+        if (errors.length > 0) {
+            return { valid: false, errors };
+        }
+
+        check('meta.checksum', () => this._validateEntitiesChecksum(artifact));
+
+        if (this.options.signingKey) {
+            check('meta.signature', () => this.validateSignature(artifact));
+        }
+
+        check('meta.schemaVersion', () => this._validateSchemaVersion(artifact));
+
+        const entityIds = new Set();
+
+        artifact.entities.forEach((entity, i) => {
+            check(`entities[${i}]`, () => this._validateEntity(entity, entityIds));
+        });
+
+        artifact.entities.forEach((entity, i) => {
+            if (!entity || typeof entity !== 'object') {
+                return;
+            }
+
+            const { id, ...components } = entity;
+
+            for (const componentName in components) {
+                const path = `entities[${i}].${componentName}`;
+
+                if (this.options.validateComponents) {
+                    check(path, () => this._validateComponent(componentName, components[componentName], id));
+                }
+
+                if (this.options.validateReferences) {
+                    check(path, () => this._validateValueReferences(components[componentName], entityIds));
+                }
+            }
+        });
+
+        // Drift is reported as errors, whatever the registryDrift option
+        if (artifact.registry && this.options.registryDrift !== 'ignore') {
+            check('registry', () => {
+                diffRegistry(this.engine, artifact.registry).forEach(d => {
+                    errors.push({
+                        code: 'REGISTRY_DRIFT',
+                        path: d.component ? `registry.components.${d.component}` : 'registry.prefabs',
+                        message: d.message,
+                    });
+                });
+            });
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Validate only the checksum and signature of an artifact, ie, before
+     * migrations change its entities
+     *
+     * @param {Object} artifact - Artifact or delta to validate
+     * @throws {ValidationError} If validation fails
+     */
+    validateIntegrity(artifact) {
+        if (!artifact || typeof artifact !== 'object') {
+            throw new ValidationError('Artifact must be an object', 'INVALID_STRUCTURE');
+        }
+
+        if (isDelta(artifact)) {
+            this._validateDeltaChecksum(artifact);
+        } else {
+            this._validateChecksum(artifact);
+        }
+    }
+
+    /**
+     * Validate the header record of a streamed artifact
+     *
+     * @param {Object} header - Header record
+     * @throws {ValidationError} If validation fails
+     */
+    validateStreamHeader(header) {
+        if (!header || header.type !== STREAM_RECORD.HEADER) {
+            throw new ValidationError('Artifact stream must start with a header', 'INVALID_STRUCTURE');
+        }
+
+        this._validateStructure({ ...header, entities: [] });
+        this._validateSchemaVersion(header);
+
+        if (header.checksumAlgorithm && !hasChecksumAlgorithm(header.checksumAlgorithm)) {
+            throw new ValidationError(
+                `Unknown checksum algorithm: ${header.checksumAlgorithm}`,
+                'UNKNOWN_CHECKSUM_ALGORITHM'
+            );
+        }
+
+        if (header.registry && this.options.registryDrift !== 'ignore') {
+            this._validateRegistry(header);
+        }
+    }
+
+    /**
+     * Validate one entity of a streamed artifact. References are checked
+     * once the whole stream is read, with validateStreamReferences
+     *
+     * @param {Object} entity - Serialized entity
+     * @param {Set} entityIds - IDs of the entities validated so far
+     * @throws {ValidationError} If validation fails
+     */
+    validateStreamEntity(entity, entityIds) {
+        this._validateEntity(entity, entityIds);
+
+        if (this.options.validateComponents) {
+            this._validateEntityComponents(entity);
+        }
+    }
+
+    /**
+     * Check that no entity of a streamed artifact referenced a missing entity
+     *
+     * @param {Array} missingIds - Referenced IDs that were not in the stream
+     * @throws {ValidationError} If references are validated and an ID is missing
+     */
+    validateStreamReferences(missingIds) {
+        if (this.options.validateReferences && missingIds.length > 0) {
+            throw new ValidationError(
+                `Invalid entity reference: ${missingIds[0]}`,
+                'INVALID_REFERENCE'
+            );
+        }
+    }
+
+    /**
+     * Validate the footer record of a streamed artifact against what was read
+     *
+     * @param {Object} footer - Footer record, or undefined if the stream ended without one
+     * @param {Object} actual - Footer calculated from what was read {count, checksum, signature}
+     * @throws {ValidationError} If validation fails
+     */
+    validateStreamFooter(footer, actual) {
+        if (!footer) {
+            throw new ValidationError('Artifact stream ended without a footer', 'INVALID_STRUCTURE');
+        }
+
+        if (footer.count !== actual.count) {
+            throw new ValidationError(
+                `Artifact stream has ${actual.count} entities, expected ${footer.count}`,
+                'INVALID_STRUCTURE'
+            );
+        }
+
+        if (this.options.validateChecksum && footer.checksum && footer.checksum !== actual.checksum) {
+            throw new ValidationError(
+                'Checksum mismatch - artifact may be corrupted',
+                'CHECKSUM_MISMATCH'
+            );
+        }
+
+        if (this.options.signingKey && !signaturesEqual(footer.signature, actual.signature)) {
+            throw new ValidationError(
+                footer.signature ? 'Invalid signature - artifact may have been tampered with' : 'Artifact is not signed',
+                'SIGNATURE_INVALID'
+            );
+        }
+    }
+
+    /**
+     * Validate an artifact's signature against the signing key
+     *
+     * @param {Object} artifact - Artifact or delta to validate
+     * @throws {ValidationError} If the artifact isn't signed, or the signature doesn't match
+     */
+    validateSignature(artifact) {
+        const signature = artifact.meta?.signature;
+
+        if (!signature) {
+            throw new ValidationError('Artifact is not signed', 'SIGNATURE_INVALID', 'meta.signature');
+        }
+
+        if (!signaturesEqual(signArtifact(artifact, this.options.signingKey), signature)) {
+            throw new ValidationError(
+                'Invalid signature - artifact may have been tampered with',
+                'SIGNATURE_INVALID',
+                'meta.signature'
+            );
+        }
     }
 
     /**
@@ -76,22 +326,123 @@ export class ArtifactValidator {
         if (artifact.meta && typeof artifact.meta !== 'object') {
             throw new ValidationError('Artifact meta must be an object', 'INVALID_STRUCTURE');
         }
+
+        if (artifact.world && typeof artifact.world !== 'object') {
+            throw new ValidationError('Artifact world state must be an object', 'INVALID_STRUCTURE');
+        }
     }
 
     /**
-     * Validate checksum
+     * Validate a delta artifact
+     *
+     * Entity references are not checked, since they may point at entities
+     * of the baseline.
+     *
+     * @private
+     * @param {Object} delta - Delta to validate
+     */
+    _validateDelta(delta) {
+        for (const key of ['added', 'removed', 'changed']) {
+            if (!Array.isArray(delta[key])) {
+                throw new ValidationError(`Delta must have ${key} array`, 'INVALID_STRUCTURE');
+            }
+        }
+
+        for (const change of delta.changed) {
+            if (!change || change.id === undefined || change.id === null) {
+                throw new ValidationError('Delta change must have an id', 'MISSING_ENTITY_ID');
+            }
+        }
+
+        this._validateDeltaChecksum(delta);
+
+        this._validateSchemaVersion(delta);
+        this._validateEntities({ entities: delta.added });
+
+        if (this.options.validateComponents) {
+            const entities = [
+                ...delta.added,
+                ...delta.changed.map(change => ({ id: change.id, ...change.set })),
+            ];
+
+            this._validateComponents({ entities });
+        }
+    }
+
+    /**
+     * Validate a delta's checksum, and signature if a signing key is set
+     *
+     * @private
+     * @param {Object} delta - Delta to validate
+     */
+    _validateDeltaChecksum(delta) {
+        if (this.options.validateChecksum && delta.meta.checksum) {
+            this._checkAlgorithm(delta.meta.checksum);
+
+            if (checksumDelta(delta, checksumAlgorithmOf(delta.meta.checksum)) !== delta.meta.checksum) {
+                throw new ValidationError(
+                    'Checksum mismatch - delta may be corrupted',
+                    'CHECKSUM_MISMATCH'
+                );
+            }
+        }
+
+        if (this.options.signingKey) {
+            this.validateSignature(delta);
+        }
+    }
+
+    /**
+     * Validate checksum, and signature if a signing key is set
      *
      * @private
      * @param {Object} artifact - Artifact to validate
      */
     _validateChecksum(artifact) {
-        const dataStr = JSON.stringify(artifact.entities);
-        const calculatedChecksum = calculateChecksum(dataStr);
+        this._validateEntitiesChecksum(artifact);
 
-        if (calculatedChecksum !== artifact.meta.checksum) {
+        if (this.options.signingKey) {
+            this.validateSignature(artifact);
+        }
+    }
+
+    /**
+     * Validate the checksum of an artifact's entities
+     *
+     * The checksum algorithm is picked by the checksum's prefix. Artifacts
+     * saved before checksums were canonical are checked the old way.
+     *
+     * @private
+     * @param {Object} artifact - Artifact to validate
+     */
+    _validateEntitiesChecksum(artifact) {
+        const expected = artifact.meta?.checksum;
+
+        if (this.options.validateChecksum && expected && Array.isArray(artifact.entities)) {
+            this._checkAlgorithm(expected);
+
+            if (!verifyEntitiesChecksum(artifact.entities, expected) && legacyChecksum(artifact.entities) !== expected) {
+                throw new ValidationError(
+                    'Checksum mismatch - artifact may be corrupted',
+                    'CHECKSUM_MISMATCH'
+                );
+            }
+        }
+    }
+
+    /**
+     * Check that a checksum's algorithm is registered
+     *
+     * @private
+     * @param {string} checksum - Checksum to check
+     */
+    _checkAlgorithm(checksum) {
+        const algorithm = checksumAlgorithmOf(checksum);
+
+        if (!hasChecksumAlgorithm(algorithm)) {
             throw new ValidationError(
-                'Checksum mismatch - artifact may be corrupted',
-                'CHECKSUM_MISMATCH'
+                `Unknown checksum algorithm: ${algorithm}`,
+                'UNKNOWN_CHECKSUM_ALGORITHM'
             );
         }
     }
@@ -130,26 +481,37 @@ export class ArtifactValidator {
         const entityIds = new Set();
 
         for (const entity of artifact.entities) {
-            // Check entity structure
-            if (!entity || typeof entity !== 'object') {
-                throw new ValidationError('Entity must be an object', 'INVALID_ENTITY');
-            }
+            this._validateEntity(entity, entityIds);
+        }
+    }
 
-            // Check entity ID
-            if (!entity.id) {
-                throw new ValidationError('Entity must have an id', 'MISSING_ENTITY_ID');
-            }
+    /**
+     * Validate a single entity, and add its ID to the seen IDs
+     *
+     * @private
+     * @param {Object} entity - Serialized entity
+     * @param {Set} entityIds - IDs of the entities validated so far
+     */
+    _validateEntity(entity, entityIds) {
+        // Check entity structure
+        if (!entity || typeof entity !== 'object') {
+            throw new ValidationError('Entity must be an object', 'INVALID_ENTITY');
+        }
 
-            // Check for duplicate IDs
-            if (entityIds.has(entity.id)) {
-                throw new ValidationError(
-                    `Duplicate entity ID: ${entity.id}`,
-                    'DUPLICATE_ENTITY_ID'
-                );
-            }
+        // Check entity ID
+        if (!entity.id) {
+            throw new ValidationError('Entity must have an id', 'MISSING_ENTITY_ID');
+        }
 
-            entityIds.add(entity.id);
+        // Check for duplicate IDs
+        if (entityIds.has(entity.id)) {
+            throw new ValidationError(
+                `Duplicate entity ID: ${entity.id}`,
+                'DUPLICATE_ENTITY_ID'
+            );
         }
+
+        entityIds.add(entity.id);
     }
 
     /**
@@ -160,22 +522,115 @@ export class ArtifactValidator {
      */
     _validateComponents(artifact) {
         for (const entity of artifact.entities) {
-            const { id, ...components } = entity;
+            this._validateEntityComponents(entity);
+        }
+    }
 
-            for (const componentName in components) {
-                // Check if component is registered
-                const ComponentClass = this.engine._components.get(componentName);
-
-                if (!ComponentClass) {
-                    throw new ValidationError(
-                        `Unknown component type: ${componentName}`,
-                        'UNKNOWN_COMPONENT'
-                    );
+    /**
+     * Validate the components of a single entity
+     *
+     * @private
+     * @param {Object} entity - Serialized entity
+     */
+    _validateEntityComponents(entity) {
+        const { id, ...components } = entity;
+
+        for (const componentName in components) {
+            this._validateComponent(componentName, components[componentName], id);
+        }
+    }
+
+    /**
+     * Validate one component of an entity
+     *
+     * @private
+     * @param {string} componentName - Component name
+     * @param {*} data - Serialized component data
+     * @param {string} entityId - ID of the entity the data belongs to
+     */
+    _validateComponent(componentName, data, entityId) {
+        // Check if component is registered
+        const ComponentClass = this.engine._components.get(componentName);
+
+        if (!ComponentClass) {
+            throw new ValidationError(
+                `Unknown component type: ${componentName}`,
+                'UNKNOWN_COMPONENT'
+            );
+        }
+
+        if (ComponentClass.schema) {
+            this._validateComponentData(ComponentClass, data, entityId);
+        }
+    }
+
+    /**
+     * Validate component payloads against the component's schema
+     *
+     * Missing fields are allowed, they are filled in with defaults when the
+     * component is created. `$bigint` and `$date` markers are revived first,
+     * so artifacts parsed with a plain JSON.parse validate the same.
+     *
+     * @private
+     * @param {Function} ComponentClass - Component class with a schema
+     * @param {*} data - Serialized component data
+     * @param {string} entityId - ID of the entity the data belongs to
+     */
+    _validateComponentData(ComponentClass, data, entityId) {
+        const revived = reviveMarkers(data);
+        const instances = ComponentClass.allowMultiple
+            ? Object.values(revived || {})
+            : [revived];
+
+        try {
+            for (const instance of instances) {
+                if (!instance || typeof instance !== 'object') {
+                    throw new SchemaError(`${ComponentClass.name} must be an object`);
                 }
+
+                validateSchema(ComponentClass.schema, instance, {
+                    path: ComponentClass.name,
+                    partial: true,
+                });
+            }
+        } catch (err) {
+            if (!(err instanceof SchemaError)) {
+                throw err;
             }
+
+            throw new ValidationError(
+                `Invalid component data on entity ${entityId}: ${err.message}`,
+                'INVALID_COMPONENT_DATA'
+            );
         }
     }
 
+    /**
+     * Compare the artifact's registry snapshot with the engine's registries
+     *
+     * @private
+     * @param {Object} artifact - Artifact to validate
+     */
+    _validateRegistry(artifact) {
+        const drift = diffRegistry(this.engine, artifact.registry);
+
+        if (drift.length <= 0) {
+            return;
+        }
+
+        if (this.options.registryDrift === 'throw') {
+            const error = new ValidationError(
+                `Component registry drift: ${drift.map(d => d.message).join('; ')}`,
+                'REGISTRY_DRIFT'
+            );
+
+            error.drift = drift;
+            throw error;
+        }
+
+        drift.forEach(d => console.warn(`Registry drift: ${d.message}`));
+    }
+
     /**
      * Validate entity references
      *
@@ -0,0 +1,448 @@
+/**
+ * Binary codec for Geotic ECS artifacts
+ * A compact, self-describing binary encoding of artifact objects
+ *
+ * Layout: magic "GEOB", format version byte, string table, root value.
+ * Every string (object keys, component names, entity IDs) is stored once in
+ * the string table and referenced by index. Integers are stored as varints,
+ * BigInt and Date values natively, and `$ref` markers with their own tag.
+ */
+
+import { MARKERS } from './constants.js';
+
+/**
+ * Magic bytes at the start of every binary artifact
+ */
+export const BINARY_MAGIC = [0x47, 0x45, 0x4f, 0x42]; // "GEOB"
+
+/**
+ * Version of the binary layout
+ */
+export const BINARY_VERSION = 1;
+
+const TAGS = {
+    NULL: 0,
+    FALSE: 1,
+    TRUE: 2,
+    UINT: 3,
+    NEGINT: 4,
+    FLOAT: 5,
+    STRING: 6,
+    ARRAY: 7,
+    OBJECT: 8,
+    BIGINT: 9,
+    NEGBIGINT: 10,
+    DATE: 11,
+    REF: 12,
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Check if a value is a `{ $ref: id }` marker
+ *
+ * @private
+ * @param {Object} value - Object to check
+ * @returns {boolean} True if the object only holds an entity reference
+ */
+function isRefMarker(value) {
+    const keys = Object.keys(value);
+    return keys.length === 1 && keys[0] === MARKERS.ENTITY_REF;
+}
+
+/**
+ * Check if a plain object value is skipped, the same way JSON.stringify does
+ *
+ * @private
+ * @param {*} value - Property value
+ * @returns {boolean} True if the property is left out
+ */
+function isSkipped(value) {
+    return value === undefined || typeof value === 'function';
+}
+
+/**
+ * Growable byte buffer
+ *
+ * @private
+ */
+class ByteWriter {
+    constructor(capacity = 1024) {
+        this.bytes = new Uint8Array(capacity);
+        this.view = new DataView(this.bytes.buffer);
+        this.length = 0;
+    }
+
+    ensure(size) {
+        if (this.length + size <= this.bytes.length) {
+            return;
+        }
+
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + size) {
+            capacity *= 2;
+        }
+
+        const bytes = new Uint8Array(capacity);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    byte(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value;
+    }
+
+    raw(bytes) {
+        this.ensure(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    // unsigned LEB128. Uses arithmetic rather than bit operations, so values
+    // up to Number.MAX_SAFE_INTEGER are supported
+    varint(value) {
+        while (value >= 0x80) {
+            this.byte(value % 0x80 | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        this.byte(value);
+    }
+
+    bigVarint(value) {
+        while (value >= 0x80n) {
+            this.byte(Number(value & 0x7fn) | 0x80);
+            value >>= 7n;
+        }
+        this.byte(Number(value));
+    }
+
+    float(value) {
+        this.ensure(8);
+        this.view.setFloat64(this.length, value);
+        this.length += 8;
+    }
+
+    result() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/**
+ * Byte reader over a Uint8Array
+ *
+ * @private
+ */
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(
+            bytes.buffer,
+            bytes.byteOffset,
+            bytes.byteLength
+        );
+        this.offset = 0;
+    }
+
+    byte() {
+        if (this.offset >= this.bytes.length) {
+            throw new Error('Unexpected end of binary artifact');
+        }
+        return this.bytes[this.offset++];
+    }
+
+    raw(length) {
+        if (this.offset + length > this.bytes.length) {
+            throw new Error('Unexpected end of binary artifact');
+        }
+        const bytes = this.bytes.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return bytes;
+    }
+
+    varint() {
+        let value = 0;
+        let scale = 1;
+        let byte;
+
+        do {
+            byte = this.byte();
+            value += (byte & 0x7f) * scale;
+            scale *= 0x80;
+        } while (byte & 0x80);
+
+        return value;
+    }
+
+    bigVarint() {
+        let value = 0n;
+        let shift = 0n;
+        let byte;
+
+        do {
+            byte = this.byte();
+            value |= BigInt(byte & 0x7f) << shift;
+            shift += 7n;
+        } while (byte & 0x80);
+
+        return value;
+    }
+
+    float() {
+        const value = this.view.getFloat64(this.offset);
+        this.raw(8);
+        return value;
+    }
+}
+
+/**
+ * Collect every string in a value into the string table
+ *
+ * @private
+ * @param {*} value - Value to scan
+ * @param {Map} table - Map of string to index
+ */
+function collectStrings(value, table) {
+    if (typeof value === 'string') {
+        if (!table.has(value)) {
+            table.set(value, table.size);
+        }
+        return;
+    }
+
+    if (Array.isArray(value)) {
+        value.forEach((item) => collectStrings(item, table));
+        return;
+    }
+
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        for (const key in value) {
+            if (isSkipped(value[key])) {
+                continue;
+            }
+            collectStrings(key, table);
+            collectStrings(value[key], table);
+        }
+    }
+}
+
+/**
+ * Write a value
+ *
+ * @private
+ * @param {ByteWriter} writer - Output
+ * @param {*} value - Value to write
+ * @param {Map} table - String table
+ */
+function writeValue(writer, value, table) {
+    if (value === null || value === undefined || typeof value === 'function') {
+        writer.byte(TAGS.NULL);
+        return;
+    }
+
+    switch (typeof value) {
+        case 'boolean':
+            writer.byte(value ? TAGS.TRUE : TAGS.FALSE);
+            return;
+
+        case 'number':
+            if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+                writer.byte(value < 0 ? TAGS.NEGINT : TAGS.UINT);
+                writer.varint(Math.abs(value));
+            } else {
+                writer.byte(TAGS.FLOAT);
+                writer.float(value);
+            }
+            return;
+
+        case 'bigint':
+            writer.byte(value < 0n ? TAGS.NEGBIGINT : TAGS.BIGINT);
+            writer.bigVarint(value < 0n ? -value : value);
+            return;
+
+        case 'string':
+            writer.byte(TAGS.STRING);
+            writer.varint(table.get(value));
+            return;
+    }
+
+    if (value instanceof Date) {
+        writer.byte(TAGS.DATE);
+        writer.float(value.getTime());
+        return;
+    }
+
+    if (Array.isArray(value)) {
+        writer.byte(TAGS.ARRAY);
+        writer.varint(value.length);
+        value.forEach((item) => writeValue(writer, item, table));
+        return;
+    }
+
+    if (isRefMarker(value)) {
+        writer.byte(TAGS.REF);
+        writeValue(writer, value[MARKERS.ENTITY_REF], table);
+        return;
+    }
+
+    const keys = Object.keys(value).filter((key) => !isSkipped(value[key]));
+
+    writer.byte(TAGS.OBJECT);
+    writer.varint(keys.length);
+    keys.forEach((key) => {
+        writer.varint(table.get(key));
+        writeValue(writer, value[key], table);
+    });
+}
+
+/**
+ * Read a value
+ *
+ * @private
+ * @param {ByteReader} reader - Input
+ * @param {Array} strings - String table
+ * @returns {*} Decoded value
+ */
+function readValue(reader, strings) {
+    const tag = reader.byte();
+
+    switch (tag) {
+        case TAGS.NULL:
+            return null;
+        case TAGS.FALSE:
+            return false;
+        case TAGS.TRUE:
+            return true;
+        case TAGS.UINT:
+            return reader.varint();
+        case TAGS.NEGINT:
+            return -reader.varint();
+        case TAGS.FLOAT:
+            return reader.float();
+        case TAGS.STRING:
+            return readString(reader, strings);
+        case TAGS.BIGINT:
+            return reader.bigVarint();
+        case TAGS.NEGBIGINT:
+            return -reader.bigVarint();
+        case TAGS.DATE:
+            return new Date(reader.float());
+        case TAGS.REF:
+            return { [MARKERS.ENTITY_REF]: readValue(reader, strings) };
+        case TAGS.ARRAY: {
+            const length = reader.varint();
+            const array = new Array(length);
+            for (let i = 0; i < length; i++) {
+                array[i] = readValue(reader, strings);
+            }
+            return array;
+        }
+        case TAGS.OBJECT: {
+            const count = reader.varint();
+            const object = {};
+            for (let i = 0; i < count; i++) {
+                const key = readString(reader, strings);
+                object[key] = readValue(reader, strings);
+            }
+            return object;
+        }
+        default:
+            throw new Error(`Unknown binary artifact tag: ${tag}`);
+    }
+}
+
+/**
+ * Read a string table reference
+ *
+ * @private
+ * @param {ByteReader} reader - Input
+ * @param {Array} strings - String table
+ * @returns {string} The string
+ */
+function readString(reader, strings) {
+    const index = reader.varint();
+
+    if (index >= strings.length) {
+        throw new Error(`Invalid string table index: ${index}`);
+    }
+
+    return strings[index];
+}
+
+/**
+ * Check if a value is a binary artifact
+ *
+ * @param {*} data - Value to check
+ * @returns {boolean} True if the data starts with the binary magic bytes
+ */
+export function isBinaryArtifact(data) {
+    if (data instanceof ArrayBuffer) {
+        data = new Uint8Array(data);
+    }
+
+    if (!(data instanceof Uint8Array) || data.length < BINARY_MAGIC.length) {
+        return false;
+    }
+
+    return BINARY_MAGIC.every((byte, i) => data[i] === byte);
+}
+
+/**
+ * Encode an artifact (or any JSON-like value) to bytes
+ *
+ * @param {*} value - Value to encode
+ * @returns {Uint8Array} Encoded bytes
+ */
+export function encodeBinary(value) {
+    const table = new Map();
+    const writer = new ByteWriter();
+
+    collectStrings(value, table);
+
+    writer.raw(BINARY_MAGIC);
+    writer.byte(BINARY_VERSION);
+    writer.varint(table.size);
+
+    for (const str of table.keys()) {
+        const bytes = textEncoder.encode(str);
+        writer.varint(bytes.length);
+        writer.raw(bytes);
+    }
+
+    writeValue(writer, value, table);
+
+    return writer.result();
+}
+
+/**
+ * Decode bytes produced by encodeBinary
+ *
+ * @param {Uint8Array|ArrayBuffer} data - Encoded bytes
+ * @returns {*} Decoded value
+ * @throws {Error} If the data is not a binary artifact
+ */
+export function decodeBinary(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+
+    if (!isBinaryArtifact(bytes)) {
+        throw new Error('Data is not a binary artifact');
+    }
+
+    const reader = new ByteReader(bytes);
+    reader.raw(BINARY_MAGIC.length);
+
+    const version = reader.byte();
+    if (version !== BINARY_VERSION) {
+        throw new Error(`Unsupported binary artifact version: ${version}`);
+    }
+
+    const count = reader.varint();
+    const strings = new Array(count);
+    for (let i = 0; i < count; i++) {
+        strings[i] = textDecoder.decode(reader.raw(reader.varint()));
+    }
+
+    return readValue(reader, strings);
+}
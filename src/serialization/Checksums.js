@@ -0,0 +1,505 @@
+/**
+ * Checksum algorithms for Geotic ECS artifacts
+ * Checksums are written as "<algorithm>:<hex digest>", so the algorithm an
+ * artifact was saved with can be picked by its prefix when it's loaded.
+ *
+ * Built in are 'sha256' (the default) and 'simple', a fast 32-bit hash that
+ * older artifacts use. SHA-256 and HMAC-SHA256 signatures use node:crypto
+ * where it can be loaded synchronously, and a portable implementation
+ * otherwise, ie, in browsers or ES modules on older Node versions. A faster
+ * one can be registered with registerChecksumAlgorithm and
+ * registerSignatureAlgorithm. WebCrypto's `crypto.subtle` is asynchronous,
+ * so it can't be used.
+ */
+
+/**
+ * Algorithm used for new checksums
+ */
+export const DEFAULT_CHECKSUM_ALGORITHM = 'sha256';
+
+/**
+ * Prefix of artifact signatures
+ */
+export const SIGNATURE_ALGORITHM = 'hmac-sha256';
+
+/**
+ * Load node:crypto synchronously, if this runs in Node
+ *
+ * @private
+ * @returns {Object|null} The crypto module, or null if it can't be loaded
+ */
+function loadNodeCrypto() {
+    try {
+        if (
+            typeof process !== 'undefined' &&
+            typeof process.getBuiltinModule === 'function'
+        ) {
+            return process.getBuiltinModule('crypto');
+        }
+
+        if (typeof require === 'function') {
+            return require('crypto');
+        }
+    } catch (err) {
+        // not in Node, the portable implementation is used
+    }
+
+    return null;
+}
+
+const nodeCrypto = loadNodeCrypto();
+
+const textEncoder = new TextEncoder();
+
+// SHA-256 round constants
+const K = new Uint32Array([
+    0x428a2f98,
+    0x71374491,
+    0xb5c0fbcf,
+    0xe9b5dba5,
+    0x3956c25b,
+    0x59f111f1,
+    0x923f82a4,
+    0xab1c5ed5,
+    0xd807aa98,
+    0x12835b01,
+    0x243185be,
+    0x550c7dc3,
+    0x72be5d74,
+    0x80deb1fe,
+    0x9bdc06a7,
+    0xc19bf174,
+    0xe49b69c1,
+    0xefbe4786,
+    0x0fc19dc6,
+    0x240ca1cc,
+    0x2de92c6f,
+    0x4a7484aa,
+    0x5cb0a9dc,
+    0x76f988da,
+    0x983e5152,
+    0xa831c66d,
+    0xb00327c8,
+    0xbf597fc7,
+    0xc6e00bf3,
+    0xd5a79147,
+    0x06ca6351,
+    0x14292967,
+    0x27b70a85,
+    0x2e1b2138,
+    0x4d2c6dfc,
+    0x53380d13,
+    0x650a7354,
+    0x766a0abb,
+    0x81c2c92e,
+    0x92722c85,
+    0xa2bfe8a1,
+    0xa81a664b,
+    0xc24b8b70,
+    0xc76c51a3,
+    0xd192e819,
+    0xd6990624,
+    0xf40e3585,
+    0x106aa070,
+    0x19a4c116,
+    0x1e376c08,
+    0x2748774c,
+    0x34b0bcb5,
+    0x391c0cb3,
+    0x4ed8aa4a,
+    0x5b9cca4f,
+    0x682e6ff3,
+    0x748f82ee,
+    0x78a5636f,
+    0x84c87814,
+    0x8cc70208,
+    0x90befffa,
+    0xa4506ceb,
+    0xbef9a3f7,
+    0xc67178f2,
+]);
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+/**
+ * Convert a string or bytes to bytes
+ *
+ * @private
+ * @param {string|Uint8Array} data - Data to convert
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+function toBytes(data) {
+    return typeof data === 'string' ? textEncoder.encode(data) : data;
+}
+
+/**
+ * Convert bytes to a hex string
+ *
+ * @private
+ * @param {Uint8Array} bytes - Bytes to convert
+ * @returns {string} Hex string
+ */
+function toHex(bytes) {
+    let hex = '';
+    for (const byte of bytes) {
+        hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+/**
+ * Create an incremental SHA-256 hash
+ *
+ * @private
+ * @returns {Object} Hash with update(data) and digestBytes() methods
+ */
+function createSha256() {
+    const state = new Uint32Array([
+        0x6a09e667,
+        0xbb67ae85,
+        0x3c6ef372,
+        0xa54ff53a,
+        0x510e527f,
+        0x9b05688c,
+        0x1f83d9ab,
+        0x5be0cd19,
+    ]);
+    const block = new Uint8Array(64);
+    const words = new Uint32Array(64);
+    let blockLength = 0;
+    let length = 0;
+
+    const compress = () => {
+        for (let i = 0; i < 16; i++) {
+            words[i] =
+                (block[i * 4] << 24) |
+                (block[i * 4 + 1] << 16) |
+                (block[i * 4 + 2] << 8) |
+                block[i * 4 + 3];
+        }
+
+        for (let i = 16; i < 64; i++) {
+            const w15 = words[i - 15];
+            const w2 = words[i - 2];
+            const s0 = rotr(w15, 7) ^ rotr(w15, 18) ^ (w15 >>> 3);
+            const s1 = rotr(w2, 17) ^ rotr(w2, 19) ^ (w2 >>> 10);
+            words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = state;
+
+        for (let i = 0; i < 64; i++) {
+            const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (h + s1 + ch + K[i] + words[i]) | 0;
+            const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (s0 + maj) | 0;
+
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        state[5] += f;
+        state[6] += g;
+        state[7] += h;
+    };
+
+    const hash = {
+        update(data) {
+            const bytes = toBytes(data);
+
+            for (let i = 0; i < bytes.length; i++) {
+                block[blockLength++] = bytes[i];
+
+                if (blockLength === 64) {
+                    compress();
+                    blockLength = 0;
+                }
+            }
+
+            length += bytes.length;
+            return hash;
+        },
+
+        digestBytes() {
+            // Padding: a 1 bit, zeros, then the length in bits as 64 bits
+            const high = Math.floor(length / 0x20000000);
+            const low = (length * 8) >>> 0;
+
+            block[blockLength++] = 0x80;
+
+            if (blockLength > 56) {
+                block.fill(0, blockLength);
+                compress();
+                blockLength = 0;
+            }
+
+            block.fill(0, blockLength, 56);
+            new DataView(block.buffer).setUint32(56, high);
+            new DataView(block.buffer).setUint32(60, low);
+            compress();
+
+            const out = new Uint8Array(32);
+            const view = new DataView(out.buffer);
+            state.forEach((word, i) => view.setUint32(i * 4, word));
+            return out;
+        },
+    };
+
+    return hash;
+}
+
+/**
+ * Create an incremental HMAC-SHA256
+ *
+ * @private
+ * @param {string|Uint8Array} key - Secret key
+ * @returns {Object} HMAC with update(data) and digest() methods
+ */
+function createPortableHmac(key) {
+    let keyBytes = toBytes(key);
+
+    if (keyBytes.length > 64) {
+        keyBytes = createSha256().update(keyBytes).digestBytes();
+    }
+
+    const inner = new Uint8Array(64);
+    const outer = new Uint8Array(64);
+
+    for (let i = 0; i < 64; i++) {
+        const byte = keyBytes[i] || 0;
+        inner[i] = byte ^ 0x36;
+        outer[i] = byte ^ 0x5c;
+    }
+
+    const hash = createSha256().update(inner);
+
+    const hmac = {
+        update(data) {
+            hash.update(data);
+            return hmac;
+        },
+
+        digest() {
+            const bytes = createSha256()
+                .update(outer)
+                .update(hash.digestBytes())
+                .digestBytes();
+            return toHex(bytes);
+        },
+    };
+
+    return hmac;
+}
+
+/**
+ * Create an incremental 32-bit hash. Only meant for checksums of artifacts
+ * saved before SHA-256 was the default
+ *
+ * @private
+ * @returns {Object} Hash with update(data) and digest() methods
+ */
+function createSimpleHash() {
+    let hash = 0;
+
+    const simple = {
+        update(data) {
+            for (let i = 0; i < data.length; i++) {
+                const char = data.charCodeAt(i);
+                hash = (hash << 5) - hash + char;
+                hash = hash & hash; // Convert to 32bit integer
+            }
+            return simple;
+        },
+
+        digest() {
+            return hash.toString(16);
+        },
+    };
+
+    return simple;
+}
+
+const algorithms = new Map([
+    ['simple', createSimpleHash],
+    [
+        'sha256',
+        nodeCrypto
+            ? () => {
+                  const hash = nodeCrypto.createHash('sha256');
+                  return {
+                      update: (data) => hash.update(data),
+                      digest: () => hash.digest('hex'),
+                  };
+              }
+            : () => {
+                  const hash = createSha256();
+                  return {
+                      update: (data) => hash.update(data),
+                      digest: () => toHex(hash.digestBytes()),
+                  };
+              },
+    ],
+]);
+
+let createSignature = nodeCrypto
+    ? (key) => {
+          const hmac = nodeCrypto.createHmac('sha256', key);
+          return {
+              update: (data) => hmac.update(data),
+              digest: () => hmac.digest('hex'),
+          };
+      }
+    : createPortableHmac;
+
+/**
+ * Wrap a hash so that digest() can be called more than once, and updates
+ * after it throw instead of changing a finished hash
+ *
+ * @private
+ * @param {Object} hash - Hash with update(data) and digest() methods
+ * @param {string} prefix - Prefix of the digest
+ * @returns {Object} Hash with update(data) and digest() methods
+ */
+function finalizeOnce(hash, prefix) {
+    let result = null;
+
+    const wrapped = {
+        update(data) {
+            if (result !== null) {
+                throw new Error('Cannot update a digested hash');
+            }
+
+            hash.update(data);
+            return wrapped;
+        },
+
+        digest() {
+            if (result === null) {
+                result = `${prefix}:${hash.digest()}`;
+            }
+
+            return result;
+        },
+    };
+
+    return wrapped;
+}
+
+/**
+ * Register a checksum algorithm, or replace a built-in one
+ *
+ * @param {string} name - Algorithm name, used as the checksum prefix
+ * @param {Function} create - Factory, returning a hash with update(string) and digest() (a string) methods
+ */
+export function registerChecksumAlgorithm(name, create) {
+    if (typeof create !== 'function') {
+        throw new Error('Checksum algorithm must be a function');
+    }
+
+    if (name.includes(':')) {
+        throw new Error(`Invalid checksum algorithm name: ${name}`);
+    }
+
+    algorithms.set(name, create);
+}
+
+/**
+ * Check if a checksum algorithm is registered
+ *
+ * @param {string} name - Algorithm name
+ * @returns {boolean} True if the algorithm is registered
+ */
+export function hasChecksumAlgorithm(name) {
+    return algorithms.has(name);
+}
+
+/**
+ * Get the algorithm of a checksum from its prefix
+ *
+ * @param {string} checksum - Checksum, ie, "sha256:9f86d0..."
+ * @returns {string|null} Algorithm name, or null if the checksum has no prefix
+ */
+export function checksumAlgorithmOf(checksum) {
+    const idx = typeof checksum === 'string' ? checksum.indexOf(':') : -1;
+    return idx > 0 ? checksum.slice(0, idx) : null;
+}
+
+/**
+ * Create an incremental checksum, for data that arrives in pieces.
+ * Updating with "ab" then "c" gives the same checksum as updating with "abc"
+ *
+ * @param {string} [algorithm=DEFAULT_CHECKSUM_ALGORITHM] - Algorithm name
+ * @returns {Object} Checksum with update(data) and digest() methods
+ * @throws {Error} If the algorithm isn't registered
+ */
+export function createChecksum(algorithm = DEFAULT_CHECKSUM_ALGORITHM) {
+    const create = algorithms.get(algorithm);
+
+    if (!create) {
+        throw new Error(`Unknown checksum algorithm: ${algorithm}`);
+    }
+
+    return finalizeOnce(create(), algorithm);
+}
+
+/**
+ * Register the HMAC-SHA256 implementation used for signatures, ie, a faster
+ * one where node:crypto isn't available
+ *
+ * @param {Function} create - Factory (key) => hmac, with update(string) and digest() (a hex string) methods
+ */
+export function registerSignatureAlgorithm(create) {
+    if (typeof create !== 'function') {
+        throw new Error('Signature algorithm must be a function');
+    }
+
+    createSignature = create;
+}
+
+/**
+ * Create an incremental HMAC-SHA256 signature
+ *
+ * @param {string|Uint8Array} key - Secret key
+ * @returns {Object} Signature with update(data) and digest() methods
+ */
+export function createHmac(key) {
+    return finalizeOnce(createSignature(key), SIGNATURE_ALGORITHM);
+}
+
+/**
+ * Compare two signatures in constant time, so the time it takes doesn't
+ * tell how much of a forged signature is right
+ *
+ * @param {string} a - Signature
+ * @param {string} b - Signature
+ * @returns {boolean} True if the signatures are equal
+ */
+export function signaturesEqual(a, b) {
+    if (
+        typeof a !== 'string' ||
+        typeof b !== 'string' ||
+        a.length !== b.length
+    ) {
+        return false;
+    }
+
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+
+    return diff === 0;
+}
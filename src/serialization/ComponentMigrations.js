@@ -0,0 +1,254 @@
+/**
+ * Component Migration Registry for Geotic ECS
+ * Upgrades serialized component payloads from the component version they
+ * were saved with to the component's current `static version`
+ */
+
+import { MigrationRegistry } from './MigrationRegistry.js';
+import { ValidationError } from './ArtifactValidator.js';
+import { camelString } from '../util/string-util.js';
+
+/**
+ * Version of components that don't declare one, and of components in
+ * artifacts saved before component versions were recorded
+ */
+export const DEFAULT_COMPONENT_VERSION = 1;
+
+/**
+ * Record the version of every registered component
+ *
+ * @param {ComponentRegistry} components - Registered components
+ * @returns {Object} Versions by component name
+ */
+export function getComponentVersions(components) {
+    const versions = {};
+
+    for (const clazz of components.getAll()) {
+        versions[clazz.prototype._ckey] = clazz.version;
+    }
+
+    return versions;
+}
+
+/**
+ * Check if data saved with some component versions is at the current ones
+ *
+ * @param {Object} [versions={}] - Component versions the data was saved with
+ * @param {ComponentRegistry} components - Registered components
+ * @returns {boolean} True if no registered component has another version
+ */
+export function hasCurrentVersions(versions = {}, components) {
+    return components
+        .getAll()
+        .every(
+            (clazz) =>
+                (versions[clazz.prototype._ckey] ??
+                    DEFAULT_COMPONENT_VERSION) === clazz.version
+        );
+}
+
+export class ComponentMigrationRegistry {
+    constructor() {
+        // Map of component name to its MigrationRegistry
+        this._registries = new Map();
+    }
+
+    /**
+     * Register a migration function for one component
+     *
+     * @param {Function|string} component - Component class or name
+     * @param {number} fromVersion - Source component version
+     * @param {number} toVersion - Target component version
+     * @param {Function} migrationFn - Migration function (data, entity) => data, for a single component payload.
+     * `entity` is the serialized entity, or the changed components of a delta
+     */
+    register(component, fromVersion, toVersion, migrationFn) {
+        const name = this._nameOf(component);
+
+        if (!this._registries.has(name)) {
+            this._registries.set(name, new MigrationRegistry());
+        }
+
+        this._registries
+            .get(name)
+            .register(fromVersion, toVersion, migrationFn);
+    }
+
+    /**
+     * Check if a migration path exists for a component
+     *
+     * @param {Function|string} component - Component class or name
+     * @param {number} fromVersion - Source component version
+     * @param {number} toVersion - Target component version
+     * @returns {boolean} True if migration path exists
+     */
+    hasMigration(component, fromVersion, toVersion) {
+        const registry = this._registries.get(this._nameOf(component));
+        return Boolean(
+            registry && registry.hasMigration(fromVersion, toVersion)
+        );
+    }
+
+    /**
+     * Upgrade the component payloads of a serialized entity to the current
+     * versions of their components. Unknown components are left as they are
+     *
+     * @param {Object} entity - Serialized entity
+     * @param {Object} [versions={}] - Component versions the entity was saved with
+     * @param {ComponentRegistry} components - Registered components
+     * @returns {Object} Upgraded entity, or the same entity if nothing changed
+     * @throws {ValidationError} If a component has no migration path to its current version
+     */
+    upgradeEntity(entity, versions = {}, components) {
+        if (!entity || typeof entity !== 'object') {
+            return entity;
+        }
+
+        let upgraded = entity;
+
+        for (const name in entity) {
+            const clazz = name === 'id' ? null : components.get(name);
+
+            if (!clazz) {
+                continue;
+            }
+
+            const fromVersion = versions[name] ?? DEFAULT_COMPONENT_VERSION;
+
+            if (fromVersion === clazz.version) {
+                continue;
+            }
+
+            if (upgraded === entity) {
+                upgraded = { ...entity };
+            }
+
+            upgraded[name] = this._migratePayload(
+                clazz,
+                entity[name],
+                fromVersion,
+                entity
+            );
+        }
+
+        return upgraded;
+    }
+
+    /**
+     * Upgrade the entities of an artifact, using the component versions in its meta block
+     *
+     * @param {Object} artifact - Artifact to upgrade
+     * @param {ComponentRegistry} components - Registered components
+     * @returns {Object} Upgraded artifact, with the current component versions in its meta block
+     */
+    upgradeArtifact(artifact, components) {
+        const versions = artifact.meta?.componentVersions;
+
+        if (!Array.isArray(artifact.entities)) {
+            return artifact;
+        }
+
+        return {
+            ...artifact,
+            entities: artifact.entities.map((entity) =>
+                this.upgradeEntity(entity, versions, components)
+            ),
+            meta: {
+                ...artifact.meta,
+                componentVersions: getComponentVersions(components),
+            },
+        };
+    }
+
+    /**
+     * Upgrade the added entities and changed components of a delta
+     *
+     * @param {Object} delta - Delta to upgrade
+     * @param {ComponentRegistry} components - Registered components
+     * @returns {Object} Upgraded delta, with the current component versions in its meta block
+     */
+    upgradeDelta(delta, components) {
+        const versions = delta.meta.componentVersions;
+
+        if (!Array.isArray(delta.added) || !Array.isArray(delta.changed)) {
+            return delta;
+        }
+
+        return {
+            ...delta,
+            added: delta.added.map((entity) =>
+                this.upgradeEntity(entity, versions, components)
+            ),
+            changed: delta.changed.map((change) => {
+                if (!change || !change.set) {
+                    return change;
+                }
+                return {
+                    ...change,
+                    set: this.upgradeEntity(change.set, versions, components),
+                };
+            }),
+            meta: {
+                ...delta.meta,
+                componentVersions: getComponentVersions(components),
+            },
+        };
+    }
+
+    /**
+     * Migrate one component's serialized data
+     *
+     * @private
+     * @param {Function} clazz - Component class
+     * @param {Object|Array} data - Component data, or a collection of it for allowMultiple components
+     * @param {number} fromVersion - Version the data was saved with
+     * @param {Object} entity - Serialized entity the data belongs to
+     * @returns {Object|Array} Migrated data
+     */
+    _migratePayload(clazz, data, fromVersion, entity) {
+        const name = clazz.prototype._ckey;
+        const registry = this._registries.get(name);
+
+        if (!registry || !registry.hasMigration(fromVersion, clazz.version)) {
+            throw new ValidationError(
+                `No migration for component "${name}" from version ${fromVersion} to ${clazz.version}`,
+                'COMPONENT_MIGRATION_MISSING'
+            );
+        }
+
+        const migrate = (payload) =>
+            registry.migrateValue(
+                { ...payload },
+                fromVersion,
+                clazz.version,
+                entity
+            );
+
+        if (!clazz.allowMultiple) {
+            return migrate(data);
+        }
+
+        if (Array.isArray(data)) {
+            return data.map(migrate);
+        }
+
+        const migrated = {};
+        for (const key in data) {
+            migrated[key] = migrate(data[key]);
+        }
+        return migrated;
+    }
+
+    /**
+     * Get the registry name of a component
+     *
+     * @private
+     * @param {Function|string} component - Component class or name
+     * @returns {string} Component name (camelCase)
+     */
+    _nameOf(component) {
+        return camelString(
+            typeof component === 'function' ? component.name : component
+        );
+    }
+}
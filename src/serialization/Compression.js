@@ -0,0 +1,244 @@
+/**
+ * Compressed artifacts for Geotic ECS
+ * Wraps a JSON or binary artifact in a gzip or deflate envelope
+ *
+ * Layout: magic "GEOZ", envelope version byte, compression byte, payload
+ * format byte, compressed payload. Compression uses CompressionStream where
+ * it exists (browsers, Deno, Node 18+), and Node's zlib otherwise. Both are
+ * asynchronous, so compressing and decompressing return promises.
+ */
+
+import { bigintReviver } from './SerializationHelpers.js';
+import { decodeBinary } from './BinaryCodec.js';
+import { ValidationError } from './ArtifactValidator.js';
+
+/**
+ * Magic bytes at the start of every compressed artifact
+ */
+export const COMPRESSED_MAGIC = [0x47, 0x45, 0x4f, 0x5a]; // "GEOZ"
+
+/**
+ * Version of the envelope layout
+ */
+export const COMPRESSED_VERSION = 1;
+
+/**
+ * Supported compression methods, by their envelope byte
+ */
+export const COMPRESSION = {
+    gzip: 1,
+    deflate: 2,
+};
+
+const PAYLOAD = {
+    JSON: 0,
+    BINARY: 1,
+};
+
+const HEADER_LENGTH = COMPRESSED_MAGIC.length + 3;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ *
+ * @private
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {Object} stream - Transform stream
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function transform(bytes, stream) {
+    const writer = stream.writable.getWriter();
+
+    // Errors are reported by the reader, so they aren't awaited here
+    writer.write(bytes).catch(() => {});
+    writer.close().catch(() => {});
+
+    const reader = stream.readable.getReader();
+    const chunks = [];
+    let length = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+
+        if (done) {
+            break;
+        }
+
+        chunks.push(value);
+        length += value.length;
+    }
+
+    const out = new Uint8Array(length);
+    let offset = 0;
+
+    for (const chunk of chunks) {
+        out.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    return out;
+}
+
+/**
+ * Run bytes through a zlib function
+ *
+ * @private
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {string} name - zlib function name, ie, 'gunzip'
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function zlibTransform(bytes, name) {
+    const zlib = await import('zlib');
+
+    return new Promise((resolve, reject) => {
+        zlib[name](bytes, (err, result) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(
+                    new Uint8Array(
+                        result.buffer,
+                        result.byteOffset,
+                        result.length
+                    )
+                );
+            }
+        });
+    });
+}
+
+/**
+ * Compress bytes
+ *
+ * @param {Uint8Array} bytes - Bytes to compress
+ * @param {string} method - 'gzip' or 'deflate'
+ * @returns {Promise<Uint8Array>} Compressed bytes
+ */
+export function compress(bytes, method) {
+    if (typeof CompressionStream === 'function') {
+        return transform(bytes, new CompressionStream(method));
+    }
+
+    return zlibTransform(bytes, method);
+}
+
+/**
+ * Decompress bytes
+ *
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @param {string} method - 'gzip' or 'deflate'
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ */
+export function decompress(bytes, method) {
+    if (typeof DecompressionStream === 'function') {
+        return transform(bytes, new DecompressionStream(method));
+    }
+
+    return zlibTransform(bytes, method === 'gzip' ? 'gunzip' : 'inflate');
+}
+
+/**
+ * Check if a value is a compressed artifact
+ *
+ * @param {*} data - Value to check
+ * @returns {boolean} True if the data starts with the compressed magic bytes
+ */
+export function isCompressedArtifact(data) {
+    if (data instanceof ArrayBuffer) {
+        data = new Uint8Array(data);
+    }
+
+    if (!(data instanceof Uint8Array) || data.length < HEADER_LENGTH) {
+        return false;
+    }
+
+    return COMPRESSED_MAGIC.every((byte, i) => data[i] === byte);
+}
+
+/**
+ * Compress a serialized artifact into an envelope
+ *
+ * @param {string|Uint8Array} data - Artifact as JSON text, or as a binary artifact
+ * @param {string} method - 'gzip' or 'deflate'
+ * @returns {Promise<Uint8Array>} Compressed artifact
+ */
+export async function compressArtifact(data, method) {
+    if (!COMPRESSION[method]) {
+        throw new Error(`Unknown compression: ${method}`);
+    }
+
+    const isText = typeof data === 'string';
+    const payload = await compress(
+        isText ? textEncoder.encode(data) : data,
+        method
+    );
+    const out = new Uint8Array(HEADER_LENGTH + payload.length);
+
+    out.set(COMPRESSED_MAGIC);
+    out[COMPRESSED_MAGIC.length] = COMPRESSED_VERSION;
+    out[COMPRESSED_MAGIC.length + 1] = COMPRESSION[method];
+    out[COMPRESSED_MAGIC.length + 2] = isText ? PAYLOAD.JSON : PAYLOAD.BINARY;
+    out.set(payload, HEADER_LENGTH);
+
+    return out;
+}
+
+/**
+ * Decompress an envelope created by compressArtifact
+ *
+ * @param {Uint8Array|ArrayBuffer} data - Compressed artifact
+ * @returns {Promise<Object>} Artifact object
+ * @throws {ValidationError} If the envelope is invalid, or the payload is corrupted
+ */
+export async function decompressArtifact(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+
+    if (!isCompressedArtifact(bytes)) {
+        throw new ValidationError(
+            'Data is not a compressed artifact',
+            'INVALID_STRUCTURE'
+        );
+    }
+
+    const [version, methodByte, payloadFormat] = bytes.subarray(
+        COMPRESSED_MAGIC.length,
+        HEADER_LENGTH
+    );
+
+    if (version !== COMPRESSED_VERSION) {
+        throw new ValidationError(
+            `Unsupported compressed artifact version: ${version}`,
+            'INVALID_STRUCTURE'
+        );
+    }
+
+    const method = Object.keys(COMPRESSION).find(
+        (name) => COMPRESSION[name] === methodByte
+    );
+
+    if (!method) {
+        throw new ValidationError(
+            `Unknown compression in artifact: ${methodByte}`,
+            'INVALID_STRUCTURE'
+        );
+    }
+
+    let payload;
+
+    try {
+        payload = await decompress(bytes.subarray(HEADER_LENGTH), method);
+    } catch (err) {
+        throw new ValidationError(
+            `Compressed artifact is corrupted: ${err.message}`,
+            'INVALID_STRUCTURE'
+        );
+    }
+
+    if (payloadFormat === PAYLOAD.BINARY) {
+        return decodeBinary(payload);
+    }
+
+    return JSON.parse(textDecoder.decode(payload), bigintReviver);
+}
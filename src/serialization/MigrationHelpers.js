@@ -0,0 +1,397 @@
+/**
+ * Migration helpers for Geotic ECS
+ * Declarative transforms for schema migrations, instead of hand-written loops
+ * over `artifact.entities`. Every helper returns a migration function
+ * (artifact, components) => artifact, so it can be registered directly, or
+ * in an array with others that run in order:
+ *
+ *   engine.registerMigration(0, 1, [
+ *       renameComponent('hp', 'health'),
+ *       renameField('position', 'px', 'x'),
+ *   ]);
+ *
+ * Helpers work on every instance of allowMultiple components, saved as arrays
+ * or as objects keyed by their keyProperty, and never take `$ref` markers for
+ * component data. They don't modify the artifact they are given.
+ *
+ * Whether a component is keyed by its keyProperty is read from the artifact's
+ * registry snapshot (see includeComponentRegistry), from the component class
+ * when one is given instead of a name, or from the engine's registered
+ * component of that name. Otherwise objects are taken as a single instance.
+ */
+
+import { MARKERS } from './constants.js';
+import { camelString } from '../util/string-util.js';
+
+/**
+ * Get the serialized name of a component
+ *
+ * @private
+ * @param {Function|string} component - Component class or name
+ * @returns {string} Component name (camelCase)
+ */
+function nameOf(component) {
+    return camelString(
+        typeof component === 'function' ? component.name : component
+    );
+}
+
+/**
+ * Check if a value is a plain object, ie, not an array or Date
+ *
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a plain object
+ */
+function isPlainObject(value) {
+    return (
+        Boolean(value) &&
+        typeof value === 'object' &&
+        !Array.isArray(value) &&
+        !(value instanceof Date)
+    );
+}
+
+/**
+ * Check if a value is an entity reference, ie, { $ref: id }
+ *
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a reference marker
+ */
+function isRefMarker(value) {
+    return (
+        isPlainObject(value) &&
+        Object.keys(value).length === 1 &&
+        MARKERS.ENTITY_REF in value
+    );
+}
+
+/**
+ * Check if a component is saved as a collection keyed by its keyProperty
+ *
+ * @private
+ * @param {Object} artifact - Artifact being migrated
+ * @param {Function|string} component - Component class or name
+ * @param {ComponentRegistry} [components] - Registered components
+ * @returns {boolean} True if the component data is keyed instances
+ */
+function isKeyed(artifact, component, components) {
+    const name = nameOf(component);
+    const saved = artifact.registry?.components?.[name];
+
+    if (saved && 'allowMultiple' in saved) {
+        return Boolean(saved.allowMultiple && saved.keyProperty);
+    }
+
+    const clazz =
+        typeof component === 'function' ? component : components?.get(name);
+
+    return Boolean(clazz && clazz.allowMultiple && clazz.keyProperty);
+}
+
+/**
+ * Check if a value is the data of one component instance
+ *
+ * @private
+ * @param {*} value - Serialized value
+ * @returns {boolean} True if the value is instance data
+ */
+function isInstance(value) {
+    return isPlainObject(value) && !isRefMarker(value);
+}
+
+/**
+ * Map every instance of serialized component data, keeping its shape
+ *
+ * @private
+ * @param {Object|Array} data - Component data, array or keyed object of it
+ * @param {boolean} keyed - True if the data is keyed instances
+ * @param {Function} fn - Mapping function (instance) => instance
+ * @returns {Object|Array} Mapped data
+ */
+function mapInstances(data, keyed, fn) {
+    if (Array.isArray(data)) {
+        return data.map(fn);
+    }
+
+    if (keyed && isPlainObject(data)) {
+        const mapped = {};
+        for (const key in data) {
+            mapped[key] = fn(data[key]);
+        }
+        return mapped;
+    }
+
+    return fn(data);
+}
+
+/**
+ * Map the entities of an artifact
+ *
+ * @private
+ * @param {Object} artifact - Artifact to migrate
+ * @param {Function} fn - Mapping function (entity) => entity
+ * @returns {Object} Migrated artifact
+ */
+function mapEntities(artifact, fn) {
+    if (!Array.isArray(artifact.entities)) {
+        return artifact;
+    }
+
+    return {
+        ...artifact,
+        entities: artifact.entities.map((entity) =>
+            isPlainObject(entity) ? fn(entity) : entity
+        ),
+    };
+}
+
+/**
+ * Map every instance of one component, on every entity that has it
+ *
+ * @private
+ * @param {Function|string} component - Component class or name
+ * @param {Function} fn - Mapping function (instance, entity) => instance
+ * @returns {Function} Migration function (artifact, components) => artifact
+ */
+function mapComponent(component, fn) {
+    const name = nameOf(component);
+
+    return (artifact, components) => {
+        const keyed = isKeyed(artifact, component, components);
+
+        return mapEntities(artifact, (entity) => {
+            if (!(name in entity)) {
+                return entity;
+            }
+
+            return {
+                ...entity,
+                [name]: mapInstances(entity[name], keyed, (instance) =>
+                    isInstance(instance) ? fn(instance, entity) : instance
+                ),
+            };
+        });
+    };
+}
+
+/**
+ * Rename or remove a component in the artifact's registry snapshot and
+ * component versions, so they match the entities
+ *
+ * @private
+ * @param {Object} artifact - Artifact to update
+ * @param {string} name - Component name
+ * @param {string|null} newName - New component name, or null to remove it
+ * @returns {Object} Updated artifact
+ */
+function renameInMeta(artifact, name, newName) {
+    const rename = (record) => {
+        if (!record || !(name in record)) {
+            return record;
+        }
+
+        const { [name]: value, ...rest } = record;
+        return newName ? { ...rest, [newName]: value } : rest;
+    };
+
+    const result = { ...artifact };
+
+    if (artifact.registry?.components) {
+        result.registry = {
+            ...artifact.registry,
+            components: rename(artifact.registry.components),
+        };
+    }
+
+    if (artifact.meta?.componentVersions) {
+        result.meta = {
+            ...artifact.meta,
+            componentVersions: rename(artifact.meta.componentVersions),
+        };
+    }
+
+    return result;
+}
+
+/**
+ * Rename a component
+ *
+ * @param {Function|string} from - Old component name
+ * @param {Function|string} to - New component class or name
+ * @returns {Function} Migration function (artifact, components) => artifact
+ * @throws {Error} When migrating, if an entity already has the new component
+ */
+export function renameComponent(from, to) {
+    const name = nameOf(from);
+    const newName = nameOf(to);
+
+    return (artifact) => {
+        const migrated = mapEntities(artifact, (entity) => {
+            if (!(name in entity)) {
+                return entity;
+            }
+
+            if (newName in entity) {
+                throw new Error(
+                    `Cannot rename "${name}" to "${newName}": entity ${entity.id} already has "${newName}"`
+                );
+            }
+
+            const { [name]: data, ...rest } = entity;
+            return { ...rest, [newName]: data };
+        });
+
+        return renameInMeta(migrated, name, newName);
+    };
+}
+
+/**
+ * Rename a property of a component
+ *
+ * @param {Function|string} component - Component class or name
+ * @param {string} from - Old property name
+ * @param {string} to - New property name
+ * @returns {Function} Migration function (artifact, components) => artifact
+ */
+export function renameField(component, from, to) {
+    return mapComponent(component, (instance) => {
+        if (!(from in instance)) {
+            return instance;
+        }
+
+        const { [from]: value, ...rest } = instance;
+        return { ...rest, [to]: value };
+    });
+}
+
+/**
+ * Set a property of a component where it is missing
+ *
+ * @param {Function|string} component - Component class or name
+ * @param {string} field - Property name
+ * @param {*|Function} value - Default value, or a function (instance, entity) => value
+ * @returns {Function} Migration function (artifact, components) => artifact
+ */
+export function setDefault(component, field, value) {
+    return mapComponent(component, (instance, entity) => {
+        if (instance[field] !== undefined) {
+            return instance;
+        }
+
+        return {
+            ...instance,
+            [field]:
+                typeof value === 'function' ? value(instance, entity) : value,
+        };
+    });
+}
+
+/**
+ * Remove a component from every entity
+ *
+ * @param {Function|string} component - Component class or name
+ * @returns {Function} Migration function (artifact, components) => artifact
+ */
+export function dropComponent(component) {
+    const name = nameOf(component);
+
+    return (artifact) => {
+        const migrated = mapEntities(artifact, (entity) => {
+            if (!(name in entity)) {
+                return entity;
+            }
+
+            const { [name]: _, ...rest } = entity;
+            return rest;
+        });
+
+        return renameInMeta(migrated, name, null);
+    };
+}
+
+/**
+ * Split a component into several, each taking some of its properties.
+ * The component is removed, unless it is one of the targets. allowMultiple
+ * components split into allowMultiple components of the same shape
+ *
+ *   splitComponent('body', { position: ['x', 'y'], body: ['mass'] })
+ *
+ * @param {Function|string} component - Component class or name
+ * @param {Object} targets - Properties to move, by new component name: { name: [field] }
+ * @returns {Function} Migration function (artifact, components) => artifact
+ * @throws {Error} When migrating, if an entity already has one of the new components
+ */
+export function splitComponent(component, targets) {
+    const name = nameOf(component);
+    const fieldsByName = new Map(
+        Object.entries(targets).map(([target, fields]) => [
+            nameOf(target),
+            fields,
+        ])
+    );
+
+    return (artifact, components) => {
+        const keyed = isKeyed(artifact, component, components);
+        const migrated = mapEntities(artifact, (entity) => {
+            if (!(name in entity)) {
+                return entity;
+            }
+
+            const { [name]: data, ...rest } = entity;
+
+            for (const [target, fields] of fieldsByName) {
+                if (target in rest) {
+                    throw new Error(
+                        `Cannot split "${name}" into "${target}": entity ${entity.id} already has "${target}"`
+                    );
+                }
+
+                rest[target] = mapInstances(data, keyed, (instance) => {
+                    const picked = {};
+                    for (const field of fields) {
+                        if (isInstance(instance) && field in instance) {
+                            picked[field] = instance[field];
+                        }
+                    }
+                    return picked;
+                });
+            }
+
+            return rest;
+        });
+
+        return fieldsByName.has(name)
+            ? migrated
+            : renameInMeta(migrated, name, null);
+    };
+}
+
+/**
+ * Transform property values of a component. `$ref` markers are passed to
+ * the functions as they are, ie, { $ref: id }
+ *
+ *   mapValues('health', { current: value => value * 10 })
+ *
+ * @param {Function|string} component - Component class or name
+ * @param {Object} mappers - Functions by property name: (value, instance, entity) => value
+ * @returns {Function} Migration function (artifact, components) => artifact
+ */
+export function mapValues(component, mappers) {
+    return mapComponent(component, (instance, entity) => {
+        const mapped = { ...instance };
+
+        for (const field in mappers) {
+            if (field in instance) {
+                mapped[field] = mappers[field](
+                    instance[field],
+                    instance,
+                    entity
+                );
+            }
+        }
+
+        return mapped;
+    });
+}
@@ -0,0 +1,212 @@
+/**
+ * Migration previews for Geotic ECS
+ * Runs migrations on a copy of an artifact and reports what they changed,
+ * so a migration can be checked before it touches a save
+ */
+
+import { CURRENT_SCHEMA_VERSION } from './constants.js';
+import { bigintReviver, canonicalStringify } from './SerializationHelpers.js';
+import { ArtifactValidator } from './ArtifactValidator.js';
+
+/**
+ * Copy an artifact, keeping BigInt and Date values
+ *
+ * @private
+ * @param {Object} artifact - Artifact to copy
+ * @returns {Object} Deep copy of the artifact
+ */
+function copyArtifact(artifact) {
+    return JSON.parse(canonicalStringify(artifact), bigintReviver);
+}
+
+/**
+ * Index serialized entities by id
+ *
+ * @private
+ * @param {Object} artifact - Artifact
+ * @returns {Map} Entities by id
+ */
+function entitiesById(artifact) {
+    const entities = new Map();
+
+    for (const entity of Array.isArray(artifact?.entities)
+        ? artifact.entities
+        : []) {
+        if (entity && entity.id !== undefined) {
+            entities.set(entity.id, entity);
+        }
+    }
+
+    return entities;
+}
+
+/**
+ * Compare the entities of two artifacts
+ *
+ * @private
+ * @param {Object} before - Artifact before migrating
+ * @param {Object} after - Artifact after migrating
+ * @returns {Object} Differences { added: [id], removed: [id], changed: [{id, component, before, after}] }
+ */
+function diffEntities(before, after) {
+    const oldEntities = entitiesById(before);
+    const newEntities = entitiesById(after);
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const [id, oldEntity] of oldEntities) {
+        const newEntity = newEntities.get(id);
+
+        if (!newEntity) {
+            diff.removed.push(id);
+            continue;
+        }
+
+        const components = new Set([
+            ...Object.keys(oldEntity),
+            ...Object.keys(newEntity),
+        ]);
+        components.delete('id');
+
+        for (const component of components) {
+            if (
+                canonicalStringify(oldEntity[component]) !==
+                canonicalStringify(newEntity[component])
+            ) {
+                diff.changed.push({
+                    id,
+                    component,
+                    before: oldEntity[component],
+                    after: newEntity[component],
+                });
+            }
+        }
+    }
+
+    for (const id of newEntities.keys()) {
+        if (!oldEntities.has(id)) {
+            diff.added.push(id);
+        }
+    }
+
+    return diff;
+}
+
+/**
+ * Describe an error for a preview report
+ *
+ * @private
+ * @param {Error} err - Error thrown while migrating or validating
+ * @param {string} code - Code for errors that don't have one
+ * @returns {Object} Error description { code, message }
+ */
+function describeError(err, code) {
+    return { code: err.code || code, message: err.message };
+}
+
+/**
+ * Preview the migration of an artifact, without changing it or loading it.
+ * Runs the schema migrations, and the component migrations when migrating
+ * to the current schema version, the same way loadArtifact does
+ *
+ * @param {Engine} engine - Engine with the registered migrations and components
+ * @param {Object} artifact - Artifact to migrate
+ * @param {number} [targetVersion=CURRENT_SCHEMA_VERSION] - Target schema version
+ * @param {Object} [validationOptions={}] - Options for ArtifactValidator
+ * @returns {Object} Report {
+ *   valid, fromVersion, toVersion, steps: [{from, to}],
+ *   added: [id], removed: [id], changed: [{id, component, before, after}],
+ *   errors: [{code, message, path}], artifact
+ * }
+ * Errors of the migrated artifact are all reported, with the path to where
+ * they are, like World#validateArtifact does
+ */
+export function previewMigration(
+    engine,
+    artifact,
+    targetVersion = CURRENT_SCHEMA_VERSION,
+    validationOptions = {}
+) {
+    const steps = [];
+    const errors = [];
+    let migrated = null;
+
+    if (!artifact || typeof artifact !== 'object') {
+        return {
+            valid: false,
+            fromVersion: null,
+            toVersion: targetVersion,
+            steps,
+            added: [],
+            removed: [],
+            changed: [],
+            errors: [
+                {
+                    code: 'INVALID_STRUCTURE',
+                    message: 'Artifact must be an object',
+                },
+            ],
+            artifact: null,
+        };
+    }
+
+    const fromVersion = artifact.meta?.schemaVersion ?? 0;
+
+    try {
+        new ArtifactValidator(engine, validationOptions).validateIntegrity(
+            artifact
+        );
+    } catch (err) {
+        errors.push(describeError(err, 'VALIDATION_FAILED'));
+    }
+
+    if (
+        fromVersion !== targetVersion &&
+        !engine._migrations.hasMigration(fromVersion, targetVersion)
+    ) {
+        errors.push({
+            code: 'MIGRATION_PATH_MISSING',
+            message: `No migration path from version ${fromVersion} to ${targetVersion}`,
+        });
+    } else {
+        try {
+            migrated = engine._migrations.migrate(
+                copyArtifact(artifact),
+                targetVersion,
+                (step) => steps.push(step),
+                engine._components
+            );
+
+            if (targetVersion === CURRENT_SCHEMA_VERSION) {
+                migrated = engine._componentMigrations.upgradeArtifact(
+                    migrated,
+                    engine._components
+                );
+            }
+        } catch (err) {
+            migrated = null;
+            errors.push(describeError(err, 'MIGRATION_FAILED'));
+        }
+    }
+
+    if (migrated) {
+        const report = new ArtifactValidator(engine, {
+            ...validationOptions,
+            validateChecksum: false,
+            signingKey: null,
+        }).report(migrated);
+
+        errors.push(...report.errors);
+    }
+
+    return {
+        valid: errors.length === 0,
+        fromVersion,
+        toVersion: targetVersion,
+        steps,
+        ...(migrated
+            ? diffEntities(artifact, migrated)
+            : { added: [], removed: [], changed: [] }),
+        errors,
+        artifact: migrated,
+    };
+}
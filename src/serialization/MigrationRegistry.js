@@ -9,16 +9,28 @@ export class MigrationRegistry {
     constructor() {
         // Map of migrations: { fromVersion: { toVersion: migrationFn } }
         this._migrations = new Map();
+
+        // Steps that lose data, as "fromVersion:toVersion"
+        this._lossy = new Set();
     }
 
     /**
-     * Register a migration function
+     * Register a migration function. Migrations can go to older versions
+     * too, ie, to export artifacts for older game versions
      *
      * @param {number} fromVersion - Source schema version
      * @param {number} toVersion - Target schema version
-     * @param {Function} migrationFn - Migration function (artifact) => artifact
+     * @param {Function|Function[]} migrationFn - Migration function (artifact, components) => artifact,
+     * or an array of them to run in order, ie, from MigrationHelpers
+     * @param {Object} [options={}] - Migration options
+     * @param {boolean} [options.lossy=false] - The migration drops data, ie, a downgrade
+     * that removes components the older version doesn't have
      */
-    register(fromVersion, toVersion, migrationFn) {
+    register(fromVersion, toVersion, migrationFn, options = {}) {
+        if (Array.isArray(migrationFn)) {
+            migrationFn = this._compose(migrationFn);
+        }
+
         if (typeof migrationFn !== 'function') {
             throw new Error('Migration must be a function');
         }
@@ -28,6 +40,23 @@ export class MigrationRegistry {
         }
 
         this._migrations.get(fromVersion).set(toVersion, migrationFn);
+
+        if (options.lossy) {
+            this._lossy.add(`${fromVersion}:${toVersion}`);
+        } else {
+            this._lossy.delete(`${fromVersion}:${toVersion}`);
+        }
+    }
+
+    /**
+     * Check if a registered migration step drops data
+     *
+     * @param {number} fromVersion - Source schema version
+     * @param {number} toVersion - Target schema version
+     * @returns {boolean} True if the step was registered as lossy
+     */
+    isLossy(fromVersion, toVersion) {
+        return this._lossy.has(`${fromVersion}:${toVersion}`);
     }
 
     /**
@@ -46,9 +75,16 @@ export class MigrationRegistry {
      *
      * @param {Object} artifact - Artifact to migrate
      * @param {number} targetVersion - Target schema version (defaults to current)
+     * @param {Function} [onStep] - Called after each step with ({ from, to }, artifact)
+     * @param {ComponentRegistry} [components] - Registered components, passed to the migration functions
      * @returns {Object} Migrated artifact
      */
-    migrate(artifact, targetVersion = CURRENT_SCHEMA_VERSION) {
+    migrate(
+        artifact,
+        targetVersion = CURRENT_SCHEMA_VERSION,
+        onStep = null,
+        components = null
+    ) {
         // Determine source version
         const sourceVersion = artifact.meta?.schemaVersion ?? 0;
 
@@ -71,17 +107,68 @@ export class MigrationRegistry {
 
         for (const step of path) {
             const migrationFn = this._migrations.get(step.from).get(step.to);
-            migratedArtifact = migrationFn(migratedArtifact);
+            migratedArtifact = migrationFn(migratedArtifact, components);
 
             // Update schema version in metadata
             if (migratedArtifact.meta) {
                 migratedArtifact.meta.schemaVersion = step.to;
             }
+
+            if (onStep) {
+                onStep(step, migratedArtifact);
+            }
         }
 
         return migratedArtifact;
     }
 
+    /**
+     * Run the migrations between two versions on any value, without
+     * touching artifact metadata
+     *
+     * @param {*} value - Value to migrate
+     * @param {number} fromVersion - Source version
+     * @param {number} toVersion - Target version
+     * @param {...*} args - Extra arguments for the migration functions
+     * @returns {*} Migrated value
+     * @throws {Error} If there is no migration path
+     */
+    migrateValue(value, fromVersion, toVersion, ...args) {
+        if (fromVersion === toVersion) {
+            return value;
+        }
+
+        const path = this._findMigrationPath(fromVersion, toVersion);
+
+        if (path.length === 0) {
+            throw new Error(
+                `No migration path from version ${fromVersion} to ${toVersion}`
+            );
+        }
+
+        return path.reduce(
+            (result, step) =>
+                this._migrations.get(step.from).get(step.to)(result, ...args),
+            value
+        );
+    }
+
+    /**
+     * Combine migration functions into one that runs them in order
+     *
+     * @private
+     * @param {Function[]} steps - Migration functions
+     * @returns {Function} Migration function
+     */
+    _compose(steps) {
+        if (!steps.every((step) => typeof step === 'function')) {
+            throw new Error('Migration must be a function');
+        }
+
+        return (value, ...args) =>
+            steps.reduce((result, step) => step(result, ...args), value);
+    }
+
     /**
      * Find shortest migration path between versions using BFS
      *
@@ -152,5 +239,6 @@ export class MigrationRegistry {
      */
     clear() {
         this._migrations.clear();
+        this._lossy.clear();
     }
 }
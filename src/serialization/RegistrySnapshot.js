@@ -0,0 +1,154 @@
+/**
+ * Component registry snapshots for Geotic ECS
+ * Records the registered components and prefabs in an artifact, so that
+ * drift between the game version that saved it and the one loading it
+ * can be detected
+ */
+
+/**
+ * Kinds of registry drift
+ */
+export const DRIFT = {
+    MISSING_COMPONENT: 'missingComponent',
+    MISSING_PREFAB: 'missingPrefab',
+    BIT_CHANGED: 'bitChanged',
+    PROPERTY_ADDED: 'propertyAdded',
+    PROPERTY_REMOVED: 'propertyRemoved',
+    TYPE_CHANGED: 'typeChanged',
+};
+
+/**
+ * Describe one component class
+ *
+ * @private
+ * @param {Function} clazz - Registered component class
+ * @returns {Object} Component description
+ */
+function describeComponent(clazz) {
+    const description = {
+        bit: Number(clazz.prototype._cbit),
+        properties: Object.keys(clazz.properties),
+    };
+
+    if (clazz.allowMultiple) {
+        description.allowMultiple = true;
+        description.keyProperty = clazz.keyProperty;
+    }
+
+    if (clazz.schema) {
+        description.schema = {};
+
+        for (const key in clazz.schema) {
+            description.schema[key] = clazz.schema[key].name;
+        }
+    }
+
+    return description;
+}
+
+/**
+ * Create a snapshot of the engine's component and prefab registries
+ *
+ * @param {Engine} engine - Engine to snapshot
+ * @returns {Object} Snapshot {components: {name: {bit, properties, schema, allowMultiple, keyProperty}}, prefabs: [name]}
+ */
+export function createRegistrySnapshot(engine) {
+    const components = {};
+
+    for (const clazz of engine._components.getAll()) {
+        components[clazz.prototype._ckey] = describeComponent(clazz);
+    }
+
+    return {
+        components,
+        prefabs: Object.keys(engine._prefabs._prefabs),
+    };
+}
+
+/**
+ * Compare a snapshot with the engine's current registries
+ *
+ * Components and prefabs that were registered since the snapshot was taken
+ * are not drift, since the artifact can't use them.
+ *
+ * @param {Engine} engine - Engine to compare against
+ * @param {Object} snapshot - Snapshot from createRegistrySnapshot
+ * @returns {Array} Differences [{type, component, property, message}]
+ */
+export function diffRegistry(engine, snapshot) {
+    const drift = [];
+    const current = createRegistrySnapshot(engine).components;
+
+    for (const name in snapshot.components || {}) {
+        const saved = snapshot.components[name];
+        const now = current[name];
+
+        if (!now) {
+            drift.push({
+                type: DRIFT.MISSING_COMPONENT,
+                component: name,
+                message: `Component "${name}" is not registered`,
+            });
+            continue;
+        }
+
+        if (saved.bit !== now.bit) {
+            drift.push({
+                type: DRIFT.BIT_CHANGED,
+                component: name,
+                message: `Component "${name}" bit changed from ${saved.bit} to ${now.bit}`,
+            });
+        }
+
+        const savedProps = saved.properties || [];
+
+        for (const property of now.properties) {
+            if (!savedProps.includes(property)) {
+                drift.push({
+                    type: DRIFT.PROPERTY_ADDED,
+                    component: name,
+                    property,
+                    message: `Component "${name}" has a new property "${property}"`,
+                });
+            }
+        }
+
+        for (const property of savedProps) {
+            if (!now.properties.includes(property)) {
+                drift.push({
+                    type: DRIFT.PROPERTY_REMOVED,
+                    component: name,
+                    property,
+                    message: `Component "${name}" no longer has property "${property}"`,
+                });
+            }
+        }
+
+        for (const property in saved.schema || {}) {
+            const type = now.schema?.[property];
+
+            if (type && type !== saved.schema[property]) {
+                drift.push({
+                    type: DRIFT.TYPE_CHANGED,
+                    component: name,
+                    property,
+                    message: `Component "${name}" property "${property}" changed from ${saved.schema[property]} to ${type}`,
+                });
+            }
+        }
+    }
+
+    const prefabs = Object.keys(engine._prefabs._prefabs);
+
+    for (const name of snapshot.prefabs || []) {
+        if (!prefabs.includes(name)) {
+            drift.push({
+                type: DRIFT.MISSING_PREFAB,
+                prefab: name,
+                message: `Prefab "${name}" is not registered`,
+            });
+        }
+    }
+
+    return drift;
+}
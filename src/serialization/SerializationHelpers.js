@@ -3,11 +3,19 @@
  * Handles BigInt encoding/decoding and special value types
  */
 
+import {
+    DEFAULT_CHECKSUM_ALGORITHM,
+    checksumAlgorithmOf,
+    createChecksum,
+    createHmac,
+    hasChecksumAlgorithm,
+} from './Checksums.js';
+
 /**
  * Internal fields that should not be serialized
  * These are runtime-only fields that get reconstructed during deserialization
  */
-const SKIP_FIELDS = new Set(['_cbits', '_cbit', '_qeligible', 'world', 'entity']);
+const SKIP_FIELDS = new Set(['_cbits', '_cbit', '_qeligible', '_archetype', 'world', 'entity']);
 
 /**
  * Custom JSON replacer function for handling BigInt and other special types
@@ -27,9 +35,11 @@ export function bigintReplacer(key, value) {
         return { $bigint: value.toString() };
     }
 
-    // Handle Date - encode as ISO string
-    if (value instanceof Date) {
-        return { $date: value.toISOString() };
+    // Handle Date - encode as ISO string. JSON.stringify has already called
+    // Date#toJSON on `value`, so check the raw value on the holder
+    const raw = this ? this[key] : value;
+    if (raw instanceof Date) {
+        return { $date: raw.toISOString() };
     }
 
     return value;
@@ -56,6 +66,35 @@ export function bigintReviver(key, value) {
     return value;
 }
 
+/**
+ * Revive `$bigint` and `$date` markers in data that was parsed without
+ * bigintReviver, ie, with a plain JSON.parse
+ *
+ * @param {*} value - Parsed value
+ * @returns {*} Copy of the value with BigInt and Date values
+ */
+export function reviveMarkers(value) {
+    if (!value || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(reviveMarkers);
+    }
+
+    const revived = bigintReviver(null, value);
+
+    if (revived !== value) {
+        return revived;
+    }
+
+    const result = {};
+    for (const key in value) {
+        result[key] = reviveMarkers(value[key]);
+    }
+    return result;
+}
+
 /**
  * Deep traverse an object and apply a transformation function
  *
@@ -96,30 +135,102 @@ export function deepTraverse(obj, fn, visited = new Set()) {
 }
 
 /**
- * Calculate a simple checksum for data integrity validation
+ * Calculate a checksum for data integrity validation
  *
  * @param {string} data - Serialized JSON string
- * @returns {string} Checksum hash
+ * @param {string} [algorithm=DEFAULT_CHECKSUM_ALGORITHM] - Checksum algorithm
+ * @returns {string} Checksum, prefixed with the algorithm name
  */
-export function calculateChecksum(data) {
-    // Simple hash function - can be replaced with crypto.subtle in browser
-    let hash = 0;
-    for (let i = 0; i < data.length; i++) {
-        const char = data.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32bit integer
-    }
-    return `simple:${hash.toString(16)}`;
+export function calculateChecksum(data, algorithm = DEFAULT_CHECKSUM_ALGORITHM) {
+    return createChecksum(algorithm).update(data).digest();
 }
 
 /**
- * Verify checksum matches data
+ * Stringify a value with sorted object keys, so that equal data always gives
+ * the same string. BigInt and Date values are written as markers
+ *
+ * @param {*} value - Value to stringify
+ * @returns {string} Canonical JSON string
+ */
+export function canonicalStringify(value) {
+    if (typeof value === 'bigint') {
+        return `{"$bigint":"${value}"}`;
+    }
+
+    if (value instanceof Date) {
+        return `{"$date":${JSON.stringify(value.toISOString())}}`;
+    }
+
+    if (Array.isArray(value)) {
+        const items = value.map(item => {
+            const str = canonicalStringify(item);
+            return str === undefined ? 'null' : str;
+        });
+        return `[${items.join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const entries = [];
+        for (const key of Object.keys(value).sort()) {
+            const str = canonicalStringify(value[key]);
+            if (str !== undefined) {
+                entries.push(`${JSON.stringify(key)}:${str}`);
+            }
+        }
+        return `{${entries.join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Calculate the checksum of an artifact's entities
+ *
+ * @param {Array} entities - Serialized entities
+ * @param {string} [algorithm=DEFAULT_CHECKSUM_ALGORITHM] - Checksum algorithm
+ * @returns {string} Checksum, prefixed with the algorithm name
+ */
+export function checksumEntities(entities, algorithm = DEFAULT_CHECKSUM_ALGORITHM) {
+    return calculateChecksum(canonicalStringify(entities), algorithm);
+}
+
+/**
+ * Verify checksum matches data, using the algorithm named by the checksum's prefix
  *
  * @param {string} data - Serialized JSON string
  * @param {string} expectedChecksum - Expected checksum
  * @returns {boolean} True if checksum matches
  */
 export function verifyChecksum(data, expectedChecksum) {
-    const actualChecksum = calculateChecksum(data);
-    return actualChecksum === expectedChecksum;
+    const algorithm = checksumAlgorithmOf(expectedChecksum);
+
+    if (!algorithm || !hasChecksumAlgorithm(algorithm)) {
+        return false;
+    }
+
+    return calculateChecksum(data, algorithm) === expectedChecksum;
+}
+
+/**
+ * Verify the checksum of an artifact's entities
+ *
+ * @param {Array} entities - Serialized entities
+ * @param {string} expectedChecksum - Expected checksum
+ * @returns {boolean} True if checksum matches
+ */
+export function verifyEntitiesChecksum(entities, expectedChecksum) {
+    return verifyChecksum(canonicalStringify(entities), expectedChecksum);
+}
+
+/**
+ * Sign an artifact with a secret key. The signature covers the whole
+ * artifact, except for the signature itself
+ *
+ * @param {Object} artifact - Artifact with a meta block
+ * @param {string|Uint8Array} key - Secret key
+ * @returns {string} HMAC-SHA256 signature
+ */
+export function signArtifact(artifact, key) {
+    const { signature, ...meta } = artifact.meta;
+    return createHmac(key).update(canonicalStringify({ ...artifact, meta })).digest();
 }
@@ -2,6 +2,8 @@
  * Constants for serialization system
  */
 
+import { DEFAULT_CHECKSUM_ALGORITHM } from './Checksums.js';
+
 /**
  * Current schema version for artifact format
  */
@@ -26,8 +28,9 @@ export const MARKERS = {
  */
 export const DEFAULT_SERIALIZE_OPTIONS = {
     // Format options
-    format: 'json',
+    format: 'json',              // 'json' | 'binary' | 'ndjson' (streams only)
     pretty: false,
+    compress: null,              // null | 'gzip' | 'deflate' (serialize returns a Promise)
 
     // Content options
     includeMetadata: true,
@@ -51,6 +54,8 @@ export const DEFAULT_SERIALIZE_OPTIONS = {
     // Performance
     validate: true,              // Validate component schemas
     checksum: false,             // Calculate integrity checksum
+    checksumAlgorithm: DEFAULT_CHECKSUM_ALGORITHM, // Registered algorithm name, ie, 'sha256'
+    signingKey: null,            // Secret key to sign the artifact with (HMAC-SHA256)
 
     // Versioning
     schemaVersion: CURRENT_SCHEMA_VERSION,
@@ -76,6 +81,9 @@ export const DEFAULT_DESERIALIZE_OPTIONS = {
     // Reference handling
     danglingRefs: 'null',        // How to handle missing entity references
 
+    // Streams
+    verifyBeforeLoading: false,  // Keep streamed records until the footer is verified
+
     // Hooks
     beforeDeserialize: null,     // (artifact) => artifact
     afterDeserialize: null,      // (entity) => entity
@@ -0,0 +1,54 @@
+// turn a number or string seed into a 32 bit state
+export const hashSeed = (seed) => {
+    const str = String(seed);
+    let h = 2166136261;
+
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 16777619);
+    }
+
+    return h >>> 0;
+};
+
+export const randomSeed = () => Math.floor(Math.random() * 2 ** 32);
+
+// a small seedable PRNG (mulberry32). The whole state is one 32 bit integer,
+// so it can be saved with `getState` and restored with `setState`
+export class Random {
+    constructor(seed = randomSeed()) {
+        this._state = hashSeed(seed);
+    }
+
+    // a float in [0, 1)
+    next() {
+        this._state = (this._state + 0x6d2b79f5) >>> 0;
+
+        let t = this._state;
+
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // an integer between min and max, inclusive
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    float(min = 0, max = 1) {
+        return min + this.next() * (max - min);
+    }
+
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    getState() {
+        return this._state;
+    }
+
+    setState(state) {
+        this._state = state >>> 0;
+    }
+}
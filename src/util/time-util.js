@@ -0,0 +1,4 @@
+export const now =
+    typeof performance !== 'undefined' && typeof performance.now === 'function'
+        ? () => performance.now()
+        : () => Date.now();
@@ -0,0 +1,29 @@
+const valuesOf = (component) => {
+    if (!Object.prototype.hasOwnProperty.call(component, '_values')) {
+        Object.defineProperty(component, '_values', {
+            value: {},
+            enumerable: false,
+        });
+    }
+
+    return component._values;
+};
+
+// replace each of the component's `static properties` with an accessor on
+// the prototype, so that plain assignments (`entity.position.x = 3`) mark the
+// component as changed
+export const defineTrackedProperties = (clazz) => {
+    for (const key in clazz.properties) {
+        Object.defineProperty(clazz.prototype, key, {
+            get() {
+                return valuesOf(this)[key];
+            },
+            set(value) {
+                valuesOf(this)[key] = value;
+                this.markChanged();
+            },
+            enumerable: true,
+            configurable: true,
+        });
+    }
+};
@@ -0,0 +1,105 @@
+import { Engine, Component, EventHandlerError } from '../../src/index';
+
+describe('Async events', () => {
+    let world, entity, calls;
+
+    const delay = () => new Promise((resolve) => setTimeout(resolve, 1));
+
+    class Armor extends Component {
+        static eventPriority = 10;
+        static properties = { value: 2 };
+
+        async onTakeDamage(evt) {
+            await delay();
+            calls.push('armor');
+            evt.data.amount -= this.value;
+
+            if (evt.data.amount <= 0) {
+                evt.handle();
+            }
+        }
+    }
+
+    class Health extends Component {
+        static properties = { value: 10 };
+
+        onTakeDamage(evt) {
+            calls.push('health');
+            this.value -= evt.data.amount;
+        }
+
+        async onLoadAssets() {
+            await delay();
+            throw new Error('not found');
+        }
+    }
+
+    beforeEach(() => {
+        const engine = new Engine();
+
+        engine.registerComponent(Armor);
+        engine.registerComponent(Health);
+
+        world = engine.createWorld();
+        entity = world.createEntity();
+        calls = [];
+
+        entity.add(Health);
+        entity.add(Armor);
+    });
+
+    it('should await each handler in order', async () => {
+        const evt = await entity.fireEventAsync('take-damage', { amount: 5 });
+
+        expect(calls).toEqual(['armor', 'health']);
+        expect(evt.data.amount).toBe(3);
+        expect(entity.health.value).toBe(7);
+    });
+
+    it('should stop once the event is prevented', async () => {
+        const evt = await entity.fireEventAsync('take-damage', { amount: 1 });
+
+        expect(evt.handled).toBe(true);
+        expect(calls).toEqual(['armor']);
+        expect(entity.health.value).toBe(10);
+    });
+
+    it('should propagate to other entities', async () => {
+        const child = world.createEntity();
+
+        child.add(Health);
+        child.setParent(entity);
+
+        await entity.fireEventAsync(
+            'take-damage',
+            { amount: 5 },
+            { propagate: 'down' }
+        );
+
+        // reduced by the armor on the parent
+        expect(child.health.value).toBe(7);
+    });
+
+    it('should emit the event on the world', async () => {
+        const listener = jest.fn();
+
+        world.on('entityEvent', listener);
+
+        const evt = await entity.fireEventAsync('take-damage', { amount: 5 });
+
+        expect(listener).toHaveBeenCalledWith(evt);
+    });
+
+    it('should wrap handler errors', async () => {
+        const err = await entity.fireEventAsync('load-assets').catch((e) => e);
+
+        expect(err).toBeInstanceOf(EventHandlerError);
+        expect(err.message).toBe(
+            'Health failed to handle "load-assets": not found'
+        );
+        expect(err.component).toBe(entity.health);
+        expect(err.entity).toBe(entity);
+        expect(err.eventName).toBe('load-assets');
+        expect(err.cause.message).toBe('not found');
+    });
+});
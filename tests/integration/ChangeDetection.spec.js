@@ -0,0 +1,155 @@
+import { Engine, Component, System } from '../../src/index';
+
+describe('Change detection', () => {
+    let world, entity, query;
+
+    class Position extends Component {
+        static trackChanges = true;
+        static properties = {
+            x: 0,
+            y: 0,
+        };
+    }
+
+    class Velocity extends Component {
+        static properties = {
+            x: 0,
+            y: 0,
+        };
+    }
+
+    beforeEach(() => {
+        const engine = new Engine();
+
+        engine.registerComponent(Position);
+        engine.registerComponent(Velocity);
+
+        world = engine.createWorld();
+        entity = world.createEntity();
+        entity.add(Position, { x: 1, y: 2 });
+        entity.add(Velocity);
+        world.clearChanges();
+
+        query = world.createQuery({
+            all: [Position],
+            changed: [Position],
+        });
+    });
+
+    it('should read and write tracked properties as usual', () => {
+        entity.position.x = 5;
+
+        expect(entity.position.x).toBe(5);
+        expect(entity.position.y).toBe(2);
+        expect(entity.position.serialize()).toEqual({ x: 5, y: 2 });
+    });
+
+    it('should only return entities that changed', () => {
+        const other = world.createEntity();
+
+        other.add(Position);
+        world.clearChanges();
+
+        expect(query.get()).toEqual([]);
+
+        entity.position.x = 3;
+
+        expect(query.get()).toEqual([entity]);
+        expect(query.has(other)).toBe(true);
+    });
+
+    it('should count newly added components as changed', () => {
+        const other = world.createEntity();
+
+        other.add(Position);
+
+        expect(query.get()).toEqual([other]);
+    });
+
+    it('should support markChanged for nested mutations', () => {
+        entity.position.markChanged();
+
+        expect(query.get()).toEqual([entity]);
+    });
+
+    it('should forget changes at the end of a tick', () => {
+        const seen = [];
+
+        class Renderer extends System {
+            static queries = {
+                moved: { all: [Position], changed: [Position] },
+            };
+
+            update() {
+                seen.push(this.queries.moved.get().length);
+            }
+        }
+
+        world.addSystem(new Renderer(), { phase: 'render' });
+
+        entity.position.x = 3;
+        world.tick(1);
+        world.tick(1);
+
+        expect(seen).toEqual([1, 0]);
+        expect(query.get()).toEqual([]);
+    });
+
+    it('should keep changes made after a system ran until it runs again', () => {
+        const seen = [];
+
+        class Mover extends System {
+            static queries = {
+                moved: { all: [Position], changed: [Position] },
+            };
+
+            update() {
+                seen.push(this.queries.moved.get().length);
+            }
+        }
+
+        class Animator extends System {
+            update() {
+                entity.position.x += 1;
+            }
+        }
+
+        world.addSystem(new Mover(), { phase: 'update' });
+        world.addSystem(new Animator(), { phase: 'render' });
+
+        world.tick(1);
+        world.tick(1);
+        world.tick(1);
+
+        expect(seen).toEqual([0, 1, 1]);
+    });
+
+    it('should drop entities that no longer match', () => {
+        entity.position.x = 3;
+        entity.position.destroy();
+
+        expect(query.get()).toEqual([]);
+    });
+
+    describe('onComponentChanged', () => {
+        it('should invoke the callback with the entity and component', () => {
+            const cb = jest.fn();
+
+            query.onComponentChanged(cb);
+            entity.position.y = 7;
+
+            expect(cb).toHaveBeenCalledTimes(1);
+            expect(cb).toHaveBeenCalledWith(entity, entity.position);
+        });
+
+        it('should not be invoked for untracked components', () => {
+            const cb = jest.fn();
+            const all = world.createQuery({ all: [Velocity] });
+
+            all.onComponentChanged(cb);
+            entity.velocity.x = 4;
+
+            expect(cb).not.toHaveBeenCalled();
+        });
+    });
+});
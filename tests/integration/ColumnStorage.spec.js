@@ -0,0 +1,228 @@
+import { Engine, Component, Types } from '../../src/index';
+
+describe('Column storage', () => {
+    let engine, world;
+
+    class Position extends Component {
+        static storage = 'soa';
+        static schema = {
+            x: Types.float,
+            y: Types.float,
+        };
+    }
+
+    class Velocity extends Component {
+        static storage = 'soa';
+        static trackChanges = true;
+        static schema = {
+            dx: Types.int({ default: 1 }),
+            dy: Types.int({ default: 1 }),
+            frozen: Types.bool,
+        };
+    }
+
+    const spawn = (x, y) => {
+        const entity = world.createEntity();
+
+        entity.add(Position, { x, y });
+
+        return entity;
+    };
+
+    beforeEach(() => {
+        engine = new Engine();
+        engine.registerComponent(Position);
+        engine.registerComponent(Velocity);
+
+        world = engine.createWorld();
+    });
+
+    describe('accessors', () => {
+        it('should read and write through the component', () => {
+            const entity = spawn(1, 2);
+
+            entity.position.x = 5;
+
+            expect(entity.position.x).toBe(5);
+            expect(entity.position.y).toBe(2);
+            expect(world.getColumns(Position).columns.x[0]).toBe(5);
+        });
+
+        it('should store values with the column type', () => {
+            const entity = spawn(0.1, 0);
+
+            entity.add(Velocity, { dx: 2, frozen: true });
+
+            expect(entity.position.x).toBe(Math.fround(0.1));
+            expect(entity.velocity.dx).toBe(2);
+            expect(entity.velocity.dy).toBe(1);
+            expect(entity.velocity.frozen).toBe(true);
+            expect(world.getColumns(Velocity).columns.dx).toBeInstanceOf(
+                Int32Array
+            );
+        });
+
+        it('should validate the schema', () => {
+            const entity = world.createEntity();
+
+            expect(() => entity.add(Position, { x: 'left' })).toThrow(
+                'Position.x must be a float'
+            );
+            expect(world.getColumns(Position).size).toBe(0);
+        });
+
+        it('should reject values that do not match the column type', () => {
+            const entity = spawn(1, 2);
+
+            entity.add(Velocity);
+
+            expect(() => {
+                entity.velocity.dx = 1.5;
+            }).toThrow('Velocity.dx must be an int, got 1.5');
+            expect(() => {
+                entity.position.y = '3';
+            }).toThrow('Position.y must be a float, got "3"');
+            expect(entity.velocity.dx).toBe(1);
+            expect(entity.position.y).toBe(2);
+        });
+
+        it('should reject ints outside of the Int32Array range', () => {
+            const entity = spawn(1, 2);
+
+            entity.add(Velocity);
+
+            expect(() => {
+                entity.velocity.dx = 3000000000;
+            }).toThrow(
+                'Velocity.dx must be a 32-bit int to use soa storage, got 3000000000'
+            );
+            expect(() =>
+                world.createEntity().add(Velocity, { dy: -2147483649 })
+            ).toThrow('Velocity.dy must be a 32-bit int');
+            expect(entity.velocity.dx).toBe(1);
+
+            entity.velocity.dx = 2147483647;
+
+            expect(entity.velocity.dx).toBe(2147483647);
+        });
+
+        it('should only hold the row in the component', () => {
+            const entity = spawn(1, 2);
+
+            expect(Object.getOwnPropertyNames(entity.position)).toEqual([
+                'entity',
+            ]);
+        });
+
+        it('should keep the values of removed components', () => {
+            const entity = spawn(3, 4);
+            const position = entity.position;
+
+            entity.remove(position);
+
+            expect(position.x).toBe(3);
+            expect(position.y).toBe(4);
+        });
+    });
+
+    describe('columns', () => {
+        it('should pack rows densely', () => {
+            const a = spawn(1, 1);
+            const b = spawn(2, 2);
+            const c = spawn(3, 3);
+            const store = world.getColumns(Position);
+
+            a.destroy();
+
+            expect(store.size).toBe(2);
+            expect(store.entities).toEqual([c, b]);
+            expect(store.rowOf(c)).toBe(0);
+            expect(store.rowOf(a)).toBe(-1);
+            expect(b.position.x).toBe(2);
+            expect(c.position.x).toBe(3);
+        });
+
+        it('should grow', () => {
+            const entities = [];
+
+            for (let i = 0; i < 100; i++) {
+                entities.push(spawn(i, -i));
+            }
+
+            expect(world.getColumns(Position).size).toBe(100);
+            expect(entities[99].position.y).toBe(-99);
+        });
+
+        it('should allow bulk updates', () => {
+            const a = spawn(1, 1);
+            const b = spawn(2, 2);
+            const { size, columns } = world.getColumns(Position);
+
+            for (let i = 0; i < size; i++) {
+                columns.x[i] += 10;
+            }
+
+            expect(a.position.x).toBe(11);
+            expect(b.position.x).toBe(12);
+        });
+
+        it('should be separate for each world', () => {
+            spawn(1, 1);
+
+            expect(engine.createWorld().getColumns(Position).size).toBe(0);
+        });
+    });
+
+    describe('with other features', () => {
+        it('should track changes', () => {
+            const entity = spawn(0, 0);
+
+            entity.add(Velocity);
+
+            const query = world.createQuery({
+                all: [Velocity],
+                changed: [Velocity],
+            });
+
+            world.clearChanges();
+            entity.velocity.dx = 3;
+
+            expect(query.get()).toEqual([entity]);
+        });
+
+        it('should serialize', () => {
+            const entity = spawn(1.5, 2);
+            const artifact = world.createArtifact();
+            const loaded = engine.createWorld();
+
+            loaded.loadArtifact(artifact);
+
+            expect(entity.serialize().position).toEqual({ x: 1.5, y: 2 });
+            expect(loaded.getEntity(entity.id).position.x).toBe(1.5);
+        });
+    });
+
+    describe('registration', () => {
+        it('should require a schema', () => {
+            class Bad extends Component {
+                static storage = 'soa';
+                static properties = { x: 0 };
+            }
+
+            expect(() => engine.registerComponent(Bad)).toThrow(
+                'Bad must have a schema to use soa storage'
+            );
+        });
+
+        it('should require numeric fields', () => {
+            class Bad extends Component {
+                static storage = 'soa';
+                static schema = { name: Types.string };
+            }
+
+            expect(() => engine.registerComponent(Bad)).toThrow(
+                'Bad.name must be an int, float, number or bool'
+            );
+        });
+    });
+});
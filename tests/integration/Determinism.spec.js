@@ -0,0 +1,138 @@
+import { Engine, Component } from '../../src/index';
+
+describe('Determinism', () => {
+    let engine;
+
+    class Loot extends Component {
+        static properties = { gold: 0 };
+    }
+
+    const simulate = (world) => {
+        for (let i = 0; i < 5; i++) {
+            const entity = world.createEntity();
+
+            entity.add(Loot, { gold: world.random.int(1, 100) });
+        }
+
+        return world.createArtifact({ includeMetadata: false }).entities;
+    };
+
+    beforeEach(() => {
+        engine = new Engine();
+        engine.registerComponent(Loot);
+    });
+
+    describe('seed', () => {
+        it('should create the same ids and rolls for the same seed', () => {
+            const a = simulate(engine.createWorld({ seed: 42 }));
+            const b = simulate(engine.createWorld({ seed: 42 }));
+
+            expect(a).toEqual(b);
+        });
+
+        it('should differ between seeds', () => {
+            const a = simulate(engine.createWorld({ seed: 42 }));
+            const b = simulate(engine.createWorld({ seed: 'forty-two' }));
+
+            expect(a).not.toEqual(b);
+        });
+
+        it('should keep ids independent of world.random', () => {
+            const a = engine.createWorld({ seed: 7 });
+            const b = engine.createWorld({ seed: 7 });
+
+            b.random.next();
+
+            expect(a.createId()).toBe(b.createId());
+        });
+    });
+
+    describe('random', () => {
+        it('should roll within bounds', () => {
+            const { random } = engine.createWorld({ seed: 1 });
+
+            for (let i = 0; i < 100; i++) {
+                const roll = random.int(1, 6);
+                const value = random.next();
+
+                expect(roll).toBeGreaterThanOrEqual(1);
+                expect(roll).toBeLessThanOrEqual(6);
+                expect(Number.isInteger(roll)).toBe(true);
+                expect(value).toBeGreaterThanOrEqual(0);
+                expect(value).toBeLessThan(1);
+            }
+        });
+
+        it('should resume from a saved state', () => {
+            const { random } = engine.createWorld({ seed: 1 });
+            const state = random.getState();
+            const rolls = [random.next(), random.next()];
+
+            random.setState(state);
+
+            expect([random.next(), random.next()]).toEqual(rolls);
+        });
+    });
+
+    describe('world state', () => {
+        it('should only be included when asked for', () => {
+            const world = engine.createWorld({ seed: 3 });
+
+            expect(world.createArtifact().world).toBeUndefined();
+            expect(
+                world.createArtifact({ includeWorldState: true }).world
+            ).toEqual({
+                nextId: 0,
+                random: world.random.getState(),
+                idRandom: expect.any(Number),
+            });
+        });
+
+        it('should restore the random state when loaded', () => {
+            const world = engine.createWorld({ seed: 3 });
+
+            simulate(world);
+
+            const artifact = world.createArtifact({ includeWorldState: true });
+            const expected = world.random.next();
+            const loaded = engine.createWorld();
+
+            loaded.loadArtifact(artifact);
+
+            expect(loaded.random.next()).toBe(expected);
+        });
+    });
+
+    describe('id counter', () => {
+        it('should continue ids after loading', () => {
+            const world = engine.createWorld({ seed: 3 });
+
+            simulate(world);
+
+            const artifact = world.createArtifact({ includeWorldState: true });
+            const expected = world.createId();
+            const loaded = engine.createWorld();
+
+            loaded.loadArtifact(artifact);
+
+            expect(loaded.createId()).toBe(expected);
+        });
+
+        it('should restore recycled numeric ids', () => {
+            const world = engine.createWorld({ numericIds: true });
+            const a = world.createEntity();
+
+            world.createEntity();
+            a.destroy();
+
+            const artifact = world.createArtifact({ includeWorldState: true });
+            const expected = world.createEntity().id;
+            const loaded = engine.createWorld({ numericIds: true });
+
+            loaded.loadArtifact(artifact);
+
+            expect(loaded.isAlive(a.id)).toBe(false);
+            expect(loaded.createEntity().id).toBe(expected);
+        });
+    });
+});
@@ -1,4 +1,4 @@
-import { Engine, Component } from '../../src/index';
+import { Engine, Component, ChildOf } from '../../src/index';
 import { EmptyComponent } from '../data/components';
 
 describe('Events', () => {
@@ -40,4 +40,254 @@ describe('Events', () => {
             expect(arg.data).toBe(data);
         });
     });
+
+    describe('propagation', () => {
+        let root, parent, child, sibling, calls;
+
+        class Recorder extends Component {
+            static properties = { label: '' };
+
+            onPing(evt) {
+                calls.push(`${this.label}:${evt.phase}`);
+
+                if (evt.data.stopAt === this.label) {
+                    evt.stopPropagation();
+                }
+
+                if (evt.data.preventAt === this.label) {
+                    evt.prevent();
+                }
+            }
+
+            onPingCapture(evt) {
+                calls.push(`${this.label}:${evt.phase}`);
+            }
+        }
+
+        class Second extends Component {
+            onPing(evt) {
+                calls.push('second');
+            }
+        }
+
+        const create = (label) => {
+            const entity = world.createEntity();
+
+            entity.add(Recorder, { label });
+
+            return entity;
+        };
+
+        beforeEach(() => {
+            world.engine.registerComponent(Recorder);
+            world.engine.registerComponent(Second);
+
+            calls = [];
+            root = create('root');
+            parent = create('parent');
+            child = create('child');
+            sibling = create('sibling');
+
+            parent.setParent(root);
+            child.setParent(parent);
+        });
+
+        it('should only reach the entity by default', () => {
+            const evt = child.fireEvent('ping');
+
+            expect(calls).toEqual(['child:target']);
+            expect(evt.target).toBe(child);
+        });
+
+        it('should capture down to the target and bubble back up', () => {
+            child.fireEvent('ping', {}, { propagate: 'up' });
+
+            expect(calls).toEqual([
+                'root:capture',
+                'parent:capture',
+                'child:target',
+                'parent:bubble',
+                'root:bubble',
+            ]);
+        });
+
+        it('should propagate down to descendants', () => {
+            root.fireEvent('ping', {}, { propagate: 'down' });
+
+            expect(calls).toEqual([
+                'root:target',
+                'parent:bubble',
+                'child:bubble',
+            ]);
+        });
+
+        it('should broadcast to every entity', () => {
+            parent.fireEvent('ping', {}, { propagate: 'broadcast' });
+
+            expect(calls).toEqual([
+                'parent:target',
+                'root:bubble',
+                'child:bubble',
+                'sibling:bubble',
+            ]);
+        });
+
+        it('should broadcast to the entities of a query', () => {
+            const query = world.createQuery({
+                all: [Recorder],
+                none: [ChildOf],
+            });
+
+            child.fireEvent('ping', {}, { propagate: 'broadcast', query });
+
+            expect(calls).toEqual([
+                'child:target',
+                'root:bubble',
+                'sibling:bubble',
+            ]);
+        });
+
+        it('should finish the current entity when propagation is stopped', () => {
+            parent.add(Second);
+
+            const evt = child.fireEvent(
+                'ping',
+                { stopAt: 'parent' },
+                { propagate: 'up' }
+            );
+
+            expect(calls).toEqual([
+                'root:capture',
+                'parent:capture',
+                'child:target',
+                'parent:bubble',
+                'second',
+            ]);
+            expect(evt.propagationStopped).toBe(true);
+            expect(evt.prevented).toBe(false);
+        });
+
+        it('should stop everything when prevented', () => {
+            parent.add(Second);
+
+            child.fireEvent(
+                'ping',
+                { preventAt: 'parent' },
+                { propagate: 'up' }
+            );
+
+            expect(calls).toEqual([
+                'root:capture',
+                'parent:capture',
+                'child:target',
+                'parent:bubble',
+            ]);
+        });
+    });
+
+    describe('priority', () => {
+        let entity, calls;
+
+        class Armor extends Component {
+            static eventPriority = 10;
+
+            onTakeDamage() {
+                calls.push('armor');
+            }
+        }
+
+        class Health extends Component {
+            onTakeDamage() {
+                calls.push('health');
+            }
+
+            onHeal() {
+                calls.push('health');
+            }
+        }
+
+        class Shield extends Component {
+            static eventPriority = { heal: 5, default: -1 };
+
+            onTakeDamage() {
+                calls.push('shield');
+            }
+
+            onHeal() {
+                calls.push('shield');
+            }
+        }
+
+        class Buff extends Component {
+            static allowMultiple = true;
+            static properties = { name: '' };
+
+            onHeal() {
+                calls.push(this.name);
+            }
+        }
+
+        beforeEach(() => {
+            world.engine.registerComponent(Armor);
+            world.engine.registerComponent(Health);
+            world.engine.registerComponent(Shield);
+            world.engine.registerComponent(Buff);
+
+            calls = [];
+            entity = world.createEntity();
+        });
+
+        it('should run higher priorities first', () => {
+            entity.add(Health);
+            entity.add(Armor);
+
+            entity.fireEvent('take-damage');
+
+            expect(calls).toEqual(['armor', 'health']);
+        });
+
+        it('should fall back to registration order', () => {
+            entity.add(Buff, { name: 'a' });
+            entity.add(Health);
+
+            entity.fireEvent('heal');
+
+            expect(calls).toEqual(['health', 'a']);
+        });
+
+        it('should support priorities by event name', () => {
+            entity.add(Health);
+            entity.add(Shield);
+            entity.add(Armor);
+
+            entity.fireEvent('heal');
+            entity.fireEvent('take-damage');
+
+            expect(calls).toEqual([
+                'shield',
+                'health',
+                'armor',
+                'health',
+                'shield',
+            ]);
+        });
+
+        it('should keep the insertion order of multiple components', () => {
+            entity.add(Buff, { name: 'b' });
+            entity.add(Buff, { name: 'a' });
+
+            entity.fireEvent('heal');
+
+            expect(calls).toEqual(['b', 'a']);
+        });
+
+        it('should update the order when components change', () => {
+            entity.add(Health);
+            entity.fireEvent('take-damage');
+            entity.add(Armor);
+            entity.fireEvent('take-damage');
+
+            expect(calls).toEqual(['health', 'armor', 'health']);
+        });
+    });
 });
@@ -0,0 +1,124 @@
+import { Engine, Component, ChildOf } from '../../src/index';
+
+describe('Hierarchy', () => {
+    let engine, world, root, a, b, c;
+
+    class Name extends Component {
+        static properties = { value: '' };
+    }
+
+    const named = (value) => {
+        const entity = world.createEntity();
+
+        entity.add(Name, { value });
+
+        return entity;
+    };
+
+    beforeEach(() => {
+        engine = new Engine();
+        engine.registerComponent(Name);
+
+        world = engine.createWorld();
+
+        root = named('root');
+        a = named('a');
+        b = named('b');
+        c = named('c');
+
+        b.setParent(root);
+        a.setParent(root);
+        c.setParent(a);
+    });
+
+    describe('setParent', () => {
+        it('should set the parent', () => {
+            expect(a.getParent()).toBe(root);
+            expect(c.getParent()).toBe(a);
+            expect(root.getParent()).toBeNull();
+        });
+
+        it('should list children in the order they were parented', () => {
+            expect(root.children).toEqual([b, a]);
+            expect(a.children).toEqual([c]);
+        });
+
+        it('should move the entity to a new parent', () => {
+            c.setParent(b);
+
+            expect(a.children).toEqual([]);
+            expect(b.children).toEqual([c]);
+        });
+
+        it('should detach the entity', () => {
+            c.setParent(null);
+
+            expect(c.getParent()).toBeNull();
+            expect(c.has(ChildOf)).toBe(false);
+            expect(a.children).toEqual([]);
+        });
+
+        it('should reject cycles', () => {
+            expect(() => root.setParent(c)).toThrow('cannot be parented');
+            expect(() => a.setParent(a)).toThrow('cannot be parented');
+        });
+
+        it('should be queryable', () => {
+            const query = world.createQuery({ all: [[ChildOf, root]] });
+
+            expect(query.get()).toEqual([b, a]);
+        });
+    });
+
+    describe('traverse', () => {
+        it('should visit descendants depth-first', () => {
+            const visited = [];
+
+            root.traverse((entity) => visited.push(entity.name.value));
+
+            expect(visited).toEqual(['root', 'b', 'a', 'c']);
+        });
+    });
+
+    describe('destroy', () => {
+        it('should destroy descendants', () => {
+            a.destroy();
+
+            expect(c.isDestroyed).toBe(true);
+            expect(b.isDestroyed).toBe(false);
+            expect(root.children).toEqual([b]);
+        });
+    });
+
+    describe('artifacts', () => {
+        it('should put parents before children', () => {
+            const other = named('other');
+
+            root.setParent(other);
+
+            const artifact = world.createArtifact();
+            const names = artifact.entities.map((e) => e.name.value);
+
+            expect(names).toEqual(['other', 'root', 'b', 'a', 'c']);
+        });
+
+        it('should preserve the hierarchy when loaded', () => {
+            c.setParent(b);
+            a.setParent(null);
+            a.setParent(root);
+
+            const artifact = world.createArtifact();
+            const loaded = engine.createWorld();
+
+            loaded.loadArtifact(artifact);
+
+            const visited = [];
+
+            loaded
+                .getEntity(root.id)
+                .traverse((entity) => visited.push(entity.name.value));
+
+            expect(visited).toEqual(['root', 'b', 'c', 'a']);
+        });
+    });
+});
@@ -0,0 +1,261 @@
+import { Engine, Component, Relation } from '../../src/index';
+
+describe('Relations', () => {
+    let engine, world, a, b, c;
+
+    class Likes extends Relation {
+        static properties = {
+            target: null,
+            amount: 1,
+        };
+    }
+
+    class Owns extends Relation {
+        static onDelete = 'cascade';
+    }
+
+    class Targets extends Relation {
+        static exclusive = true;
+        static onDelete = 'nullify';
+    }
+
+    class Tag extends Component {}
+
+    beforeEach(() => {
+        engine = new Engine();
+
+        engine.registerComponent(Likes);
+        engine.registerComponent(Owns);
+        engine.registerComponent(Targets);
+        engine.registerComponent(Tag);
+
+        world = engine.createWorld();
+        a = world.createEntity();
+        b = world.createEntity();
+        c = world.createEntity();
+    });
+
+    describe('relate', () => {
+        it('should relate entities', () => {
+            const relation = a.relate(Likes, b, { amount: 3 });
+
+            expect(relation).toBeInstanceOf(Likes);
+            expect(relation.amount).toBe(3);
+            expect(a.getRelated(Likes)).toEqual([b]);
+            expect(a.isRelated(Likes, b)).toBe(true);
+            expect(a.has(Likes)).toBe(true);
+        });
+
+        it('should not add the same pair twice', () => {
+            const first = a.relate(Likes, b);
+            const second = a.relate(Likes, b);
+
+            expect(second).toBe(first);
+            expect(a.getRelations(Likes)).toHaveLength(1);
+        });
+
+        it('should allow many targets', () => {
+            a.relate(Likes, b);
+            a.relate(Likes, c);
+
+            expect(a.getRelated(Likes)).toEqual([b, c]);
+        });
+
+        it('should replace the target of an exclusive relation', () => {
+            a.relate(Targets, b);
+            a.relate(Targets, c);
+
+            expect(a.getRelated(Targets)).toEqual([c]);
+        });
+    });
+
+    describe('unrelate', () => {
+        it('should remove one pair', () => {
+            a.relate(Likes, b);
+            a.relate(Likes, c);
+            a.unrelate(Likes, b);
+
+            expect(a.getRelated(Likes)).toEqual([c]);
+        });
+
+        it('should remove every pair', () => {
+            a.relate(Likes, b);
+            a.relate(Likes, c);
+            a.unrelate(Likes);
+
+            expect(a.getRelated(Likes)).toEqual([]);
+            expect(a.has(Likes)).toBe(false);
+        });
+    });
+
+    describe('queries', () => {
+        it('should match pairs', () => {
+            const query = world.createQuery({ all: [[Likes, b]] });
+
+            a.relate(Likes, b);
+            c.relate(Likes, a);
+
+            expect(query.get()).toEqual([a]);
+
+            a.unrelate(Likes, b);
+
+            expect(query.get()).toEqual([]);
+        });
+
+        it('should match existing pairs', () => {
+            a.relate(Likes, b);
+            c.relate(Likes, b);
+            c.add(Tag);
+
+            const query = world.createQuery({
+                all: [[Likes, b]],
+                none: [Tag],
+            });
+
+            expect(query.get()).toEqual([a]);
+        });
+
+        it('should match any target with the relation class', () => {
+            const query = world.createQuery({ all: [Likes] });
+
+            a.relate(Likes, b);
+            c.relate(Likes, a);
+
+            expect(query.get()).toEqual([a, c]);
+        });
+
+        it('should match any and none pairs', () => {
+            const any = world.createQuery({ any: [[Likes, b], Tag] });
+            const none = world.createQuery({
+                all: [Likes],
+                none: [[Likes, b]],
+            });
+
+            a.relate(Likes, b);
+            c.relate(Likes, a);
+
+            expect(any.get()).toEqual([a]);
+            expect(none.get()).toEqual([c]);
+
+            c.add(Tag);
+            a.relate(Likes, c);
+            a.unrelate(Likes, b);
+
+            expect(any.get()).toEqual([c]);
+            expect(none.get()).toEqual([c, a]);
+        });
+
+        it('should not add bits or archetypes for pair targets', () => {
+            const query = world.createQuery({ all: [[Likes, b]] });
+            const cbit = engine._components._cbit;
+
+            a.relate(Likes, b);
+
+            const archetypes = world._archetypes.size;
+
+            for (let i = 0; i < 100; i++) {
+                const parent = world.createEntity();
+                const child = world.createEntity();
+
+                child.relate(Likes, parent);
+                world.createQuery({ all: [[Likes, parent]] });
+                parent.destroy();
+                child.destroy();
+            }
+
+            expect(engine._components._cbit).toBe(cbit);
+            expect(world._archetypes.size).toBe(archetypes);
+            expect(query.get()).toEqual([a]);
+        });
+    });
+
+    describe('onDelete', () => {
+        it('should remove the relation by default', () => {
+            const query = world.createQuery({ all: [[Likes, b]] });
+
+            a.relate(Likes, b);
+            a.relate(Likes, c);
+            b.destroy();
+
+            expect(a.isDestroyed).toBe(false);
+            expect(a.getRelated(Likes)).toEqual([c]);
+            expect(query.get()).toEqual([]);
+        });
+
+        it('should cascade destroy', () => {
+            a.relate(Owns, b);
+            b.relate(Owns, c);
+            c.destroy();
+
+            expect(a.isDestroyed).toBe(true);
+            expect(b.isDestroyed).toBe(true);
+        });
+
+        it('should survive cascading cycles', () => {
+            a.relate(Owns, b);
+            b.relate(Owns, a);
+            a.destroy();
+
+            expect(a.isDestroyed).toBe(true);
+            expect(b.isDestroyed).toBe(true);
+            expect(world.getEntity(a.id)).toBeUndefined();
+            expect(world.getEntity(b.id)).toBeUndefined();
+        });
+
+        it('should nullify the target', () => {
+            const query = world.createQuery({ all: [Targets] });
+
+            a.relate(Targets, b);
+            b.destroy();
+
+            expect(a.has(Targets)).toBe(true);
+            expect(a.targets[0].target).toBeNull();
+            expect(a.getRelated(Targets)).toEqual([]);
+            expect(query.get()).toEqual([a]);
+        });
+    });
+
+    describe('serialization', () => {
+        it('should serialize targets by id', () => {
+            a.relate(Likes, b, { amount: 2 });
+
+            expect(a.serialize().likes).toEqual([{ target: b.id, amount: 2 }]);
+        });
+
+        it('should restore relations from serialized data', () => {
+            a.relate(Likes, b);
+
+            const data = world.serialize();
+            const other = engine.createWorld();
+
+            other.deserialize(data);
+
+            const restored = other.getEntity(a.id);
+
+            expect(restored.getRelated(Likes)).toEqual([other.getEntity(b.id)]);
+        });
+
+        it('should restore relations from an artifact', () => {
+            a.relate(Owns, b);
+
+            const artifact = world.createArtifact();
+            const other = engine.createWorld();
+
+            other.loadArtifact(artifact);
+
+            const target = other.getEntity(b.id);
+
+            expect(other.getEntity(a.id).getRelated(Owns)).toEqual([target]);
+
+            target.destroy();
+
+            expect(other.getEntity(a.id)).toBeUndefined();
+        });
+
+        it('should keep relations when cloning', () => {
+            a.relate(Likes, b);
+
+            expect(a.clone().getRelated(Likes)).toEqual([b]);
+        });
+    });
+});
@@ -0,0 +1,138 @@
+import { Engine, Component, WORLD_EVENTS } from '../../src/index';
+
+describe('World events', () => {
+    let world, listener;
+
+    class Health extends Component {
+        static properties = { value: 10 };
+
+        onTakeDamage(evt) {
+            this.value -= evt.data.amount;
+        }
+    }
+
+    beforeEach(() => {
+        const engine = new Engine();
+
+        engine.registerComponent(Health);
+
+        world = engine.createWorld();
+        listener = jest.fn();
+    });
+
+    describe('on', () => {
+        it('should notify listeners of custom events', () => {
+            world.on('level-up', listener);
+            world.emit('level-up', 3, 'hero');
+
+            expect(listener).toHaveBeenCalledWith(3, 'hero');
+        });
+
+        it('should return a function that removes the listener', () => {
+            const off = world.on('level-up', listener);
+
+            off();
+            world.emit('level-up');
+
+            expect(listener).not.toHaveBeenCalled();
+        });
+
+        it('should reject listeners that are not functions', () => {
+            expect(() => world.on('level-up', null)).toThrow(
+                'must be a function'
+            );
+        });
+    });
+
+    describe('once', () => {
+        it('should only notify the listener once', () => {
+            world.once('level-up', listener);
+            world.emit('level-up');
+            world.emit('level-up');
+
+            expect(listener).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('off', () => {
+        it('should remove every listener of an event', () => {
+            world.on('level-up', listener);
+            world.on('level-up', listener);
+            world.off('level-up');
+            world.emit('level-up');
+
+            expect(listener).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('lifecycle', () => {
+        it('should emit entityCreated', () => {
+            world.on(WORLD_EVENTS.ENTITY_CREATED, listener);
+
+            const entity = world.createEntity();
+
+            expect(listener).toHaveBeenCalledWith(entity);
+        });
+
+        it('should emit componentAdded and componentRemoved', () => {
+            const removed = jest.fn();
+            const entity = world.createEntity();
+
+            world.on('componentAdded', listener);
+            world.on('componentRemoved', removed);
+
+            entity.add(Health);
+
+            const health = entity.health;
+
+            expect(listener).toHaveBeenCalledWith(entity, health);
+
+            health.destroy();
+
+            expect(removed).toHaveBeenCalledWith(entity, health);
+        });
+
+        it('should emit componentRemoved and entityDestroyed when destroying', () => {
+            const calls = [];
+            const entity = world.createEntity();
+
+            entity.add(Health);
+
+            world.on('componentRemoved', (e, c) => calls.push(['removed', c]));
+            world.on('entityDestroyed', (e) => calls.push(['destroyed', e]));
+
+            const health = entity.health;
+
+            entity.destroy();
+
+            expect(calls).toEqual([
+                ['removed', health],
+                ['destroyed', entity],
+            ]);
+        });
+    });
+
+    describe('entity events', () => {
+        it('should emit events fired on entities', () => {
+            const entity = world.createEntity();
+
+            entity.add(Health);
+            world.on(WORLD_EVENTS.ENTITY_EVENT, listener);
+
+            const evt = entity.fireEvent('take-damage', { amount: 3 });
+
+            expect(listener).toHaveBeenCalledWith(evt);
+            expect(evt.name).toBe('take-damage');
+            expect(entity.health.value).toBe(7);
+        });
+
+        it('should not emit entity events as lifecycle events', () => {
+            const entity = world.createEntity();
+
+            world.on(WORLD_EVENTS.ENTITY_CREATED, listener);
+            entity.fireEvent(WORLD_EVENTS.ENTITY_CREATED);
+
+            expect(listener).not.toHaveBeenCalled();
+        });
+    });
+});
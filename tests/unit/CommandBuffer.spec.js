@@ -0,0 +1,189 @@
+import { Engine, System } from '../../src/index';
+import {
+    ArrayComponent,
+    EmptyComponent,
+    SimpleComponent,
+} from '../data/components';
+import { SimplePrefab } from '../data/prefabs';
+
+describe('CommandBuffer', () => {
+    let world, commands, query;
+
+    beforeEach(() => {
+        const engine = new Engine();
+
+        engine.registerComponent(EmptyComponent);
+        engine.registerComponent(SimpleComponent);
+        engine.registerComponent(ArrayComponent);
+        engine.registerPrefab(SimplePrefab);
+
+        world = engine.createWorld();
+        commands = world.commands();
+        query = world.createQuery({
+            all: [SimpleComponent],
+            immutableResult: false,
+        });
+    });
+
+    describe('createEntity', () => {
+        it('should reserve an id and create the entity on flush', () => {
+            const id = commands.createEntity();
+
+            expect(world.getEntity(id)).toBeUndefined();
+
+            world.flush();
+
+            expect(world.getEntity(id).id).toBe(id);
+        });
+
+        it('should release reserved ids when cleared', () => {
+            const numeric = world.engine.createWorld({ numericIds: true });
+            const buffer = numeric.commands();
+            const id = buffer.createEntity();
+
+            buffer.createPrefab('SimplePrefab');
+            buffer.clear();
+            numeric.flush();
+
+            expect(numeric._ids.isAlive(id)).toBe(false);
+            expect(() => numeric.createEntity(id)).toThrow('is stale');
+            expect(numeric.createEntity().id).not.toBe(id);
+        });
+    });
+
+    describe('createPrefab', () => {
+        it('should create the prefab with the reserved id on flush', () => {
+            const id = commands.createPrefab('SimplePrefab');
+
+            commands.add(id, ArrayComponent);
+            world.flush();
+
+            const entity = world.getEntity(id);
+
+            expect(entity.simpleComponent.testProp).toBe('testPropValue');
+            expect(entity.arrayComponent.length).toBe(1);
+        });
+
+        it('should release the id of an unregistered prefab', () => {
+            const warn = jest
+                .spyOn(console, 'warn')
+                .mockImplementation(() => {});
+            const numeric = world.engine.createWorld({ numericIds: true });
+            const buffer = numeric.commands();
+            const id = buffer.createPrefab('MissingPrefab');
+
+            numeric.flush();
+
+            expect(numeric.getEntity(id)).toBeUndefined();
+            expect(numeric._ids.isAlive(id)).toBe(false);
+            expect(() => numeric.createEntity(id)).toThrow('is stale');
+
+            warn.mockRestore();
+        });
+    });
+
+    describe('add', () => {
+        it('should not change queries until flushed', () => {
+            const entity = world.createEntity();
+
+            commands.add(entity, SimpleComponent, { testProp: 'a' });
+
+            expect(query.get()).toEqual([]);
+            expect(commands.size).toBe(1);
+
+            world.flush();
+
+            expect(query.get()).toEqual([entity]);
+            expect(entity.simpleComponent.testProp).toBe('a');
+            expect(commands.size).toBe(0);
+        });
+    });
+
+    describe('remove', () => {
+        let entity;
+
+        beforeEach(() => {
+            entity = world.createEntity();
+            entity.add(SimpleComponent);
+            entity.add(ArrayComponent);
+            entity.add(ArrayComponent);
+        });
+
+        it('should remove a component instance', () => {
+            commands.remove(entity, entity.simpleComponent);
+            world.flush();
+
+            expect(entity.has(SimpleComponent)).toBe(false);
+        });
+
+        it('should remove every component of a class', () => {
+            commands.remove(entity, ArrayComponent);
+            world.flush();
+
+            expect(entity.has(ArrayComponent)).toBe(false);
+        });
+    });
+
+    describe('destroy', () => {
+        it('should keep query results stable while iterating', () => {
+            const entities = [1, 2, 3].map(() => {
+                const entity = world.createEntity();
+
+                entity.add(SimpleComponent);
+
+                return entity;
+            });
+
+            const visited = [];
+
+            query.get().forEach((entity) => {
+                visited.push(entity);
+                commands.destroy(entity);
+            });
+
+            expect(visited).toEqual(entities);
+
+            world.flush();
+
+            expect(query.get()).toEqual([]);
+            expect(entities.every((e) => e.isDestroyed)).toBe(true);
+        });
+
+        it('should skip commands for entities destroyed before the flush', () => {
+            const entity = world.createEntity();
+
+            commands.destroy(entity);
+            commands.add(entity, SimpleComponent);
+            world.flush();
+
+            expect(entity.isDestroyed).toBe(true);
+            expect(query.get()).toEqual([]);
+        });
+    });
+
+    describe('systems', () => {
+        it('should flush after each system', () => {
+            let seen;
+
+            class Spawner extends System {
+                update() {
+                    const id = this.commands.createEntity();
+
+                    this.commands.add(id, SimpleComponent);
+                }
+            }
+
+            class Counter extends System {
+                update() {
+                    seen = query.get().length;
+                }
+            }
+
+            world.addSystem(new Spawner());
+            world.addSystem(new Counter());
+            world.tick(1);
+
+            expect(seen).toBe(1);
+        });
+    });
+});
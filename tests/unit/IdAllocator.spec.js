@@ -0,0 +1,87 @@
+import {
+    IdAllocator,
+    indexOf,
+    generationOf,
+    toId,
+} from '../../src/IdAllocator';
+
+describe('IdAllocator', () => {
+    let ids;
+
+    beforeEach(() => {
+        ids = new IdAllocator();
+    });
+
+    describe('allocate', () => {
+        it('should allocate sequential ids starting at 1', () => {
+            expect(ids.allocate()).toBe(1);
+            expect(ids.allocate()).toBe(2);
+        });
+
+        it('should reuse released slots with the next generation', () => {
+            const id = ids.allocate();
+
+            ids.release(id);
+
+            const reused = ids.allocate();
+
+            expect(indexOf(reused)).toBe(indexOf(id));
+            expect(generationOf(reused)).toBe(1);
+        });
+    });
+
+    describe('release', () => {
+        it('should only release live ids', () => {
+            const id = ids.allocate();
+
+            expect(ids.release(id)).toBe(true);
+            expect(ids.release(id)).toBe(false);
+            expect(ids.isAlive(id)).toBe(false);
+        });
+    });
+
+    describe('isAlive', () => {
+        it('should reject stale generations', () => {
+            const id = ids.allocate();
+
+            ids.release(id);
+            ids.allocate();
+
+            expect(ids.isAlive(id)).toBe(false);
+            expect(ids.isAlive(toId(indexOf(id), 1))).toBe(true);
+        });
+
+        it('should reject ids that are not numbers', () => {
+            expect(ids.isAlive('1')).toBe(false);
+        });
+    });
+
+    describe('claim', () => {
+        it('should mark the id as used', () => {
+            const id = toId(3, 2);
+
+            ids.claim(id);
+
+            expect(ids.isAlive(id)).toBe(true);
+            expect([ids.allocate(), ids.allocate()].sort()).toEqual([1, 2]);
+            expect(ids.allocate()).toBe(4);
+        });
+
+        it('should reject ids used by another generation', () => {
+            ids.allocate();
+
+            expect(() => ids.claim(1)).not.toThrow();
+            expect(() => ids.claim(toId(1, 1))).toThrow('already in use');
+        });
+
+        it('should reject ids of older generations', () => {
+            const id = ids.allocate();
+
+            ids.release(id);
+
+            expect(() => ids.claim(id)).toThrow(`Id ${id} is stale`);
+            expect(ids.isAlive(id)).toBe(false);
+            expect(() => ids.claim(toId(1, 1))).not.toThrow();
+        });
+    });
+});
@@ -261,4 +261,36 @@ describe('Query', () => {
             expect(onRemovedCb2).toHaveBeenCalledWith(entity);
         });
     });
+
+    describe('removal', () => {
+        it('should keep indices consistent after swap-removing', () => {
+            query = world.createQuery({
+                all: [ComponentA],
+            });
+
+            const entities = [
+                entity,
+                world.createEntity(),
+                world.createEntity(),
+            ];
+
+            entities.forEach((e) => e.add(ComponentA));
+            entities[0].componentA.destroy();
+
+            expect(query.get()).toEqual([entities[2], entities[1]]);
+            expect(query.idx(entities[2])).toBe(0);
+            expect(query.idx(entities[1])).toBe(1);
+            expect(query.idx(entities[0])).toBe(-1);
+        });
+
+        it('should remove destroyed entities that matched an empty mask', () => {
+            query = world.createQuery({
+                none: [ComponentA],
+            });
+
+            entity.destroy();
+
+            expect(query.has(entity)).toBe(false);
+        });
+    });
 });
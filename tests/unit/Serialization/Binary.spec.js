@@ -0,0 +1,161 @@
+import { Engine } from '../../../src/Engine';
+import { Component } from '../../../src/Component';
+import { ArtifactDeserializer } from '../../../src/serialization/ArtifactDeserializer';
+import {
+    encodeBinary,
+    decodeBinary,
+    isBinaryArtifact,
+} from '../../../src/serialization/BinaryCodec';
+
+describe('Binary artifacts', () => {
+    let engine, world;
+
+    class Stats extends Component {
+        static properties = {
+            name: '',
+            level: 1,
+            speed: 1.5,
+            gold: 0n,
+            bornAt: new Date(0),
+            tags: [],
+            target: null,
+        };
+    }
+
+    beforeEach(() => {
+        engine = new Engine();
+        engine.registerComponent(Stats);
+        world = engine.createWorld();
+    });
+
+    describe('BinaryCodec', () => {
+        it('should round-trip JSON-like values', () => {
+            const value = {
+                nothing: null,
+                yes: true,
+                no: false,
+                small: 3,
+                negative: -300,
+                large: Number.MAX_SAFE_INTEGER,
+                fraction: -0.25,
+                text: 'héllo ✓',
+                list: [1, 'two', [3], { four: 4 }],
+            };
+
+            expect(decodeBinary(encodeBinary(value))).toEqual(value);
+        });
+
+        it('should encode BigInt, Date and entity references natively', () => {
+            const value = {
+                big: 12345678901234567890n,
+                negativeBig: -5n,
+                date: new Date('2020-01-01T00:00:00Z'),
+                ref: { $ref: 'abc' },
+                numericRef: { $ref: 7 },
+            };
+
+            expect(decodeBinary(encodeBinary(value))).toEqual(value);
+        });
+
+        it('should skip undefined properties like JSON', () => {
+            expect(decodeBinary(encodeBinary({ a: undefined, b: 1 }))).toEqual({
+                b: 1,
+            });
+        });
+
+        it('should store repeated strings once', () => {
+            const entities = [];
+
+            for (let i = 0; i < 50; i++) {
+                entities.push({ id: 'same-id', stats: { name: 'goblin' } });
+            }
+
+            const bytes = encodeBinary({ entities });
+            const json = JSON.stringify({ entities });
+
+            expect(bytes.length).toBeLessThan(json.length / 3);
+        });
+
+        it('should reject data that is not a binary artifact', () => {
+            expect(isBinaryArtifact(new Uint8Array([1, 2, 3, 4, 5]))).toBe(
+                false
+            );
+            expect(isBinaryArtifact({ entities: [] })).toBe(false);
+            expect(() => decodeBinary(new Uint8Array([1, 2]))).toThrow(
+                'Data is not a binary artifact'
+            );
+        });
+
+        it('should reject truncated data', () => {
+            const bytes = encodeBinary({ name: 'goblin' });
+
+            expect(() =>
+                decodeBinary(bytes.slice(0, bytes.length - 1))
+            ).toThrow('Unexpected end of binary artifact');
+        });
+    });
+
+    describe('createArtifact', () => {
+        let a, b;
+
+        beforeEach(() => {
+            a = world.createEntity();
+            b = world.createEntity();
+
+            a.add(Stats, {
+                name: 'hero',
+                gold: 99999999999999999999n,
+                bornAt: new Date('2020-01-01T00:00:00Z'),
+                tags: ['brave'],
+                target: b,
+            });
+            b.add(Stats, { name: 'goblin', level: 2 });
+        });
+
+        it('should create bytes with the binary format', () => {
+            const bytes = world.createArtifact({ format: 'binary' });
+
+            expect(bytes).toBeInstanceOf(Uint8Array);
+            expect(isBinaryArtifact(bytes)).toBe(true);
+        });
+
+        it('should decode to the same artifact as the JSON format', () => {
+            const artifact = world.createArtifact();
+            const bytes = world.createArtifact({ format: 'binary' });
+            const decoded = ArtifactDeserializer.fromBinary(bytes);
+
+            expect(decoded.entities).toEqual(artifact.entities);
+            expect(decoded.meta.schemaVersion).toBe(
+                artifact.meta.schemaVersion
+            );
+        });
+
+        it('should be loaded by loadArtifact', () => {
+            const bytes = world.createArtifact({ format: 'binary' });
+            const loaded = engine.createWorld();
+
+            loaded.loadArtifact(bytes);
+
+            const hero = loaded.getEntity(a.id);
+
+            expect(hero.stats.name).toBe('hero');
+            expect(hero.stats.gold).toBe(99999999999999999999n);
+            expect(hero.stats.bornAt).toEqual(new Date('2020-01-01T00:00:00Z'));
+            expect(hero.stats.target).toBe(loaded.getEntity(b.id));
+            expect(loaded.getEntity(b.id).stats.level).toBe(2);
+        });
+
+        it('should be smaller than JSON', () => {
+            for (let i = 0; i < 100; i++) {
+                world.createEntity().add(Stats, { name: 'goblin', level: i });
+            }
+
+            const bytes = world.createArtifact({ format: 'binary' });
+            const json = JSON.stringify(world.createArtifact(), (key, value) =>
+                typeof value === 'bigint' ? String(value) : value
+            );
+
+            expect(bytes.length).toBeLessThan(json.length / 2);
+        });
+    });
+});
@@ -0,0 +1,464 @@
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { Engine } from '../../../src/Engine';
+import { Component } from '../../../src/Component';
+import {
+    createChecksum,
+    createHmac,
+    registerChecksumAlgorithm,
+    registerSignatureAlgorithm,
+    signaturesEqual,
+} from '../../../src/serialization/Checksums';
+import {
+    calculateChecksum,
+    checksumEntities,
+    signArtifact,
+} from '../../../src/serialization/SerializationHelpers';
+
+describe('Checksums', () => {
+    const sha256 = (data) =>
+        crypto.createHash('sha256').update(data).digest('hex');
+    const hmac = (key, data) =>
+        crypto.createHmac('sha256', key).update(data).digest('hex');
+
+    const samples = [
+        '',
+        'abc',
+        'a'.repeat(55),
+        'a'.repeat(56),
+        'a'.repeat(64),
+        'b'.repeat(1000),
+        'héllo ✓ 🦀',
+    ];
+
+    describe('sha256', () => {
+        it('should match known digests', () => {
+            expect(calculateChecksum('')).toBe(
+                'sha256:e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+            );
+            expect(calculateChecksum('abc')).toBe(
+                'sha256:ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+            );
+        });
+
+        it('should match node:crypto', () => {
+            samples.forEach((data) => {
+                expect(calculateChecksum(data)).toBe(`sha256:${sha256(data)}`);
+            });
+        });
+
+        it('should hash data in pieces', () => {
+            const data = 'x'.repeat(100) + '✓'.repeat(30);
+            const checksum = createChecksum();
+
+            for (let i = 0; i < data.length; i += 13) {
+                checksum.update(data.slice(i, i + 13));
+            }
+
+            expect(checksum.digest()).toBe(calculateChecksum(data));
+        });
+
+        it('should digest more than once, but not update after', () => {
+            const checksum = createChecksum().update('abc');
+            const digest = checksum.digest();
+
+            expect(checksum.digest()).toBe(digest);
+            expect(() => checksum.update('d')).toThrow(
+                'Cannot update a digested hash'
+            );
+        });
+    });
+
+    describe('hmac', () => {
+        it('should match node:crypto', () => {
+            const longKey = 'k'.repeat(100);
+
+            samples.forEach((data) => {
+                expect(createHmac('secret').update(data).digest()).toBe(
+                    `hmac-sha256:${hmac('secret', data)}`
+                );
+                expect(createHmac(longKey).update(data).digest()).toBe(
+                    `hmac-sha256:${hmac(longKey, data)}`
+                );
+            });
+        });
+
+        it('should digest more than once', () => {
+            const signature = createHmac('secret').update('abc');
+
+            expect(signature.digest()).toBe(signature.digest());
+        });
+
+        it('should use a registered implementation', () => {
+            registerSignatureAlgorithm((key) => ({
+                update: () => {},
+                digest: () => `custom-${key}`,
+            }));
+
+            try {
+                expect(createHmac('k').digest()).toBe('hmac-sha256:custom-k');
+            } finally {
+                registerSignatureAlgorithm((key) => {
+                    const signature = crypto.createHmac('sha256', key);
+                    return {
+                        update: (data) => signature.update(data),
+                        digest: () => signature.digest('hex'),
+                    };
+                });
+            }
+        });
+    });
+
+    describe('without node:crypto', () => {
+        // jest runs modules as CommonJS, where `require` always exists. Run
+        // the module as an ES module in Node instead, without
+        // process.getBuiltinModule, like older Node versions
+        const runPortable = (keys) => {
+            const url = pathToFileURL(
+                path.resolve(
+                    __dirname,
+                    '../../../src/serialization/Checksums.js'
+                )
+            ).href;
+            const script = `
+                delete process.getBuiltinModule;
+                const [url, samples, keys] = JSON.parse(process.argv[1]);
+                const { createChecksum, createHmac } = await import(url);
+                console.log(JSON.stringify({
+                    require: typeof require,
+                    checksums: samples.map((data) => createChecksum().update(data).digest()),
+                    signatures: keys.map((key) => samples.map((data) => createHmac(key).update(data).digest())),
+                }));
+            `;
+            const output = execFileSync(
+                process.execPath,
+                [
+                    '--input-type=module',
+                    '-e',
+                    script,
+                    JSON.stringify([url, samples, keys]),
+                ],
+                { encoding: 'utf8' }
+            );
+
+            return JSON.parse(output);
+        };
+
+        it('should use a portable sha256 and hmac', () => {
+            const keys = ['secret', 'k'.repeat(100)];
+            const result = runPortable(keys);
+
+            expect(result.require).toBe('undefined');
+            expect(result.checksums).toEqual(
+                samples.map((data) => `sha256:${sha256(data)}`)
+            );
+            expect(result.signatures).toEqual(
+                keys.map((key) =>
+                    samples.map((data) => `hmac-sha256:${hmac(key, data)}`)
+                )
+            );
+        });
+    });
+
+    it('should compare signatures', () => {
+        expect(signaturesEqual('hmac-sha256:ab', 'hmac-sha256:ab')).toBe(true);
+        expect(signaturesEqual('hmac-sha256:ab', 'hmac-sha256:ac')).toBe(false);
+        expect(signaturesEqual('hmac-sha256:ab', 'hmac-sha256:abc')).toBe(
+            false
+        );
+        expect(signaturesEqual(undefined, 'hmac-sha256:ab')).toBe(false);
+    });
+
+    it('should keep the simple algorithm for old checksums', () => {
+        expect(calculateChecksum('abc', 'simple')).toBe('simple:17862');
+    });
+
+    it('should throw for unknown algorithms', () => {
+        expect(() => createChecksum('crc9')).toThrow(
+            'Unknown checksum algorithm: crc9'
+        );
+    });
+});
+
+describe('Artifact checksums and signatures', () => {
+    let engine, world, loaded;
+
+    class Health extends Component {
+        static properties = { current: 10 };
+    }
+
+    const codeOf = (fn) => {
+        try {
+            fn();
+        } catch (err) {
+            return err.code;
+        }
+        return null;
+    };
+
+    const collect = async (iterable) => {
+        const items = [];
+        for await (const item of iterable) {
+            items.push(item);
+        }
+        return items;
+    };
+
+    const codeOfAsync = async (promise) => {
+        try {
+            await promise;
+        } catch (err) {
+            return err.code;
+        }
+        return null;
+    };
+
+    beforeEach(() => {
+        engine = new Engine();
+        engine.registerComponent(Health);
+        world = engine.createWorld();
+        loaded = engine.createWorld();
+
+        world.createEntity('hero').add(Health);
+        world.createEntity('goblin').add(Health, { current: 3 });
+    });
+
+    describe('checksums', () => {
+        it('should use sha256 by default', () => {
+            const artifact = world.createArtifact({ checksum: true });
+
+            expect(artifact.meta.checksum).toMatch(/^sha256:[0-9a-f]{64}$/);
+            expect(() => loaded.loadArtifact(artifact)).not.toThrow();
+        });
+
+        it('should pick the algorithm by prefix', () => {
+            const artifact = world.createArtifact({
+                checksum: true,
+                checksumAlgorithm: 'simple',
+            });
+
+            expect(artifact.meta.checksum).toMatch(/^simple:/);
+            expect(() => loaded.loadArtifact(artifact)).not.toThrow();
+
+            artifact.entities[0].health.current = 1;
+
+            expect(
+                codeOf(() => engine.createWorld().loadArtifact(artifact))
+            ).toBe('CHECKSUM_MISMATCH');
+        });
+
+        it('should use registered algorithms', () => {
+            registerChecksumAlgorithm('md5', () => {
+                const hash = crypto.createHash('md5');
+                return {
+                    update: (data) => hash.update(data),
+                    digest: () => hash.digest('hex'),
+                };
+            });
+
+            const artifact = world.createArtifact({
+                checksum: true,
+                checksumAlgorithm: 'md5',
+            });
+
+            expect(artifact.meta.checksum).toMatch(/^md5:[0-9a-f]{32}$/);
+            expect(() => loaded.loadArtifact(artifact)).not.toThrow();
+        });
+
+        it('should reject unknown algorithms', () => {
+            const artifact = world.createArtifact();
+
+            artifact.meta.checksum = 'crc9:1234';
+
+            expect(codeOf(() => loaded.loadArtifact(artifact))).toBe(
+                'UNKNOWN_CHECKSUM_ALGORITHM'
+            );
+        });
+    });
+
+    describe('signatures', () => {
+        const key = 'hunter2';
+
+        it('should sign artifacts', () => {
+            const artifact = world.createArtifact({ signingKey: key });
+
+            expect(artifact.meta.signature).toMatch(
+                /^hmac-sha256:[0-9a-f]{64}$/
+            );
+            expect(() =>
+                loaded.loadArtifact(artifact, {
+                    validationOptions: { signingKey: key },
+                })
+            ).not.toThrow();
+            expect(loaded.getEntity('hero').health.current).toBe(10);
+        });
+
+        it('should reject tampered artifacts', () => {
+            const artifact = world.createArtifact({
+                signingKey: key,
+                checksum: true,
+            });
+
+            // a matching checksum doesn't help without the key
+            artifact.entities[1].health.current = 999;
+            artifact.meta.checksum = checksumEntities(artifact.entities);
+
+            expect(
+                codeOf(() =>
+                    loaded.loadArtifact(artifact, {
+                        validationOptions: { signingKey: key },
+                    })
+                )
+            ).toBe('SIGNATURE_INVALID');
+        });
+
+        it('should cover the meta block and world state', () => {
+            const artifact = world.createArtifact({
+                signingKey: key,
+                includeWorldState: true,
+            });
+            const options = { validationOptions: { signingKey: key } };
+
+            expect(
+                codeOf(() =>
+                    engine.createWorld().loadArtifact(
+                        {
+                            ...artifact,
+                            meta: { ...artifact.meta, gameVersion: '2' },
+                        },
+                        options
+                    )
+                )
+            ).toBe('SIGNATURE_INVALID');
+            expect(
+                codeOf(() =>
+                    engine.createWorld().loadArtifact(
+                        {
+                            ...artifact,
+                            world: { ...artifact.world, nextId: 42 },
+                        },
+                        options
+                    )
+                )
+            ).toBe('SIGNATURE_INVALID');
+        });
+
+        it('should reject wrong keys and unsigned artifacts', () => {
+            const options = { validationOptions: { signingKey: key } };
+            const signed = world.createArtifact({ signingKey: 'other' });
+            const unsigned = world.createArtifact();
+            const legacy = { entities: [] };
+
+            expect(codeOf(() => loaded.loadArtifact(signed, options))).toBe(
+                'SIGNATURE_INVALID'
+            );
+            expect(codeOf(() => loaded.loadArtifact(unsigned, options))).toBe(
+                'SIGNATURE_INVALID'
+            );
+            expect(codeOf(() => loaded.loadArtifact(legacy, options))).toBe(
+                'SIGNATURE_INVALID'
+            );
+        });
+
+        it('should not check signatures without a key', () => {
+            const artifact = world.createArtifact({ signingKey: key });
+
+            artifact.entities[0].health.current = 1;
+
+            expect(() => loaded.loadArtifact(artifact)).not.toThrow();
+        });
+
+        it('should sign binary artifacts', () => {
+            const bytes = world.createArtifact({
+                signingKey: key,
+                format: 'binary',
+            });
+
+            expect(() =>
+                loaded.loadArtifact(bytes, {
+                    validationOptions: { signingKey: key },
+                })
+            ).not.toThrow();
+        });
+
+        it('should check the signature before migrating', () => {
+            engine.registerMigration(0, 1, (artifact) => {
+                artifact.entities.forEach((entity) => {
+                    entity.health = { current: entity.hp };
+                    delete entity.hp;
+                });
+                return artifact;
+            });
+
+            // a save from a game version that stored `hp`
+            const old = world.createArtifact();
+
+            old.meta.schemaVersion = 0;
+            old.entities.forEach((entity) => {
+                entity.hp = entity.health.current;
+                delete entity.health;
+            });
+            old.meta.signature = signArtifact(old, key);
+
+            const options = { validationOptions: { signingKey: key } };
+            const copy = () => JSON.parse(JSON.stringify(old));
+
+            loaded.loadArtifact(copy(), options);
+
+            expect(loaded.getEntity('goblin').health.current).toBe(3);
+
+            const tampered = copy();
+
+            tampered.entities[1].hp = 300;
+
+            expect(
+                codeOf(() =>
+                    engine.createWorld().loadArtifact(tampered, options)
+                )
+            ).toBe('SIGNATURE_INVALID');
+        });
+
+        it('should sign deltas', () => {
+            const baseline = world.createArtifact();
+
+            loaded.loadArtifact(baseline);
+            world.getEntity('hero').health.current = 5;
+
+            const delta = world.createDelta(baseline, { signingKey: key });
+            const options = { validationOptions: { signingKey: key } };
+
+            expect(() => loaded.applyDelta(delta, options)).not.toThrow();
+
+            delta.changed[0].set.health.current = 50;
+
+            expect(
+                codeOf(() => engine.createWorld().applyDelta(delta, options))
+            ).toBe('SIGNATURE_INVALID');
+        });
+
+        it('should sign streams', async () => {
+            const options = { validationOptions: { signingKey: key } };
+            const records = await collect(
+                world.streamArtifact({ signingKey: key })
+            );
+
+            expect(records[records.length - 1].signature).toMatch(
+                /^hmac-sha256:/
+            );
+
+            await loaded.loadArtifactStream(records, options);
+
+            expect(loaded.getEntity('goblin').health.current).toBe(3);
+
+            records[1].data.health.current = 1;
+
+            expect(
+                await codeOfAsync(
+                    engine.createWorld().loadArtifactStream(records, options)
+                )
+            ).toBe('SIGNATURE_INVALID');
+        });
+    });
+});
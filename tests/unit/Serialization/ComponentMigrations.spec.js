@@ -0,0 +1,309 @@
+import { Engine } from '../../../src/Engine';
+import { Component } from '../../../src/Component';
+
+describe('Component migrations', () => {
+    // Versions of the same component, as different releases of a game would declare them
+    const healthV1 = () =>
+        class Health extends Component {
+            static properties = { hp: 10 };
+        };
+
+    const healthV2 = () =>
+        class Health extends Component {
+            static version = 2;
+            static properties = { hp: 10, max: 10 };
+        };
+
+    const healthV3 = () =>
+        class Health extends Component {
+            static version = 3;
+            static properties = { current: 10, max: 10 };
+        };
+
+    const buffV1 = () =>
+        class Buff extends Component {
+            static allowMultiple = true;
+            static properties = { label: '' };
+        };
+
+    const buffV2 = () =>
+        class Buff extends Component {
+            static allowMultiple = true;
+            static version = 2;
+            static properties = { name: '' };
+        };
+
+    const slotV1 = () =>
+        class Slot extends Component {
+            static allowMultiple = true;
+            static keyProperty = 'key';
+            static properties = { key: '', label: '' };
+        };
+
+    const slotV2 = () =>
+        class Slot extends Component {
+            static allowMultiple = true;
+            static keyProperty = 'key';
+            static version = 2;
+            static properties = { key: '', name: '' };
+        };
+
+    const createEngine = (...components) => {
+        const engine = new Engine();
+        components.forEach((component) => engine.registerComponent(component));
+        return engine;
+    };
+
+    const codeOf = (fn) => {
+        try {
+            fn();
+        } catch (err) {
+            return err.code;
+        }
+        return null;
+    };
+
+    const renameHpToCurrent = ({ hp, ...rest }) => ({ ...rest, current: hp });
+
+    describe('versions', () => {
+        it('should default to version 1', () => {
+            expect(Component.version).toBe(1);
+            expect(healthV1().version).toBe(1);
+        });
+
+        it('should record component versions in the artifact', () => {
+            const Health = healthV3();
+            const Buff = buffV1();
+            const world = createEngine(Health, Buff).createWorld();
+
+            const artifact = world.createArtifact();
+
+            expect(artifact.meta.componentVersions).toMatchObject({
+                health: 3,
+                buff: 1,
+            });
+        });
+    });
+
+    describe('loadArtifact', () => {
+        it('should upgrade component payloads to the current version', () => {
+            const OldHealth = healthV2();
+            const oldWorld = createEngine(OldHealth).createWorld();
+            oldWorld.createEntity('hero').add(OldHealth, { hp: 4, max: 12 });
+            const artifact = oldWorld.createArtifact();
+
+            const Health = healthV3();
+            const engine = createEngine(Health);
+            const migration = jest.fn(renameHpToCurrent);
+            engine.registerComponentMigration(Health, 2, 3, migration);
+            const world = engine.createWorld();
+
+            world.loadArtifact(artifact);
+
+            const hero = world.getEntity('hero');
+            expect(hero.health.current).toBe(4);
+            expect(hero.health.max).toBe(12);
+            expect(hero.health.hp).toBeUndefined();
+            expect(migration).toHaveBeenCalledTimes(1);
+            expect(migration.mock.calls[0][1].id).toBe('hero');
+        });
+
+        it('should chain migrations across several versions', () => {
+            const OldHealth = healthV1();
+            const oldWorld = createEngine(OldHealth).createWorld();
+            oldWorld.createEntity('hero').add(OldHealth, { hp: 7 });
+            const artifact = oldWorld.createArtifact();
+
+            const Health = healthV3();
+            const engine = createEngine(Health);
+            engine.registerComponentMigration(Health, 1, 2, (data) => ({
+                ...data,
+                max: 20,
+            }));
+            engine.registerComponentMigration(Health, 2, 3, renameHpToCurrent);
+            const world = engine.createWorld();
+
+            world.loadArtifact(artifact);
+
+            const hero = world.getEntity('hero');
+            expect(hero.health.current).toBe(7);
+            expect(hero.health.max).toBe(20);
+        });
+
+        it('should treat artifacts without component versions as version 1', () => {
+            const OldHealth = healthV1();
+            const oldWorld = createEngine(OldHealth).createWorld();
+            oldWorld.createEntity('hero').add(OldHealth, { hp: 5 });
+            const artifact = oldWorld.createArtifact();
+            delete artifact.meta.componentVersions;
+
+            const Health = healthV2();
+            const engine = createEngine(Health);
+            engine.registerComponentMigration(Health, 1, 2, (data) => ({
+                ...data,
+                max: data.hp,
+            }));
+            const world = engine.createWorld();
+
+            world.loadArtifact(artifact, { validate: false });
+
+            expect(world.getEntity('hero').health.max).toBe(5);
+        });
+
+        it('should only migrate components saved with an older version', () => {
+            const Health = healthV3();
+            const engine = createEngine(Health);
+            const migration = jest.fn(renameHpToCurrent);
+            engine.registerComponentMigration(Health, 2, 3, migration);
+            const world = engine.createWorld();
+            world.createEntity('hero').add(Health, { current: 8 });
+            const artifact = world.createArtifact();
+
+            const other = engine.createWorld();
+            other.loadArtifact(artifact);
+
+            expect(migration).not.toHaveBeenCalled();
+            expect(other.getEntity('hero').health.current).toBe(8);
+        });
+
+        it('should migrate each instance of allowMultiple components', () => {
+            const OldBuff = buffV1();
+            const OldSlot = slotV1();
+            const oldWorld = createEngine(OldBuff, OldSlot).createWorld();
+            const hero = oldWorld.createEntity('hero');
+            hero.add(OldBuff, { label: 'haste' });
+            hero.add(OldBuff, { label: 'shield' });
+            hero.add(OldSlot, { key: 'head', label: 'helmet' });
+            hero.add(OldSlot, { key: 'hand', label: 'sword' });
+            const artifact = oldWorld.createArtifact();
+
+            const Buff = buffV2();
+            const Slot = slotV2();
+            const engine = createEngine(Buff, Slot);
+            const rename = ({ label, ...rest }) => ({ ...rest, name: label });
+            engine.registerComponentMigration(Buff, 1, 2, rename);
+            engine.registerComponentMigration('Slot', 1, 2, rename);
+            const world = engine.createWorld();
+
+            world.loadArtifact(artifact);
+
+            const loaded = world.getEntity('hero');
+            expect(loaded.buff.map((buff) => buff.name)).toEqual([
+                'haste',
+                'shield',
+            ]);
+            expect(loaded.slot.head.name).toBe('helmet');
+            expect(loaded.slot.hand.name).toBe('sword');
+        });
+
+        it('should throw when a component has no migration path', () => {
+            const OldHealth = healthV1();
+            const oldWorld = createEngine(OldHealth).createWorld();
+            oldWorld.createEntity('hero').add(OldHealth);
+            const artifact = oldWorld.createArtifact();
+
+            const Health = healthV3();
+            const engine = createEngine(Health);
+            engine.registerComponentMigration(Health, 2, 3, renameHpToCurrent);
+            const world = engine.createWorld();
+
+            expect(codeOf(() => world.loadArtifact(artifact))).toBe(
+                'COMPONENT_MIGRATION_MISSING'
+            );
+        });
+
+        it('should not migrate when autoMigrate is off', () => {
+            const OldHealth = healthV2();
+            const oldWorld = createEngine(OldHealth).createWorld();
+            oldWorld.createEntity('hero').add(OldHealth, { hp: 4 });
+            const artifact = oldWorld.createArtifact();
+
+            const Health = healthV3();
+            const engine = createEngine(Health);
+            const migration = jest.fn(renameHpToCurrent);
+            engine.registerComponentMigration(Health, 2, 3, migration);
+            const world = engine.createWorld();
+
+            world.loadArtifact(artifact, {
+                autoMigrate: false,
+                validate: false,
+            });
+
+            expect(migration).not.toHaveBeenCalled();
+        });
+
+        it('should verify checksums and signatures before migrating', () => {
+            const OldHealth = healthV2();
+            const oldWorld = createEngine(OldHealth).createWorld();
+            oldWorld.createEntity('hero').add(OldHealth, { hp: 4 });
+            const artifact = oldWorld.createArtifact({ signingKey: 'secret' });
+
+            const Health = healthV3();
+            const engine = createEngine(Health);
+            engine.registerComponentMigration(Health, 2, 3, renameHpToCurrent);
+            const world = engine.createWorld();
+
+            world.loadArtifact(artifact, {
+                validationOptions: { signingKey: 'secret' },
+            });
+            expect(world.getEntity('hero').health.current).toBe(4);
+
+            artifact.entities[0].health.hp = 99;
+            const other = engine.createWorld();
+            expect(
+                codeOf(() =>
+                    other.loadArtifact(artifact, {
+                        validationOptions: { signingKey: 'secret' },
+                    })
+                )
+            ).toBe('SIGNATURE_INVALID');
+        });
+    });
+
+    describe('streams', () => {
+        it('should upgrade entities as they are read', async () => {
+            const OldHealth = healthV2();
+            const oldWorld = createEngine(OldHealth).createWorld();
+            oldWorld.createEntity('hero').add(OldHealth, { hp: 3 });
+            oldWorld.createEntity('goblin').add(OldHealth, { hp: 1 });
+            const records = [];
+            for await (const record of oldWorld.streamArtifact()) {
+                records.push(record);
+            }
+
+            const Health = healthV3();
+            const engine = createEngine(Health);
+            engine.registerComponentMigration(Health, 2, 3, renameHpToCurrent);
+            const world = engine.createWorld();
+
+            await world.loadArtifactStream(records);
+
+            expect(world.getEntity('hero').health.current).toBe(3);
+            expect(world.getEntity('goblin').health.current).toBe(1);
+        });
+    });
+
+    describe('deltas', () => {
+        it('should upgrade added entities and changed components', () => {
+            const OldHealth = healthV2();
+            const oldWorld = createEngine(OldHealth).createWorld();
+            const hero = oldWorld.createEntity('hero');
+            hero.add(OldHealth, { hp: 3 });
+            const baseline = oldWorld.createArtifact();
+            hero.health.hp = 6;
+            oldWorld.createEntity('goblin').add(OldHealth, { hp: 1 });
+            const delta = oldWorld.createDelta(baseline);
+
+            const Health = healthV3();
+            const engine = createEngine(Health);
+            engine.registerComponentMigration(Health, 2, 3, renameHpToCurrent);
+            const world = engine.createWorld();
+            world.loadArtifact(baseline);
+
+            world.applyDelta(delta);
+
+            expect(world.getEntity('hero').health.current).toBe(6);
+            expect(world.getEntity('goblin').health.current).toBe(1);
+        });
+    });
+});
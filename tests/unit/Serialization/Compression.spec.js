@@ -0,0 +1,167 @@
+import { CompressionStream, DecompressionStream } from 'stream/web';
+import { Engine } from '../../../src/Engine';
+import { Component } from '../../../src/Component';
+import { ArtifactDeserializer } from '../../../src/serialization/ArtifactDeserializer';
+import {
+    compressArtifact,
+    decompressArtifact,
+    isCompressedArtifact,
+} from '../../../src/serialization/Compression';
+
+describe('Compressed artifacts', () => {
+    let engine, world, loaded;
+
+    class Stats extends Component {
+        static properties = {
+            name: '',
+            gold: 0n,
+            bornAt: new Date(0),
+            target: null,
+        };
+    }
+
+    const codeOf = async (promise) => {
+        try {
+            await promise;
+        } catch (err) {
+            return err.code;
+        }
+        return null;
+    };
+
+    beforeEach(() => {
+        engine = new Engine();
+        engine.registerComponent(Stats);
+        world = engine.createWorld();
+        loaded = engine.createWorld();
+
+        for (let i = 0; i < 200; i++) {
+            world
+                .createEntity(`e${i}`)
+                .add(Stats, { name: `goblin ${i}`, gold: BigInt(i) });
+        }
+
+        world.getEntity('e0').stats.target = world.getEntity('e1');
+        world.getEntity('e1').stats.bornAt = new Date('2020-01-01');
+    });
+
+    const expectLoaded = () => {
+        expect(loaded.getEntity('e199').stats.name).toBe('goblin 199');
+        expect(loaded.getEntity('e199').stats.gold).toBe(199n);
+        expect(loaded.getEntity('e0').stats.target).toBe(
+            loaded.getEntity('e1')
+        );
+        expect(loaded.getEntity('e1').stats.bornAt).toEqual(
+            new Date('2020-01-01')
+        );
+    };
+
+    it.each(['gzip', 'deflate'])(
+        'should round-trip %s artifacts',
+        async (compress) => {
+            const bytes = await world.createArtifact({ compress });
+
+            expect(isCompressedArtifact(bytes)).toBe(true);
+
+            await loaded.loadArtifact(bytes);
+
+            expectLoaded();
+        }
+    );
+
+    it('should be much smaller than JSON', async () => {
+        const json = JSON.stringify(
+            world.createArtifact({ includeMetadata: false }),
+            (k, v) => (typeof v === 'bigint' ? String(v) : v)
+        );
+        const bytes = await world.createArtifact({ compress: 'gzip' });
+
+        expect(bytes.length).toBeLessThan(json.length / 4);
+    });
+
+    it('should compress binary artifacts', async () => {
+        const bytes = await world.createArtifact({
+            compress: 'deflate',
+            format: 'binary',
+        });
+        const binary = world.createArtifact({ format: 'binary' });
+
+        expect(bytes.length).toBeLessThan(binary.length);
+
+        await loaded.loadArtifact(bytes);
+
+        expectLoaded();
+    });
+
+    it('should validate after decompressing', async () => {
+        const bytes = await world.createArtifact({
+            compress: 'gzip',
+            signingKey: 'key',
+        });
+
+        await loaded.loadArtifact(bytes, {
+            validationOptions: { signingKey: 'key' },
+        });
+
+        expect(
+            await codeOf(
+                engine.createWorld().loadArtifact(bytes, {
+                    validationOptions: { signingKey: 'other' },
+                })
+            )
+        ).toBe('SIGNATURE_INVALID');
+    });
+
+    it('should decompress to an artifact object', async () => {
+        const bytes = await world.createArtifact({ compress: 'gzip' });
+        const artifact = await ArtifactDeserializer.fromCompressed(bytes);
+
+        expect(artifact.entities).toEqual(world.createArtifact().entities);
+    });
+
+    it('should reject unknown compression', async () => {
+        await expect(world.createArtifact({ compress: 'zip' })).rejects.toThrow(
+            'Unknown compression: zip'
+        );
+    });
+
+    it('should reject corrupted data', async () => {
+        const bytes = await compressArtifact('{"entities":[]}', 'gzip');
+
+        bytes.fill(7, 10);
+
+        expect(await codeOf(decompressArtifact(bytes))).toBe(
+            'INVALID_STRUCTURE'
+        );
+    });
+
+    describe('with CompressionStream', () => {
+        beforeEach(() => {
+            global.CompressionStream = CompressionStream;
+            global.DecompressionStream = DecompressionStream;
+        });
+
+        afterEach(() => {
+            delete global.CompressionStream;
+            delete global.DecompressionStream;
+        });
+
+        it('should round-trip artifacts', async () => {
+            await loaded.loadArtifact(
+                await world.createArtifact({ compress: 'gzip' })
+            );
+
+            expectLoaded();
+        });
+
+        it('should read artifacts compressed with zlib', async () => {
+            delete global.CompressionStream;
+
+            const bytes = await world.createArtifact({ compress: 'deflate' });
+
+            await loaded.loadArtifact(bytes);
+
+            expectLoaded();
+        });
+    });
+});
@@ -0,0 +1,305 @@
+import { Engine } from '../../../src/Engine';
+import { Component } from '../../../src/Component';
+import {
+    ArtifactValidator,
+    ValidationError,
+} from '../../../src/serialization/ArtifactValidator';
+import {
+    createDelta,
+    applyDelta,
+    isDelta,
+} from '../../../src/serialization/ArtifactDelta';
+
+describe('Delta artifacts', () => {
+    let engine, world, hero, goblin;
+
+    class Health extends Component {
+        static properties = { current: 10, max: 10 };
+    }
+
+    class Target extends Component {
+        static properties = { enemy: null };
+    }
+
+    class Buff extends Component {
+        static allowMultiple = true;
+        static properties = { name: '' };
+    }
+
+    const codeOf = (fn) => {
+        try {
+            fn();
+        } catch (err) {
+            return err.code;
+        }
+        return null;
+    };
+
+    beforeEach(() => {
+        engine = new Engine();
+        engine.registerComponent(Health);
+        engine.registerComponent(Target);
+        engine.registerComponent(Buff);
+        world = engine.createWorld();
+
+        hero = world.createEntity();
+        goblin = world.createEntity();
+        hero.add(Health);
+        goblin.add(Health, { current: 3 });
+        goblin.add(Target, { enemy: hero });
+    });
+
+    describe('createDelta', () => {
+        it('should be empty when nothing changed', () => {
+            const baseline = world.createArtifact();
+            const delta = world.createDelta(baseline);
+
+            expect(isDelta(delta)).toBe(true);
+            expect(delta.added).toEqual([]);
+            expect(delta.removed).toEqual([]);
+            expect(delta.changed).toEqual([]);
+            expect(delta.meta.baseline).toBe(delta.meta.target);
+        });
+
+        it('should record added and removed entities', () => {
+            const baseline = world.createArtifact();
+            const orc = world.createEntity();
+
+            orc.add(Health, { current: 20 });
+            goblin.destroy();
+
+            const delta = world.createDelta(baseline);
+
+            expect(delta.added).toEqual([
+                { id: orc.id, health: { current: 20, max: 10 } },
+            ]);
+            expect(delta.removed).toEqual([goblin.id]);
+        });
+
+        it('should only patch components that changed', () => {
+            const baseline = world.createArtifact();
+
+            hero.health.current = 4;
+            hero.add(Buff, { name: 'haste' });
+            goblin.remove(goblin.target);
+
+            const delta = world.createDelta(baseline);
+
+            expect(delta.changed).toEqual([
+                {
+                    id: hero.id,
+                    set: {
+                        health: { current: 4, max: 10 },
+                        buff: [{ name: 'haste' }],
+                    },
+                },
+                { id: goblin.id, unset: ['target'] },
+            ]);
+        });
+
+        it('should add a checksum of the delta', () => {
+            const baseline = world.createArtifact();
+
+            hero.health.current = 4;
+
+            const delta = world.createDelta(baseline, { checksum: true });
+            const validator = new ArtifactValidator(engine);
+
+            expect(() => validator.validate(delta)).not.toThrow();
+
+            delta.changed[0].set.health.current = 1;
+
+            expect(codeOf(() => validator.validate(delta))).toBe(
+                'CHECKSUM_MISMATCH'
+            );
+        });
+    });
+
+    describe('applyDelta', () => {
+        it('should produce the current artifact', () => {
+            const baseline = world.createArtifact();
+
+            hero.health.current = 1;
+            goblin.destroy();
+            world.createEntity().add(Target, { enemy: hero });
+
+            const delta = world.createDelta(baseline);
+            const result = applyDelta(baseline, delta);
+
+            expect(result.entities).toEqual(world.createArtifact().entities);
+        });
+
+        it('should chain deltas', () => {
+            const baseline = world.createArtifact();
+
+            hero.health.current = 8;
+            const first = world.createDelta(baseline);
+
+            hero.health.current = 6;
+            const second = world.createDelta(applyDelta(baseline, first));
+
+            expect(second.meta.baseline).toBe(first.meta.target);
+
+            const result = applyDelta(applyDelta(baseline, first), second);
+
+            expect(result.entities).toEqual(world.createArtifact().entities);
+        });
+
+        it('should reject a delta with another baseline', () => {
+            const baseline = world.createArtifact();
+
+            hero.health.current = 8;
+
+            const delta = world.createDelta(baseline);
+
+            expect(
+                codeOf(() => applyDelta(world.createArtifact(), delta))
+            ).toBe('BASELINE_MISMATCH');
+        });
+
+        it('should be pure', () => {
+            const baseline = world.createArtifact();
+            const copy = JSON.parse(JSON.stringify(baseline));
+
+            hero.health.current = 8;
+            applyDelta(baseline, world.createDelta(baseline));
+
+            expect(baseline).toEqual(copy);
+        });
+    });
+
+    describe('world.applyDelta', () => {
+        let client;
+
+        beforeEach(() => {
+            client = engine.createWorld();
+            client.loadArtifact(world.createArtifact());
+        });
+
+        it('should update a world that matches the baseline', () => {
+            const baseline = world.createArtifact();
+            const orc = world.createEntity();
+
+            orc.add(Target, { enemy: goblin });
+            hero.health.current = 2;
+            goblin.target.enemy = orc;
+            hero.destroy();
+
+            const result = client.applyDelta(world.createDelta(baseline));
+
+            expect(result.removed).toEqual([hero.id]);
+            expect(result.added.map((e) => e.id)).toEqual([orc.id]);
+            expect(client.getEntity(hero.id)).toBeUndefined();
+            expect(client.getEntity(orc.id).target.enemy).toBe(
+                client.getEntity(goblin.id)
+            );
+            expect(client.getEntity(goblin.id).target.enemy).toBe(
+                client.getEntity(orc.id)
+            );
+            expect(client.createArtifact().entities).toEqual(
+                world.createArtifact().entities
+            );
+        });
+
+        it('should replace and remove components', () => {
+            const baseline = world.createArtifact();
+
+            hero.add(Buff, { name: 'haste' });
+            client.applyDelta(world.createDelta(baseline));
+
+            const next = world.createArtifact();
+
+            hero.remove(hero.buff[0]);
+            hero.add(Buff, { name: 'slow' });
+            goblin.remove(goblin.target);
+            client.applyDelta(world.createDelta(next));
+
+            const clientHero = client.getEntity(hero.id);
+
+            expect(clientHero.buff.map((b) => b.name)).toEqual(['slow']);
+            expect(client.getEntity(goblin.id).has(Target)).toBe(false);
+        });
+
+        it('should accept binary deltas', () => {
+            const baseline = world.createArtifact({ format: 'binary' });
+
+            hero.health.current = 2;
+            client.applyDelta(
+                world.createDelta(baseline, { format: 'binary' })
+            );
+
+            expect(client.getEntity(hero.id).health.current).toBe(2);
+        });
+
+        it('should check the baseline', () => {
+            const baseline = world.createArtifact();
+
+            hero.health.current = 2;
+
+            const delta = world.createDelta(baseline);
+
+            client.getEntity(hero.id).health.current = 5;
+
+            expect(() => client.applyDelta(delta)).toThrow(ValidationError);
+            expect(codeOf(() => client.applyDelta(delta))).toBe(
+                'BASELINE_MISMATCH'
+            );
+            expect(() =>
+                client.applyDelta(delta, { checkBaseline: false })
+            ).not.toThrow();
+            expect(client.getEntity(hero.id).health.current).toBe(2);
+        });
+
+        it('should leave the world untouched when an id does not fit', () => {
+            const baseline = world.createArtifact();
+
+            hero.health.current = 2;
+            goblin.destroy();
+            world.createEntity().add(Health);
+
+            const delta = world.createDelta(baseline);
+
+            client.getEntity(hero.id).destroy();
+
+            expect(() =>
+                client.applyDelta(delta, { checkBaseline: false })
+            ).toThrow(`Cannot apply delta: entity ${hero.id} does not exist`);
+            expect(client.getEntity(goblin.id).health.current).toBe(3);
+            expect([...client.getEntities()]).toHaveLength(1);
+        });
+
+        it('should remove children destroyed with their parent', () => {
+            const minion = world.createEntity();
+
+            minion.add(Health);
+            minion.setParent(goblin);
+
+            const baseline = world.createArtifact();
+            const loaded = engine.createWorld();
+
+            loaded.loadArtifact(baseline);
+            goblin.destroy();
+
+            const result = loaded.applyDelta(world.createDelta(baseline));
+
+            expect(result.removed).toEqual(
+                expect.arrayContaining([goblin.id, minion.id])
+            );
+            expect(loaded.getEntity(goblin.id)).toBeUndefined();
+            expect(loaded.getEntity(minion.id)).toBeUndefined();
+            expect(loaded.createArtifact().entities).toEqual(
+                world.createArtifact().entities
+            );
+        });
+
+        it('should validate the delta', () => {
+            const delta = world.createDelta(world.createArtifact());
+
+            delta.changed.push({ id: hero.id, set: { unknown: {} } });
+
+            expect(codeOf(() => client.applyDelta(delta))).toBe(
+                'UNKNOWN_COMPONENT'
+            );
+        });
+    });
+});
@@ -0,0 +1,364 @@
+import { Engine } from '../../../src/Engine';
+import { Component } from '../../../src/Component';
+import { MigrationRegistry } from '../../../src/serialization/MigrationRegistry';
+import {
+    renameComponent,
+    renameField,
+    setDefault,
+    dropComponent,
+    splitComponent,
+    mapValues,
+} from '../../../src/serialization/MigrationHelpers';
+
+describe('Migration helpers', () => {
+    const artifactOf = (entities, meta = {}) => ({
+        entities,
+        meta: { schemaVersion: 0, ...meta },
+    });
+
+    describe('renameComponent', () => {
+        it('should rename the component on every entity', () => {
+            const artifact = artifactOf([
+                { id: 'a', hp: { value: 3 } },
+                { id: 'b', position: { x: 1 } },
+            ]);
+
+            const result = renameComponent('hp', 'health')(artifact);
+
+            expect(result.entities).toEqual([
+                { id: 'a', health: { value: 3 } },
+                { id: 'b', position: { x: 1 } },
+            ]);
+        });
+
+        it('should not modify the original artifact', () => {
+            const artifact = artifactOf([{ id: 'a', hp: { value: 3 } }]);
+
+            renameComponent('hp', 'health')(artifact);
+
+            expect(artifact.entities[0]).toEqual({ id: 'a', hp: { value: 3 } });
+        });
+
+        it('should accept component classes and PascalCase names', () => {
+            class Health extends Component {}
+            const artifact = artifactOf([{ id: 'a', hitPoints: { value: 3 } }]);
+
+            const result = renameComponent('HitPoints', Health)(artifact);
+
+            expect(result.entities[0].health).toEqual({ value: 3 });
+        });
+
+        it('should rename the component in the registry and component versions', () => {
+            const artifact = {
+                ...artifactOf([], { componentVersions: { hp: 2 } }),
+                registry: { components: { hp: { bit: 1 } }, prefabs: [] },
+            };
+
+            const result = renameComponent('hp', 'health')(artifact);
+
+            expect(result.meta.componentVersions).toEqual({ health: 2 });
+            expect(result.registry.components).toEqual({ health: { bit: 1 } });
+        });
+
+        it('should throw if an entity already has the new component', () => {
+            const artifact = artifactOf([
+                { id: 'a', hp: { value: 3 }, health: { value: 4 } },
+            ]);
+
+            expect(() => renameComponent('hp', 'health')(artifact)).toThrow(
+                'already has "health"'
+            );
+        });
+    });
+
+    describe('renameField', () => {
+        it('should rename the property', () => {
+            const artifact = artifactOf([
+                { id: 'a', position: { px: 1, y: 2 } },
+            ]);
+
+            const result = renameField('position', 'px', 'x')(artifact);
+
+            expect(result.entities[0].position).toEqual({ x: 1, y: 2 });
+        });
+
+        it('should rename the property of every allowMultiple instance', () => {
+            const artifact = artifactOf([
+                {
+                    id: 'a',
+                    buff: [{ label: 'haste' }, { label: 'shield' }],
+                    slot: {
+                        head: { key: 'head', label: 'helmet' },
+                        hand: { key: 'hand', label: 'sword' },
+                    },
+                },
+            ]);
+
+            artifact.registry = {
+                components: {
+                    buff: { allowMultiple: true, keyProperty: null },
+                    slot: { allowMultiple: true, keyProperty: 'key' },
+                },
+            };
+
+            const result = [
+                renameField('buff', 'label', 'name'),
+                renameField('slot', 'label', 'name'),
+            ].reduce((value, step) => step(value), artifact);
+
+            expect(result.entities[0].buff).toEqual([
+                { name: 'haste' },
+                { name: 'shield' },
+            ]);
+            expect(result.entities[0].slot).toEqual({
+                head: { key: 'head', name: 'helmet' },
+                hand: { key: 'hand', name: 'sword' },
+            });
+        });
+
+        it('should not take entity references for component data', () => {
+            const artifact = artifactOf([
+                { id: 'a', target: { enemy: { $ref: 'enemy' } } },
+                { id: 'enemy' },
+            ]);
+
+            const result = renameField('target', 'enemy', 'foe')(artifact);
+
+            expect(result.entities[0].target).toEqual({
+                foe: { $ref: 'enemy' },
+            });
+        });
+
+        it('should read keyed instances from the registered component', () => {
+            class Slot extends Component {
+                static allowMultiple = true;
+                static keyProperty = 'key';
+                static properties = { key: '', label: '', count: 0 };
+            }
+
+            const engine = new Engine();
+            engine.registerComponent(Slot);
+            engine.registerMigration(0, 1, setDefault('slot', 'count', 1));
+
+            const artifact = artifactOf([
+                {
+                    id: 'a',
+                    slot: { hand: { key: 'hand', label: 'sword' } },
+                },
+            ]);
+            const preview = engine.previewMigration(artifact, 1);
+
+            expect(preview.artifact.entities[0].slot).toEqual({
+                hand: { key: 'hand', label: 'sword', count: 1 },
+            });
+
+            const world = engine.createWorld();
+            world.loadArtifact(artifact);
+
+            const slots = world.getEntity('a').slot;
+            expect(Object.keys(slots)).toEqual(['hand']);
+            expect(slots.hand.count).toBe(1);
+        });
+
+        it('should not take objects that look keyed for keyed instances', () => {
+            const artifact = artifactOf([
+                { id: 'a', pair: { a: { id: 'a' } } },
+            ]);
+
+            const result = renameField('pair', 'a', 'b')(artifact);
+
+            expect(result.entities[0].pair).toEqual({ b: { id: 'a' } });
+        });
+    });
+
+    describe('setDefault', () => {
+        it('should not take an entity reference for an instance', () => {
+            const artifact = artifactOf([
+                { id: 'a', target: { $ref: 'enemy' } },
+            ]);
+
+            const result = setDefault('target', 'enemy', null)(artifact);
+
+            expect(result.entities[0].target).toEqual({ $ref: 'enemy' });
+        });
+
+        it('should only set missing properties', () => {
+            const artifact = artifactOf([
+                { id: 'a', health: { current: 3 } },
+                { id: 'b', health: { current: 3, max: 5 } },
+                { id: 'c' },
+            ]);
+
+            const result = setDefault('health', 'max', 10)(artifact);
+
+            expect(result.entities.map((entity) => entity.health)).toEqual([
+                { current: 3, max: 10 },
+                { current: 3, max: 5 },
+                undefined,
+            ]);
+        });
+
+        it('should compute defaults from the instance and entity', () => {
+            const artifact = artifactOf([{ id: 'a', health: { current: 3 } }]);
+
+            const result = setDefault(
+                'health',
+                'max',
+                (health, entity) => `${entity.id}:${health.current}`
+            )(artifact);
+
+            expect(result.entities[0].health.max).toBe('a:3');
+        });
+    });
+
+    describe('dropComponent', () => {
+        it('should remove the component everywhere', () => {
+            const artifact = {
+                ...artifactOf([{ id: 'a', legacy: {}, health: {} }], {
+                    componentVersions: { legacy: 1, health: 1 },
+                }),
+                registry: { components: { legacy: {}, health: {} } },
+            };
+
+            const result = dropComponent('Legacy')(artifact);
+
+            expect(result.entities[0]).toEqual({ id: 'a', health: {} });
+            expect(result.meta.componentVersions).toEqual({ health: 1 });
+            expect(result.registry.components).toEqual({ health: {} });
+        });
+    });
+
+    describe('splitComponent', () => {
+        it('should move properties into new components', () => {
+            const artifact = artifactOf([
+                { id: 'a', body: { x: 1, y: 2, mass: 3 } },
+            ]);
+
+            const result = splitComponent('body', {
+                position: ['x', 'y'],
+                physics: ['mass'],
+            })(artifact);
+
+            expect(result.entities[0]).toEqual({
+                id: 'a',
+                position: { x: 1, y: 2 },
+                physics: { mass: 3 },
+            });
+        });
+
+        it('should keep the component if it is a target', () => {
+            const artifact = artifactOf([
+                { id: 'a', body: { x: 1, y: 2, mass: 3 } },
+            ]);
+
+            const result = splitComponent('body', {
+                position: ['x', 'y'],
+                body: ['mass'],
+            })(artifact);
+
+            expect(result.entities[0].body).toEqual({ mass: 3 });
+            expect(result.entities[0].position).toEqual({ x: 1, y: 2 });
+        });
+
+        it('should keep the shape of allowMultiple components', () => {
+            class Slot extends Component {
+                static allowMultiple = true;
+                static keyProperty = 'key';
+            }
+
+            const artifact = artifactOf([
+                {
+                    id: 'a',
+                    slot: { head: { key: 'head', item: { $ref: 'helmet' } } },
+                },
+                { id: 'helmet' },
+            ]);
+
+            const result = splitComponent(Slot, {
+                slot: ['key'],
+                equipped: ['key', 'item'],
+            })(artifact);
+
+            expect(result.entities[0].slot).toEqual({ head: { key: 'head' } });
+            expect(result.entities[0].equipped).toEqual({
+                head: { key: 'head', item: { $ref: 'helmet' } },
+            });
+        });
+    });
+
+    describe('mapValues', () => {
+        it('should transform property values', () => {
+            const artifact = artifactOf([
+                { id: 'a', health: { current: 3, max: 5 } },
+                { id: 'b', health: { max: 5 } },
+            ]);
+
+            const result = mapValues('health', {
+                current: (value) => value * 10,
+                max: (value, health, entity) => `${entity.id}:${value}`,
+            })(artifact);
+
+            expect(result.entities[0].health).toEqual({
+                current: 30,
+                max: 'a:5',
+            });
+            expect(result.entities[1].health).toEqual({ max: 'b:5' });
+        });
+    });
+
+    describe('registering', () => {
+        it('should register an array of helpers as one migration', () => {
+            const registry = new MigrationRegistry();
+            registry.register(0, 1, [
+                renameComponent('hp', 'health'),
+                renameField('health', 'value', 'current'),
+                setDefault('health', 'max', 10),
+            ]);
+
+            const result = registry.migrate(
+                artifactOf([{ id: 'a', hp: { value: 3 } }]),
+                1
+            );
+
+            expect(result.entities[0]).toEqual({
+                id: 'a',
+                health: { current: 3, max: 10 },
+            });
+            expect(result.meta.schemaVersion).toBe(1);
+        });
+
+        it('should reject arrays with something other than functions', () => {
+            const registry = new MigrationRegistry();
+
+            expect(() =>
+                registry.register(0, 1, [dropComponent('hp'), 'x'])
+            ).toThrow('Migration must be a function');
+        });
+
+        it('should migrate artifacts loaded into a world', () => {
+            class Health extends Component {
+                static properties = { current: 0, max: 0 };
+            }
+
+            const engine = new Engine();
+            engine.registerComponent(Health);
+            engine.registerMigration(0, 1, [
+                renameComponent('hp', Health),
+                renameField(Health, 'value', 'current'),
+                setDefault(Health, 'max', (health) => health.current * 2),
+            ]);
+            const world = engine.createWorld();
+
+            world.loadArtifact(
+                artifactOf([{ id: 'hero', hp: { value: 4 } }], {
+                    version: '1.0.0',
+                    timestamp: Date.now(),
+                })
+            );
+
+            const hero = world.getEntity('hero');
+            expect(hero.health.current).toBe(4);
+            expect(hero.health.max).toBe(8);
+        });
+    });
+});
@@ -0,0 +1,227 @@
+import { Engine } from '../../../src/Engine';
+import { Component } from '../../../src/Component';
+import {
+    renameComponent,
+    renameField,
+    dropComponent,
+} from '../../../src/serialization/MigrationHelpers';
+
+describe('Migration previews', () => {
+    let engine;
+
+    class Health extends Component {
+        static properties = { current: 0, max: 0 };
+    }
+
+    class Position extends Component {
+        static properties = { x: 0, y: 0 };
+    }
+
+    const v0Artifact = () => ({
+        entities: [
+            { id: 'hero', hp: { value: 4, max: 10 }, position: { x: 1, y: 2 } },
+            { id: 'ghost', legacy: { flag: true } },
+            { id: 'rock', position: { x: 5, y: 5 } },
+        ],
+        meta: { schemaVersion: 0, version: '1.0.0', timestamp: 0 },
+    });
+
+    beforeEach(() => {
+        engine = new Engine();
+        engine.registerComponent(Health);
+        engine.registerComponent(Position);
+    });
+
+    it('should report steps and component changes', () => {
+        engine.registerMigration(0, 1, [
+            renameComponent('hp', 'health'),
+            renameField('health', 'value', 'current'),
+        ]);
+        const artifact = v0Artifact();
+        artifact.entities.splice(1, 1);
+
+        const report = engine.previewMigration(artifact, 1);
+
+        expect(report.valid).toBe(true);
+        expect(report.fromVersion).toBe(0);
+        expect(report.toVersion).toBe(1);
+        expect(report.steps).toEqual([{ from: 0, to: 1 }]);
+        expect(report.changed).toEqual([
+            {
+                id: 'hero',
+                component: 'hp',
+                before: { value: 4, max: 10 },
+                after: undefined,
+            },
+            {
+                id: 'hero',
+                component: 'health',
+                before: undefined,
+                after: { current: 4, max: 10 },
+            },
+        ]);
+        expect(report.added).toEqual([]);
+        expect(report.removed).toEqual([]);
+    });
+
+    it('should not modify the artifact', () => {
+        engine.registerMigration(0, 1, renameComponent('hp', 'health'));
+        const artifact = v0Artifact();
+
+        engine.previewMigration(artifact);
+
+        expect(artifact).toEqual(v0Artifact());
+    });
+
+    it('should report added and removed entities', () => {
+        engine.registerMigration(0, 1, (artifact) => ({
+            ...artifact,
+            entities: [
+                ...artifact.entities.filter((entity) => entity.id !== 'ghost'),
+                { id: 'spawn', position: { x: 0, y: 0 } },
+            ],
+        }));
+
+        const report = engine.previewMigration(v0Artifact());
+
+        expect(report.removed).toEqual(['ghost']);
+        expect(report.added).toEqual(['spawn']);
+    });
+
+    it('should return the migrated artifact', () => {
+        engine.registerMigration(0, 1, [
+            renameComponent('hp', 'health'),
+            renameField('health', 'value', 'current'),
+            dropComponent('legacy'),
+        ]);
+
+        const report = engine.previewMigration(v0Artifact());
+
+        expect(report.valid).toBe(true);
+        expect(report.errors).toEqual([]);
+        expect(report.artifact.meta.schemaVersion).toBe(1);
+
+        const world = engine.createWorld();
+        world.loadArtifact(report.artifact);
+        expect(world.getEntity('hero').health.current).toBe(4);
+    });
+
+    it('should report validator failures of the migrated artifact', () => {
+        engine.registerMigration(0, 1, [
+            renameComponent('hp', 'health'),
+            dropComponent('legacy'),
+            (artifact) => ({
+                ...artifact,
+                entities: [...artifact.entities, { id: 'hero' }],
+            }),
+        ]);
+
+        const report = engine.previewMigration(v0Artifact());
+
+        expect(report.valid).toBe(false);
+        expect(report.errors).toEqual([
+            expect.objectContaining({ code: 'DUPLICATE_ENTITY_ID' }),
+        ]);
+        expect(report.artifact).not.toBeNull();
+    });
+
+    it('should report every validator failure of the migrated artifact', () => {
+        engine.registerMigration(0, 1, (artifact) => ({
+            ...artifact,
+            entities: [...artifact.entities, { id: 'hero' }],
+        }));
+
+        const report = engine.previewMigration(v0Artifact());
+
+        expect(report.errors).toEqual([
+            expect.objectContaining({
+                code: 'DUPLICATE_ENTITY_ID',
+                path: 'entities[3]',
+            }),
+            expect.objectContaining({
+                code: 'UNKNOWN_COMPONENT',
+                path: 'entities[0].hp',
+            }),
+            expect.objectContaining({
+                code: 'UNKNOWN_COMPONENT',
+                path: 'entities[1].legacy',
+            }),
+        ]);
+    });
+
+    it('should report artifacts that are not objects', () => {
+        const report = engine.previewMigration(null);
+
+        expect(report.valid).toBe(false);
+        expect(report.errors).toEqual([
+            {
+                code: 'INVALID_STRUCTURE',
+                message: 'Artifact must be an object',
+            },
+        ]);
+        expect(report.artifact).toBeNull();
+    });
+
+    it('should report migrations that throw', () => {
+        engine.registerMigration(0, 1, () => {
+            throw new Error('boom');
+        });
+
+        const report = engine.previewMigration(v0Artifact());
+
+        expect(report.valid).toBe(false);
+        expect(report.errors).toEqual([
+            { code: 'MIGRATION_FAILED', message: 'boom' },
+        ]);
+        expect(report.artifact).toBeNull();
+        expect(report.changed).toEqual([]);
+    });
+
+    it('should report a missing migration path', () => {
+        const report = engine.previewMigration(v0Artifact());
+
+        expect(report.valid).toBe(false);
+        expect(report.errors[0].code).toBe('MIGRATION_PATH_MISSING');
+        expect(report.steps).toEqual([]);
+    });
+
+    it('should report checksum mismatches of the original artifact', () => {
+        const world = engine.createWorld();
+        world.createEntity('hero').add(Health, { current: 3 });
+        const artifact = world.createArtifact({ checksum: true });
+        artifact.entities[0].health.current = 99;
+
+        const report = engine.previewMigration(artifact);
+
+        expect(report.errors).toEqual([
+            expect.objectContaining({ code: 'CHECKSUM_MISMATCH' }),
+        ]);
+    });
+
+    it('should include component migrations', () => {
+        class Mana extends Component {
+            static version = 2;
+            static properties = { current: 0 };
+        }
+        engine.registerComponent(Mana);
+        engine.registerComponentMigration(Mana, 1, 2, ({ mp }) => ({
+            current: mp,
+        }));
+        engine.registerMigration(0, 1, [
+            renameComponent('hp', 'health'),
+            dropComponent('legacy'),
+        ]);
+        const artifact = v0Artifact();
+        artifact.entities[2].mana = { mp: 7 };
+
+        const report = engine.previewMigration(artifact);
+
+        expect(report.valid).toBe(true);
+        expect(report.changed).toContainEqual({
+            id: 'rock',
+            component: 'mana',
+            before: { mp: 7 },
+            after: { current: 7 },
+        });
+    });
+});
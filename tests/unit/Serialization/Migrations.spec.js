@@ -256,4 +256,147 @@ describe('Schema Migrations', () => {
             expect(migrationSpy).not.toHaveBeenCalled();
         });
     });
+
+    describe('Downgrades', () => {
+        const downgrade = (artifact) => ({
+            ...artifact,
+            entities: artifact.entities.map(({ testComponent, ...rest }) =>
+                testComponent ? { ...rest, legacy: { amount: testComponent.value } } : rest
+            ),
+        });
+
+        const upgrade = (artifact) => ({
+            ...artifact,
+            entities: artifact.entities.map(({ legacy, ...rest }) =>
+                legacy ? { ...rest, testComponent: { value: legacy.amount } } : rest
+            ),
+        });
+
+        beforeEach(() => {
+            world.createEntity('a').add(TestComponent, { value: 7 });
+        });
+
+        it('should find migration paths to older versions', () => {
+            registry.register(3, 2, (artifact) => artifact);
+            registry.register(2, 1, (artifact) => artifact);
+
+            const result = registry.migrate({ entities: [], meta: { schemaVersion: 3 } }, 1);
+
+            expect(result.meta.schemaVersion).toBe(1);
+        });
+
+        it('should remember lossy migrations', () => {
+            registry.register(2, 1, (artifact) => artifact, { lossy: true });
+            registry.register(1, 0, (artifact) => artifact);
+
+            expect(registry.isLossy(2, 1)).toBe(true);
+            expect(registry.isLossy(1, 0)).toBe(false);
+        });
+
+        it('should create artifacts at an older schema version', () => {
+            engine.registerMigration(1, 0, downgrade);
+
+            const artifact = world.createArtifact({ schemaVersion: 0 });
+
+            expect(artifact.meta.schemaVersion).toBe(0);
+            expect(artifact.entities[0]).toEqual({ id: 'a', legacy: { amount: 7 } });
+            expect(artifact.meta.lossyMigrations).toBeUndefined();
+        });
+
+        it('should flag lossy steps in the artifact meta', () => {
+            engine.registerMigration(1, 0, downgrade, { lossy: true });
+
+            const artifact = world.createArtifact({ schemaVersion: 0 });
+
+            expect(artifact.meta.lossyMigrations).toEqual([{ from: 1, to: 0 }]);
+        });
+
+        it('should checksum and sign the downgraded artifact', () => {
+            engine.registerMigration(1, 0, downgrade);
+            engine.registerMigration(0, 1, upgrade);
+
+            const artifact = world.createArtifact({
+                schemaVersion: 0,
+                checksum: true,
+                signingKey: 'secret',
+            });
+
+            const world2 = engine.createWorld();
+            world2.loadArtifact(artifact, { validationOptions: { signingKey: 'secret' } });
+
+            expect(world2.getEntity('a').testComponent.value).toBe(7);
+        });
+
+        it('should throw without a migration path', () => {
+            expect(() => world.createArtifact({ schemaVersion: 0 })).toThrow(
+                'No migration path from version 1 to 0'
+            );
+        });
+
+        it('should not stream older schema versions', async () => {
+            engine.registerMigration(1, 0, downgrade);
+
+            await expect(world.streamArtifact({ schemaVersion: 0 }).next()).rejects.toThrow(
+                'current schema version'
+            );
+        });
+    });
+
+    describe('World.migrateArtifact', () => {
+        const v0Artifact = () => ({
+            entities: [{ id: 'a', testComponent: { amount: 5 } }],
+            meta: { schemaVersion: 0 },
+        });
+
+        const renameAmount = (artifact) => ({
+            ...artifact,
+            entities: artifact.entities.map(({ testComponent, ...rest }) => ({
+                ...rest,
+                testComponent: { value: testComponent.amount },
+            })),
+        });
+
+        it('should migrate to the current schema version', () => {
+            engine.registerMigration(0, 1, renameAmount);
+
+            const result = world.migrateArtifact(v0Artifact());
+
+            expect(result.meta.schemaVersion).toBe(1);
+            expect(result.entities[0].testComponent).toEqual({ value: 5 });
+        });
+
+        it('should migrate to a target version', () => {
+            engine.registerMigration(0, 1, renameAmount);
+            engine.registerMigration(1, 2, (artifact) => ({ ...artifact, two: true }));
+
+            const result = world.migrateArtifact(v0Artifact(), 2);
+
+            expect(result.meta.schemaVersion).toBe(2);
+            expect(result.two).toBe(true);
+        });
+
+        it('should upgrade component versions', () => {
+            class Counter extends Component {
+                static version = 2;
+                static properties = { count: 0 };
+            }
+            engine.registerComponent(Counter);
+            engine.registerComponentMigration(Counter, 1, 2, ({ n }) => ({ count: n }));
+            engine.registerMigration(0, 1, (artifact) => artifact);
+
+            const result = world.migrateArtifact({
+                entities: [{ id: 'a', counter: { n: 3 } }],
+                meta: { schemaVersion: 0 },
+            });
+
+            expect(result.entities[0].counter).toEqual({ count: 3 });
+            expect(result.meta.componentVersions.counter).toBe(2);
+        });
+
+        it('should throw without a migration path', () => {
+            expect(() => world.migrateArtifact(v0Artifact())).toThrow(
+                'No migration path from version 0 to 1'
+            );
+        });
+    });
 });
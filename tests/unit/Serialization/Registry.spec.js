@@ -0,0 +1,158 @@
+import { Engine } from '../../../src/Engine';
+import { Component } from '../../../src/Component';
+import { Types } from '../../../src/Types';
+import { ValidationError } from '../../../src/serialization/ArtifactValidator';
+import {
+    createRegistrySnapshot,
+    diffRegistry,
+    DRIFT,
+} from '../../../src/serialization/RegistrySnapshot';
+
+describe('Component registry snapshots', () => {
+    let engine, world;
+
+    class Health extends Component {
+        static schema = {
+            current: Types.int,
+            max: Types.int,
+        };
+    }
+
+    class Position extends Component {
+        static properties = { x: 0, y: 0 };
+    }
+
+    const createEngine = (...components) => {
+        const other = new Engine();
+
+        components.forEach((clazz) => other.registerComponent(clazz));
+
+        return other;
+    };
+
+    beforeEach(() => {
+        engine = createEngine(Health, Position);
+        engine.registerPrefab({ name: 'Goblin', components: [] });
+        world = engine.createWorld();
+    });
+
+    describe('createRegistrySnapshot', () => {
+        it('should describe components and prefabs', () => {
+            const snapshot = createRegistrySnapshot(engine);
+
+            expect(snapshot.components.health).toEqual({
+                bit: Number(Health.prototype._cbit),
+                properties: ['current', 'max'],
+                schema: { current: 'int', max: 'int' },
+            });
+            expect(snapshot.components.position).toEqual({
+                bit: Number(Position.prototype._cbit),
+                properties: ['x', 'y'],
+            });
+            expect(snapshot.prefabs).toEqual(['Goblin']);
+        });
+
+        it('should only be included in artifacts when requested', () => {
+            expect(world.createArtifact().registry).toBeUndefined();
+            expect(
+                world.createArtifact({ includeComponentRegistry: true })
+                    .registry
+            ).toEqual(createRegistrySnapshot(engine));
+        });
+    });
+
+    describe('diffRegistry', () => {
+        it('should find no drift in the same engine', () => {
+            expect(
+                diffRegistry(engine, createRegistrySnapshot(engine))
+            ).toEqual([]);
+        });
+
+        it('should find missing components and prefabs', () => {
+            const snapshot = createRegistrySnapshot(engine);
+            const drift = diffRegistry(createEngine(Health), snapshot);
+
+            expect(drift.map((d) => d.type)).toEqual([
+                DRIFT.MISSING_COMPONENT,
+                DRIFT.MISSING_PREFAB,
+            ]);
+            expect(drift[0].component).toBe('position');
+            expect(drift[1].prefab).toBe('Goblin');
+        });
+
+        it('should find changed bits, properties and types', () => {
+            const snapshot = createRegistrySnapshot(engine);
+
+            snapshot.components.health.bit += 10;
+            snapshot.components.health.schema.max = 'float';
+            snapshot.components.position.properties = ['x', 'z'];
+
+            const drift = diffRegistry(engine, snapshot).map((d) => [
+                d.type,
+                d.component,
+                d.property,
+            ]);
+
+            expect(drift).toEqual([
+                [DRIFT.BIT_CHANGED, 'health', undefined],
+                [DRIFT.TYPE_CHANGED, 'health', 'max'],
+                [DRIFT.PROPERTY_ADDED, 'position', 'y'],
+                [DRIFT.PROPERTY_REMOVED, 'position', 'z'],
+            ]);
+        });
+    });
+
+    describe('loadArtifact', () => {
+        let artifact;
+
+        beforeEach(() => {
+            world.createEntity().add(Position);
+            artifact = world.createArtifact({ includeComponentRegistry: true });
+            artifact.registry.components.position.properties = ['x'];
+        });
+
+        it('should warn about drift by default', () => {
+            const warn = jest
+                .spyOn(console, 'warn')
+                .mockImplementation(() => {});
+
+            engine.createWorld().loadArtifact(artifact);
+
+            expect(warn).toHaveBeenCalledWith(
+                'Registry drift: Component "position" has a new property "y"'
+            );
+
+            warn.mockRestore();
+        });
+
+        it('should throw on drift when asked to', () => {
+            const load = () =>
+                engine.createWorld().loadArtifact(artifact, {
+                    validationOptions: { registryDrift: 'throw' },
+                });
+
+            expect(load).toThrow(ValidationError);
+
+            try {
+                load();
+            } catch (err) {
+                expect(err.code).toBe('REGISTRY_DRIFT');
+                expect(err.drift).toHaveLength(1);
+            }
+        });
+
+        it('should ignore drift when asked to', () => {
+            const warn = jest
+                .spyOn(console, 'warn')
+                .mockImplementation(() => {});
+
+            engine.createWorld().loadArtifact(artifact, {
+                validationOptions: { registryDrift: 'ignore' },
+            });
+
+            expect(warn).not.toHaveBeenCalled();
+
+            warn.mockRestore();
+        });
+    });
+});
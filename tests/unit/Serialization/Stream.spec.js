@@ -0,0 +1,351 @@
+import { Readable } from 'stream';
+import { Engine } from '../../../src/Engine';
+import { Component } from '../../../src/Component';
+import { Relation } from '../../../src/Relation';
+import { STREAM_RECORD } from '../../../src/serialization/ArtifactStream';
+
+describe('Streamed artifacts', () => {
+    let engine, world;
+
+    class Stats extends Component {
+        static properties = {
+            name: '',
+            gold: 0n,
+            bornAt: new Date(0),
+        };
+    }
+
+    class Target extends Component {
+        static properties = { enemy: null, allies: [] };
+    }
+
+    class Likes extends Relation {}
+
+    const collect = async (iterable) => {
+        const items = [];
+        for await (const item of iterable) {
+            items.push(item);
+        }
+        return items;
+    };
+
+    const codeOf = async (promise) => {
+        try {
+            await promise;
+        } catch (err) {
+            return err.code;
+        }
+        return null;
+    };
+
+    beforeEach(() => {
+        engine = new Engine();
+        engine.registerComponent(Stats);
+        engine.registerComponent(Target);
+        engine.registerComponent(Likes);
+        world = engine.createWorld();
+    });
+
+    const populate = () => {
+        const a = world.createEntity('a');
+        const b = world.createEntity('b');
+        const c = world.createEntity('c');
+
+        a.add(Stats, { name: 'Ann', gold: 2n ** 70n });
+        b.add(Stats, { name: 'Bob', bornAt: new Date('2020-01-01') });
+        c.add(Stats, { name: 'Cat' });
+
+        // forward references, to entities later in the stream
+        a.add(Target, { enemy: c, allies: [b] });
+        a.relate(Likes, c);
+        c.add(Target, { enemy: a });
+
+        return [a, b, c];
+    };
+
+    describe('streamArtifact', () => {
+        it('should yield a header, one record per entity and a footer', async () => {
+            populate();
+
+            const records = await collect(world.streamArtifact());
+
+            expect(records.map((r) => r.type)).toEqual([
+                STREAM_RECORD.HEADER,
+                STREAM_RECORD.ENTITY,
+                STREAM_RECORD.ENTITY,
+                STREAM_RECORD.ENTITY,
+                STREAM_RECORD.FOOTER,
+            ]);
+            expect(records[0].meta.schemaVersion).toBe(1);
+            expect(records.slice(1, 4).map((r) => r.data)).toEqual(
+                world.createArtifact().entities
+            );
+            expect(records[4].count).toBe(3);
+        });
+
+        it('should checksum the entities like createArtifact', async () => {
+            populate();
+
+            const records = await collect(
+                world.streamArtifact({ checksum: true })
+            );
+            const artifact = world.createArtifact({ checksum: true });
+
+            expect(records[records.length - 1].checksum).toBe(
+                artifact.meta.checksum
+            );
+        });
+
+        it('should put world state and registry in the header', async () => {
+            populate();
+
+            const [header] = await collect(
+                world.streamArtifact({
+                    includeWorldState: true,
+                    includeComponentRegistry: true,
+                })
+            );
+
+            expect(header.world).toEqual(world._getState());
+            expect(Object.keys(header.registry.components)).toContain('stats');
+        });
+
+        it('should write NDJSON', async () => {
+            populate();
+
+            const lines = await collect(
+                world.streamArtifact({ format: 'ndjson' })
+            );
+
+            expect(lines).toHaveLength(5);
+            lines.forEach((line) => {
+                expect(line.endsWith('\n')).toBe(true);
+                expect(line.slice(0, -1)).not.toContain('\n');
+            });
+            expect(lines[1]).toContain('"$bigint":"1180591620717411303424"');
+        });
+
+        it('should not stream binary artifacts', async () => {
+            await expect(
+                collect(world.streamArtifact({ format: 'binary' }))
+            ).rejects.toThrow('Binary artifacts cannot be streamed');
+        });
+    });
+
+    describe('loadArtifactStream', () => {
+        let loaded;
+
+        beforeEach(() => {
+            loaded = engine.createWorld();
+        });
+
+        const expectPopulated = () => {
+            const a = loaded.getEntity('a');
+            const b = loaded.getEntity('b');
+            const c = loaded.getEntity('c');
+
+            expect(a.stats.gold).toBe(2n ** 70n);
+            expect(b.stats.bornAt).toEqual(new Date('2020-01-01'));
+            expect(a.target.enemy).toBe(c);
+            expect(a.target.allies[0]).toBe(b);
+            expect(a.likes[0].target).toBe(c);
+            expect(c.target.enemy).toBe(a);
+        };
+
+        it('should load records', async () => {
+            populate();
+
+            const entities = await loaded.loadArtifactStream(
+                world.streamArtifact()
+            );
+
+            expect(entities.map((e) => e.id)).toEqual(['a', 'b', 'c']);
+            expectPopulated();
+        });
+
+        it('should load NDJSON split into arbitrary chunks', async () => {
+            populate();
+            world.getEntity('c').stats.name = 'Çat ✓';
+
+            const text = (
+                await collect(world.streamArtifact({ format: 'ndjson' }))
+            ).join('');
+            const bytes = Buffer.from(text);
+            const chunks = [];
+
+            for (let i = 0; i < bytes.length; i += 7) {
+                chunks.push(bytes.subarray(i, i + 7));
+            }
+
+            await loaded.loadArtifactStream(Readable.from(chunks));
+
+            expectPopulated();
+            expect(loaded.getEntity('c').stats.name).toBe('Çat ✓');
+        });
+
+        it('should resolve references to earlier entities straight away', async () => {
+            const a = world.createEntity('a');
+            const b = world.createEntity('b');
+
+            b.add(Target, { enemy: a });
+
+            const seen = [];
+            const records = world.streamArtifact();
+
+            await loaded.loadArtifactStream(
+                (async function* () {
+                    for await (const record of records) {
+                        yield record;
+                        if (
+                            record.type === STREAM_RECORD.ENTITY &&
+                            record.data.id === 'b'
+                        ) {
+                            seen.push(loaded.getEntity('b').target.enemy);
+                        }
+                    }
+                })()
+            );
+
+            expect(seen).toEqual([loaded.getEntity('a')]);
+        });
+
+        it('should not add entities before the footer is verified when asked to', async () => {
+            populate();
+
+            const seen = [];
+            const created = jest.fn();
+            const records = world.streamArtifact({ checksum: true });
+
+            loaded.on('entityCreated', created);
+
+            await loaded.loadArtifactStream(
+                (async function* () {
+                    for await (const record of records) {
+                        yield record;
+                        seen.push(loaded._entities.size);
+                        expect(created).not.toHaveBeenCalled();
+                    }
+                })(),
+                { verifyBeforeLoading: true }
+            );
+
+            expect(seen).toEqual([0, 0, 0, 0, 0]);
+            expect(created).toHaveBeenCalledTimes(3);
+            expectPopulated();
+        });
+
+        it('should not replace entities that are already in the world', async () => {
+            populate();
+
+            const existing = loaded.createEntity('b');
+
+            expect(
+                await codeOf(loaded.loadArtifactStream(world.streamArtifact()))
+            ).toBe('DUPLICATE_ENTITY_ID');
+            expect(loaded.getEntity('b')).toBe(existing);
+            expect(loaded._entities.size).toBe(1);
+        });
+
+        it('should restore world state', async () => {
+            world.createEntity();
+            world.createEntity();
+
+            await loaded.loadArtifactStream(
+                world.streamArtifact({ includeWorldState: true })
+            );
+
+            expect(loaded._getState().nextId).toBe(world._getState().nextId);
+        });
+
+        it('should detect a corrupted stream and remove what was loaded', async () => {
+            populate();
+
+            const records = await collect(
+                world.streamArtifact({ checksum: true })
+            );
+
+            records[2].data.stats.name = 'Eve';
+
+            expect(await codeOf(loaded.loadArtifactStream(records))).toBe(
+                'CHECKSUM_MISMATCH'
+            );
+            expect(loaded._entities.size).toBe(0);
+
+            const created = jest.fn();
+
+            loaded.on('entityCreated', created);
+
+            expect(
+                await codeOf(
+                    loaded.loadArtifactStream(records, {
+                        verifyBeforeLoading: true,
+                    })
+                )
+            ).toBe('CHECKSUM_MISMATCH');
+            expect(created).not.toHaveBeenCalled();
+        });
+
+        it('should detect a truncated stream', async () => {
+            populate();
+
+            const records = await collect(world.streamArtifact());
+
+            expect(
+                await codeOf(loaded.loadArtifactStream(records.slice(0, 3)))
+            ).toBe('INVALID_STRUCTURE');
+            expect(loaded._entities.size).toBe(0);
+        });
+
+        it('should validate entities as they are read', async () => {
+            populate();
+
+            const records = await collect(world.streamArtifact());
+
+            records[1].data.unknown = {};
+
+            expect(await codeOf(loaded.loadArtifactStream(records))).toBe(
+                'UNKNOWN_COMPONENT'
+            );
+        });
+
+        it('should validate references once the stream is read', async () => {
+            const a = world.createEntity('a');
+            const b = world.createEntity('b');
+
+            a.add(Target, { enemy: b });
+
+            const records = world.streamArtifact({ entities: [a] });
+
+            expect(await codeOf(loaded.loadArtifactStream(records))).toBe(
+                'INVALID_REFERENCE'
+            );
+        });
+
+        it('should handle dangling references without validation', async () => {
+            const a = world.createEntity('a');
+            const b = world.createEntity('b');
+
+            a.add(Target, { enemy: b });
+
+            await loaded.loadArtifactStream(
+                world.streamArtifact({ entities: [a] }),
+                {
+                    validate: false,
+                }
+            );
+
+            expect(loaded.getEntity('a').target.enemy).toBe(null);
+        });
+
+        it('should not load streams with another schema version', async () => {
+            populate();
+
+            const records = await collect(world.streamArtifact());
+            records[0].meta.schemaVersion = 0;
+
+            expect(await codeOf(loaded.loadArtifactStream(records))).toBe(
+                'VERSION_MISMATCH'
+            );
+        });
+    });
+});
@@ -1,5 +1,6 @@
 import { Engine } from '../../../src/Engine';
 import { Component } from '../../../src/Component';
+import { Types } from '../../../src/Types';
 import { ArtifactValidator, ValidationError } from '../../../src/serialization/ArtifactValidator';
 import { bigintReplacer, bigintReviver } from '../../../src/serialization/SerializationHelpers';
 
@@ -154,6 +155,102 @@ describe('Artifact Validation', () => {
                 validator.validate(artifact);
             }).not.toThrow();
         });
+
+        describe('with a schema', () => {
+            class Inventory extends Component {
+                static allowMultiple = true;
+                static schema = {
+                    slots: Types.int({ min: 1 }),
+                    items: Types.array(Types.string),
+                };
+            }
+
+            beforeEach(() => {
+                engine.registerComponent(Inventory);
+            });
+
+            it('should reject invalid component data', () => {
+                const artifact = {
+                    entities: [
+                        {
+                            id: 'entity1',
+                            inventory: [{ slots: 4, items: ['sword', 3] }],
+                        },
+                    ],
+                    meta: { schemaVersion: 1 },
+                };
+
+                expect(() => {
+                    validator.validate(artifact);
+                }).toThrow(
+                    'Invalid component data on entity entity1: Inventory.items[1] must be a string, got 3'
+                );
+
+                try {
+                    validator.validate(artifact);
+                } catch (err) {
+                    expect(err.code).toBe('INVALID_COMPONENT_DATA');
+                }
+            });
+
+            it('should accept valid and partial component data', () => {
+                const artifact = {
+                    entities: [
+                        {
+                            id: 'entity1',
+                            inventory: [
+                                { slots: 4, items: ['sword'] },
+                                { slots: 2 },
+                            ],
+                        },
+                    ],
+                    meta: { schemaVersion: 1 },
+                };
+
+                expect(() => {
+                    validator.validate(artifact);
+                }).not.toThrow();
+            });
+
+            it('should revive markers before validating', () => {
+                class Clock extends Component {
+                    static schema = {
+                        ticks: Types.bigint,
+                        startedAt: Types.date,
+                    };
+                }
+
+                engine.registerComponent(Clock);
+
+                const entity = world.createEntity('entity1');
+                entity.add(Clock, {
+                    ticks: 10n,
+                    startedAt: new Date('2020-01-01T00:00:00Z'),
+                });
+
+                const artifact = JSON.parse(
+                    JSON.stringify(world.createArtifact(), bigintReplacer)
+                );
+
+                expect(artifact.entities[0].clock.startedAt).toEqual({
+                    $date: '2020-01-01T00:00:00.000Z',
+                });
+                expect(() => {
+                    validator.validate(artifact);
+                }).not.toThrow();
+            });
+
+            it('should reject invalid data when loading an artifact', () => {
+                const artifact = {
+                    entities: [{ id: 'entity1', inventory: [{ slots: 0 }] }],
+                    meta: { schemaVersion: 1 },
+                };
+
+                expect(() => {
+                    world.loadArtifact(artifact);
+                }).toThrow('Inventory.slots must be at least 1, got 0');
+            });
+        });
     });
 
     describe('Reference validation', () => {
@@ -412,4 +509,100 @@ describe('Artifact Validation', () => {
             }
         });
     });
+
+    describe('World.validateArtifact', () => {
+        it('should report a valid artifact', () => {
+            world.createEntity('hero').add(Health);
+
+            const report = world.validateArtifact(world.createArtifact({ checksum: true }));
+
+            expect(report).toEqual({ valid: true, errors: [] });
+        });
+
+        it('should report every problem with its path', () => {
+            const artifact = {
+                entities: [
+                    { id: 'a', health: { current: 1 } },
+                    { id: 'a', unknown: {} },
+                    { position: { x: 1 } },
+                    { id: 'b', health: { target: { $ref: 'missing' } } },
+                ],
+                meta: { schemaVersion: 1 },
+            };
+
+            const report = world.validateArtifact(artifact);
+
+            expect(report.valid).toBe(false);
+            expect(report.errors).toEqual([
+                { code: 'DUPLICATE_ENTITY_ID', path: 'entities[1]', message: 'Duplicate entity ID: a' },
+                { code: 'MISSING_ENTITY_ID', path: 'entities[2]', message: 'Entity must have an id' },
+                { code: 'UNKNOWN_COMPONENT', path: 'entities[1].unknown', message: 'Unknown component type: unknown' },
+                { code: 'INVALID_REFERENCE', path: 'entities[3].health', message: 'Invalid entity reference: missing' },
+            ]);
+        });
+
+        it('should report invalid structure without throwing', () => {
+            expect(world.validateArtifact(null)).toEqual({
+                valid: false,
+                errors: [{ code: 'INVALID_STRUCTURE', path: '', message: 'Artifact must be an object' }],
+            });
+            expect(world.validateArtifact({}).errors[0].code).toBe('INVALID_STRUCTURE');
+        });
+
+        it('should report checksum, signature and version problems', () => {
+            world.createEntity('hero').add(Health);
+            const artifact = world.createArtifact({ checksum: true });
+            artifact.entities[0].health.current = 1;
+            artifact.meta.schemaVersion = 99;
+
+            const report = world.validateArtifact(artifact, { signingKey: 'secret' });
+
+            expect(report.errors.map(({ code, path }) => ({ code, path }))).toEqual([
+                { code: 'CHECKSUM_MISMATCH', path: 'meta.checksum' },
+                { code: 'SIGNATURE_INVALID', path: 'meta.signature' },
+                { code: 'VERSION_TOO_NEW', path: 'meta.schemaVersion' },
+            ]);
+
+            artifact.meta.checksum = undefined;
+            artifact.meta.schemaVersion = 1;
+
+            expect(world.validateArtifact(artifact, { signingKey: 'secret' }).errors).toEqual([
+                { code: 'SIGNATURE_INVALID', path: 'meta.signature', message: 'Artifact is not signed' },
+            ]);
+        });
+
+        it('should report valid deltas', () => {
+            const hero = world.createEntity('hero');
+            hero.add(Health);
+            const baseline = world.createArtifact();
+            hero.health.current = 5;
+
+            expect(world.validateArtifact(world.createDelta(baseline))).toEqual({ valid: true, errors: [] });
+        });
+
+        it('should report registry drift as errors', () => {
+            world.createEntity('hero').add(Health);
+            const artifact = world.createArtifact({ includeComponentRegistry: true });
+            artifact.registry.components.health.properties.push('armor');
+            artifact.registry.prefabs.push('Dragon');
+
+            expect(world.validateArtifact(artifact).errors).toEqual([
+                {
+                    code: 'REGISTRY_DRIFT',
+                    path: 'registry.components.health',
+                    message: 'Component "health" no longer has property "armor"',
+                },
+                { code: 'REGISTRY_DRIFT', path: 'registry.prefabs', message: 'Prefab "Dragon" is not registered' },
+            ]);
+            expect(world.validateArtifact(artifact, { registryDrift: 'ignore' }).valid).toBe(true);
+        });
+
+        it('should validate binary artifacts', () => {
+            world.createEntity('hero').add(Health);
+
+            const report = world.validateArtifact(world.createArtifact({ format: 'binary' }));
+
+            expect(report.valid).toBe(true);
+        });
+    });
 });
@@ -0,0 +1,165 @@
+import { Engine, Component, System } from '../../src/index';
+
+describe('System', () => {
+    let world, calls;
+
+    class Position extends Component {
+        static properties = { x: 0 };
+    }
+
+    class Velocity extends Component {
+        static properties = { x: 0 };
+    }
+
+    class Recorder extends System {
+        constructor(label) {
+            super();
+            this.label = label;
+        }
+
+        update(dt) {
+            calls.push(this.label);
+        }
+    }
+
+    class Movement extends System {
+        static queries = {
+            movers: { all: [Position, Velocity] },
+        };
+
+        update(dt) {
+            this.queries.movers.get().forEach((entity) => {
+                entity.position.x += entity.velocity.x * dt;
+            });
+        }
+    }
+
+    beforeEach(() => {
+        const engine = new Engine();
+
+        engine.registerComponent(Position);
+        engine.registerComponent(Velocity);
+
+        world = engine.createWorld();
+        calls = [];
+    });
+
+    describe('queries', () => {
+        let system;
+
+        beforeEach(() => {
+            system = world.addSystem(new Movement());
+        });
+
+        it('should create the declared queries on the world', () => {
+            expect(world._queries).toContain(system.queries.movers);
+        });
+
+        it('should update matching entities on tick', () => {
+            const entity = world.createEntity();
+
+            entity.add(Position, { x: 1 });
+            entity.add(Velocity, { x: 2 });
+
+            world.tick(3);
+
+            expect(entity.position.x).toBe(7);
+        });
+
+        it('should remove the queries when the system is removed', () => {
+            const query = system.queries.movers;
+
+            world.removeSystem(system);
+
+            expect(world._queries).not.toContain(query);
+            expect(system.world).toBeUndefined();
+        });
+    });
+
+    describe('ordering', () => {
+        it('should run phases in order', () => {
+            world.addSystem(new Recorder('render'), { phase: 'render' });
+            world.addSystem(new Recorder('post'), { phase: 'postUpdate' });
+            world.addSystem(new Recorder('update'));
+            world.addSystem(new Recorder('pre'), { phase: 'preUpdate' });
+
+            world.tick(1);
+
+            expect(calls).toEqual(['pre', 'update', 'post', 'render']);
+        });
+
+        it('should run higher priorities first, then in insertion order', () => {
+            world.addSystem(new Recorder('a'));
+            world.addSystem(new Recorder('b'), { priority: 10 });
+            world.addSystem(new Recorder('c'));
+
+            world.tick(1);
+
+            expect(calls).toEqual(['b', 'a', 'c']);
+        });
+
+        it('should respect after and before constraints', () => {
+            const a = new Recorder('a');
+            const b = new Recorder('b');
+
+            world.addSystem(new Recorder('c'), { after: b });
+            world.addSystem(b, { priority: 10, after: a });
+            world.addSystem(a, { before: Movement });
+            world.addSystem(new Movement(), { priority: 100 });
+
+            world.tick(1);
+
+            expect(calls).toEqual(['a', 'b', 'c']);
+            expect(world.getSystems('update')[0]).toBe(a);
+        });
+
+        it('should reject cyclic constraints', () => {
+            const a = new Recorder('a');
+            const b = new Recorder('b');
+
+            world.addSystem(a, { after: b });
+
+            expect(() => world.addSystem(b, { after: a })).toThrow(
+                'Cyclic system ordering'
+            );
+            expect(world.getSystems()).toEqual([a]);
+        });
+
+        it('should reject unknown phases', () => {
+            expect(() =>
+                world.addSystem(new Recorder('a'), { phase: 'physics' })
+            ).toThrow('Unknown system phase');
+        });
+    });
+
+    describe('enabled', () => {
+        it('should skip disabled systems', () => {
+            const system = world.addSystem(new Recorder('a'));
+
+            system.disable();
+            world.tick(1);
+
+            expect(calls).toEqual([]);
+
+            system.enable();
+            world.tick(1);
+
+            expect(calls).toEqual(['a']);
+        });
+    });
+
+    describe('timing', () => {
+        it('should record per-system timing', () => {
+            const system = world.addSystem(new Recorder('a'));
+
+            world.tick(1);
+            world.tick(1);
+
+            expect(system.timing.calls).toBe(2);
+            expect(system.timing.last).toBeGreaterThanOrEqual(0);
+            expect(system.timing.total).toBeGreaterThanOrEqual(
+                system.timing.last
+            );
+        });
+    });
+});
@@ -0,0 +1,163 @@
+import { Engine, Component, Types, SchemaError } from '../../src/index';
+
+describe('Types', () => {
+    const expectInvalid = (type, value, message) => {
+        expect(() => type.validate(value, 'field')).toThrow(SchemaError);
+        expect(() => type.validate(value, 'field')).toThrow(message);
+    };
+
+    describe('primitives', () => {
+        it('should validate ints', () => {
+            const type = Types.int({ min: 0, max: 10 });
+
+            expect(() => type.validate(3)).not.toThrow();
+            expectInvalid(type, 1.5, 'field must be an int, got 1.5');
+            expectInvalid(type, -1, 'field must be at least 0, got -1');
+            expectInvalid(type, 11, 'field must be at most 10, got 11');
+        });
+
+        it('should validate numbers', () => {
+            expect(() => Types.number().validate(1.5)).not.toThrow();
+            expectInvalid(Types.number(), NaN, 'must be a number');
+            expectInvalid(Types.float(), '1', 'must be a float, got "1"');
+        });
+
+        it('should validate strings', () => {
+            const type = Types.string({ oneOf: ['north', 'south'] });
+
+            expect(() => type.validate('north')).not.toThrow();
+            expectInvalid(type, 'east', 'must be one of "north", "south"');
+            expectInvalid(Types.string(), 1, 'must be a string');
+        });
+
+        it('should validate bools, bigints and dates', () => {
+            expect(() => Types.bool().validate(false)).not.toThrow();
+            expect(() => Types.bigint().validate(10n)).not.toThrow();
+            expect(() => Types.date().validate(new Date())).not.toThrow();
+            expectInvalid(Types.bool(), 0, 'must be a bool');
+            expectInvalid(Types.bigint(), 10, 'must be a bigint');
+            expectInvalid(Types.date(), new Date('nope'), 'must be a date');
+        });
+
+        it('should validate entities', () => {
+            const world = new Engine().createWorld();
+            const type = Types.entity();
+
+            expect(() => type.validate(world.createEntity())).not.toThrow();
+            expect(() => type.validate('some-id')).not.toThrow();
+            expect(() => type.validate({ $ref: 'some-id' })).not.toThrow();
+            expect(() => type.validate(null)).not.toThrow();
+            expectInvalid(type, {}, 'must be an entity, got an object');
+        });
+    });
+
+    describe('containers', () => {
+        it('should validate array items', () => {
+            const type = Types.array(Types.int, { maxLength: 2 });
+
+            expect(() => type.validate([1, 2])).not.toThrow();
+            expectInvalid(type, [1, 'a'], 'field[1] must be an int, got "a"');
+            expectInvalid(type, [1, 2, 3], 'at most 2 items');
+        });
+
+        it('should validate object shapes', () => {
+            const type = Types.object({ x: Types.number, y: Types.number });
+
+            expect(() => type.validate({ x: 1, y: 2 })).not.toThrow();
+            expectInvalid(type, { x: 1 }, 'field.y must be a number');
+            expect(type.default).toEqual({ x: 0, y: 0 });
+        });
+
+        it('should allow empty optional values', () => {
+            const type = Types.optional(Types.string);
+
+            expect(() => type.validate(null)).not.toThrow();
+            expect(() => type.validate(undefined)).not.toThrow();
+            expectInvalid(type, 3, 'must be a string');
+        });
+    });
+
+    describe('defaults', () => {
+        it('should have a default for each type', () => {
+            expect(Types.int().default).toBe(0);
+            expect(Types.string().default).toBe('');
+            expect(Types.bool().default).toBe(false);
+            expect(Types.array(Types.int).default).toEqual([]);
+            expect(Types.optional(Types.int).default).toBeNull();
+        });
+
+        it('should allow overriding the default', () => {
+            expect(Types.int({ default: 4 }).default).toBe(4);
+        });
+    });
+
+    describe('component schemas', () => {
+        let world;
+
+        class Health extends Component {
+            static schema = {
+                current: Types.int({ min: 0, default: 10 }),
+                max: Types.int({ min: 1, default: 10 }),
+                tags: Types.array(Types.string),
+            };
+        }
+
+        beforeEach(() => {
+            const engine = new Engine();
+
+            engine.registerComponent(Health);
+            world = engine.createWorld();
+        });
+
+        it('should generate default properties', () => {
+            expect(Health.properties).toEqual({
+                current: 10,
+                max: 10,
+                tags: [],
+            });
+        });
+
+        it('should add components with valid properties', () => {
+            const entity = world.createEntity();
+
+            entity.add(Health, { current: 3, tags: ['undead'] });
+
+            expect(entity.health.current).toBe(3);
+            expect(entity.health.max).toBe(10);
+            expect(entity.health.tags).toEqual(['undead']);
+        });
+
+        it('should reject invalid properties', () => {
+            const entity = world.createEntity();
+
+            expect(() => entity.add(Health, { current: 'lots' })).toThrow(
+                'Health.current must be an int, got "lots"'
+            );
+            expect(entity.has(Health)).toBe(false);
+        });
+
+        it('should keep dates as dates', () => {
+            class Birthday extends Component {
+                static schema = { at: Types.date };
+            }
+
+            world.engine.registerComponent(Birthday);
+
+            const entity = world.createEntity();
+
+            entity.add(Birthday);
+
+            expect(entity.birthday.at).toEqual(new Date(0));
+        });
+
+        it('should reject values that are not types', () => {
+            class Broken extends Component {
+                static schema = { value: 3 };
+            }
+
+            expect(() => new Engine().registerComponent(Broken)).toThrow(
+                '3 is not a schema type'
+            );
+        });
+    });
+});
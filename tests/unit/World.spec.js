@@ -1,11 +1,17 @@
-import { Engine } from '../../src/index';
+import { Engine, Component } from '../../src/index';
 
 describe('World', () => {
     let world;
 
+    class ComponentA extends Component {}
+    class ComponentB extends Component {}
+
     beforeEach(() => {
         const engine = new Engine();
 
+        engine.registerComponent(ComponentA);
+        engine.registerComponent(ComponentB);
+
         world = engine.createWorld();
     });
 
@@ -59,4 +65,113 @@ describe('World', () => {
             expect(result).toBeUndefined();
         });
     });
+    describe('archetypes', () => {
+        let a, b;
+
+        beforeEach(() => {
+            a = world.createEntity();
+            b = world.createEntity();
+        });
+
+        it('should start entities in the empty archetype', () => {
+            expect(a._archetype).toBe(world._root);
+            expect(world._root.entities).toEqual([a, b]);
+        });
+
+        it('should share an archetype between entities with the same components', () => {
+            a.add(ComponentA);
+            a.add(ComponentB);
+            b.add(ComponentB);
+            b.add(ComponentA);
+
+            expect(a._archetype).toBe(b._archetype);
+            expect(a._archetype.entities).toEqual([a, b]);
+        });
+
+        it('should only attach matching queries to an archetype', () => {
+            const query = world.createQuery({ all: [ComponentA] });
+
+            a.add(ComponentA);
+            b.add(ComponentB);
+
+            expect(a._archetype.queries.has(query)).toBe(true);
+            expect(b._archetype.queries.has(query)).toBe(false);
+        });
+
+        it('should remove destroyed entities from their archetype', () => {
+            a.add(ComponentA);
+
+            const archetype = a._archetype;
+
+            a.destroy();
+
+            expect(archetype.entities).toEqual([]);
+            expect(a._archetype).toBeNull();
+        });
+    });
+
+    describe('isAlive', () => {
+        it('should be true for live entities and their ids', () => {
+            const entity = world.createEntity();
+
+            expect(world.isAlive(entity)).toBe(true);
+            expect(world.isAlive(entity.id)).toBe(true);
+        });
+
+        it('should be false once the entity is destroyed', () => {
+            const entity = world.createEntity();
+
+            entity.destroy();
+
+            expect(world.isAlive(entity)).toBe(false);
+            expect(world.isAlive(entity.id)).toBe(false);
+        });
+    });
+
+    describe('numericIds', () => {
+        beforeEach(() => {
+            world = world.engine.createWorld({ numericIds: true });
+        });
+
+        it('should create compact numeric ids', () => {
+            expect(world.createEntity().id).toBe(1);
+            expect(world.createEntity().id).toBe(2);
+        });
+
+        it('should recycle ids with a new generation', () => {
+            const stale = world.createEntity();
+
+            stale.destroy();
+
+            const entity = world.createEntity();
+
+            expect(entity.id).not.toBe(stale.id);
+            expect(entity.id % 2 ** 22).toBe(stale.id);
+            expect(world.isAlive(stale.id)).toBe(false);
+            expect(world.isAlive(entity.id)).toBe(true);
+        });
+
+        it('should keep explicit ids', () => {
+            const entity = world.createEntity(5);
+
+            expect(entity.id).toBe(5);
+            expect(world.createEntity().id).not.toBe(5);
+        });
+
+        it('should restore entities from an artifact', () => {
+            const a = world.createEntity();
+            const b = world.createEntity();
+
+            a.add(ComponentA);
+            a.destroy();
+            b.add(ComponentB);
+
+            const loaded = world.engine.createWorld({ numericIds: true });
+
+            loaded.loadArtifact(world.createArtifact());
+
+            expect(loaded.getEntity(b.id).has(ComponentB)).toBe(true);
+            expect(loaded.createEntity().id).not.toBe(b.id);
+        });
+    });
 });